@@ -9,10 +9,14 @@ const __dirname = dirname(__filename);
 
 // Path to the main server script
 const serverPath = join(__dirname, '..', 'src', 'server', 'index.js');
+const watchPath = join(__dirname, '..', 'src', 'server', 'watch.js');
 
 // Get command line arguments (skip node and script name)
 const args = process.argv.slice(2);
 
+// `watch <dir> --namespace <ns>` runs the folder watcher instead of the server
+const isWatch = args[0] === 'watch';
+
 // Check if user needs help
 if (args.includes('--help') || args.includes('-h')) {
   console.log(`
@@ -20,17 +24,59 @@ Moorcheh MCP Server
 ===================
 
 Usage: npx @moorchehai/mcp [options]
+       npx @moorchehai/mcp watch <dir> --namespace <namespace> [watch options]
 
 Options:
   --help, -h     Show this help message
   --version, -v  Show version information
+  --http [port]  Serve over Streamable HTTP instead of stdio (default port: 3000)
+  --host <host>  Interface to bind in HTTP mode (default: 127.0.0.1)
+  --allowed-hosts <hosts>  Comma separated extra Host header values accepted in HTTP mode (e.g. "mcp.internal,10.0.0.5:3000")
+  --profile <name>  API profile to use (default: prod)
+  --config <path>   Profiles config file (default: ./moorcheh.config.json)
+  --readonly        Register only non-mutating tools
+  --enable-tools <globs>   Comma separated tool names/globs to register (e.g. "list-*,search")
+  --disable-tools <globs>  Comma separated tool names/globs to skip (e.g. "delete-*")
+  --namespace-policy <path>  JSON file with per-namespace read/write rules
+  --audit-log <path>         Audit log file for mutating tool calls (default: ~/.moorcheh/audit.jsonl)
+  --extractors <paths>       Comma separated modules registering extra text extractors
+  --redaction <action|path> Redact uploads locally: mask, hash, drop, or a settings JSON file
+
+Watch Options (keep a namespace in sync with a folder of .md, .txt, .csv, .json and extractable files):
+  --namespace <name>       Namespace to sync to (required)
+  --include <globs>        Comma separated globs of files to sync (default: all)
+  --exclude <globs>        Comma separated globs of files to leave out
+  --id-prefix <prefix>     Prefix for document IDs (default: none, IDs are relative paths)
+  --chunking <strategy>    Chunk files before upload: tokens, sentences or markdown
+  --chunk-size <tokens>    Maximum tokens per chunk (default: 200)
+  --chunk-overlap <tokens> Tokens repeated between chunks (default: 0)
+  --debounce <ms>          Wait for changes to settle before syncing (default: 1000)
 
 Environment Variables:
-  MOORCHEH_API_KEY  Your Moorcheh API key (required)
+  MOORCHEH_API_KEY    Your Moorcheh API key (required)
+  MOORCHEH_HTTP_PORT  Default port for --http
+  MOORCHEH_HTTP_HOST  Default interface for --http
+  MOORCHEH_HTTP_ALLOWED_HOSTS  Same as --allowed-hosts
+  MOORCHEH_HTTP_TOKEN  Bearer token HTTP clients must send (Authorization: Bearer <token>)
+  MOORCHEH_PROFILE    API profile to use (same as --profile)
+  MOORCHEH_CONFIG     Profiles config file (same as --config)
+  MOORCHEH_API_URL    Override the API base URL
+  MOORCHEH_TIMEOUT_MS, MOORCHEH_UPLOAD_TIMEOUT_MS  Request timeouts in milliseconds
+  MOORCHEH_READONLY   Set to true for read-only mode (same as --readonly)
+  MOORCHEH_ENABLE_TOOLS, MOORCHEH_DISABLE_TOOLS    Same as --enable-tools / --disable-tools
+  MOORCHEH_NAMESPACE_POLICY  Same as --namespace-policy
+  MOORCHEH_NAMESPACES        Namespace access rules, e.g. "team-a-*:write,support-*:read"
+  MOORCHEH_STATE_DIR         Directory for local state (default: ~/.moorcheh)
+  MOORCHEH_AUDIT_LOG         Same as --audit-log; set to "off" to disable
+  MOORCHEH_EXTRACTORS        Same as --extractors
+  MOORCHEH_REDACTION         Same as --redaction
+  MOORCHEH_REDACTION_SALT    Salt for hashed redacted values
 
 Examples:
   npx @moorchehai/mcp                    # Start the MCP server
   MOORCHEH_API_KEY=xxx npx @moorchehai/mcp  # Start with API key
+  npx @moorchehai/mcp --http 8080        # Shared server at http://127.0.0.1:8080/mcp
+  npx @moorchehai/mcp watch ./docs --namespace product-docs --chunking markdown
 
 For more information, visit: https://github.com/moorcheh-ai/moorcheh-mcp
 `);
@@ -57,11 +103,11 @@ Get your API key at: https://app.moorcheh.ai
   process.exit(1);
 }
 
-console.error('🚀 Starting Moorcheh MCP Server...');
+console.error(isWatch ? '👀 Starting Moorcheh folder watcher...' : '🚀 Starting Moorcheh MCP Server...');
 console.error('📝 API Key configured ✓');
 
-// Start the main server
-const child = spawn('node', [serverPath, ...args], {
+// Start the main server (or the watcher)
+const child = spawn('node', isWatch ? [watchPath, ...args.slice(1)] : [serverPath, ...args], {
   stdio: 'inherit',
   env: process.env
 });
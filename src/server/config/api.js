@@ -3,6 +3,9 @@ import { readFileSync, createReadStream, statSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join, basename } from 'path';
 import FormData from 'form-data';
+import { resolveProfile } from './profiles.js';
+import { MoorchehError, categoryForStatus } from '../utils/errors.js';
+import { recordApiStatus } from '../utils/audit-log.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -42,9 +45,18 @@ if (MOORCHEH_API_KEY === 'your_api_key_here' || MOORCHEH_API_KEY.length < 10) {
   console.error('Please check your .env file and ensure you have a valid Moorcheh API key');
 }
 
+// Resolve the active profile (base URL and timeouts)
+let API_PROFILE;
+try {
+  API_PROFILE = resolveProfile();
+} catch (error) {
+  console.error(`Invalid Moorcheh configuration: ${error.message}`);
+  process.exit(1);
+}
+
 // Construct API URLs using the simplified format
 const constructApiUrl = (endpoint) => {
-  return `https://api.moorcheh.ai/v1${endpoint}`;
+  return `${API_PROFILE.apiUrl}${endpoint}`;
 };
 
 const API_ENDPOINTS = {
@@ -53,12 +65,107 @@ const API_ENDPOINTS = {
   answer: constructApiUrl('/answer'),
 };
 
-// Helper function to make API requests
-async function makeApiRequest(method, url, data = null) {
+// Retry behaviour for transient failures (429, 5xx, network errors)
+const parseIntEnv = (name, fallback) => {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const RETRY_CONFIG = {
+  maxRetries: parseIntEnv('MOORCHEH_MAX_RETRIES', 3),
+  baseDelayMs: parseIntEnv('MOORCHEH_RETRY_BASE_DELAY_MS', 500),
+  maxDelayMs: parseIntEnv('MOORCHEH_RETRY_MAX_DELAY_MS', 10000),
+  maxTotalWaitMs: parseIntEnv('MOORCHEH_RETRY_MAX_WAIT_MS', 30000),
+};
+
+// Batching for upload-text and upload-vectors: documents per request and
+// number of requests in flight at once
+const parsePositiveIntEnv = (name, fallback) => parseIntEnv(name, fallback) || fallback;
+
+const UPLOAD_BATCH_CONFIG = {
+  batchSize: parsePositiveIntEnv('MOORCHEH_UPLOAD_BATCH_SIZE', 100),
+  concurrency: parsePositiveIntEnv('MOORCHEH_UPLOAD_CONCURRENCY', 4),
+};
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+const RETRYABLE_STATUS_CODES = new Set([429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds
+function parseRetryAfter(headerValue) {
+  if (!headerValue) return undefined;
+  const seconds = Number(headerValue);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(headerValue);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// Retry 429/5xx responses and requests that never got a response
+function isTransientError(error) {
+  if (!error.isAxiosError) return false;
+  if (error.response) return RETRYABLE_STATUS_CODES.has(error.response.status);
+  return true;
+}
+
+// Run `operation` with jittered exponential backoff. Gives up once
+// maxRetries is exhausted or the next wait would exceed maxTotalWaitMs, and
+// records the number of attempts on the thrown error.
+async function withRetry(operation, shouldRetry = isTransientError) {
+  const startedAt = Date.now();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      error.attempts = attempt;
+      if (attempt > RETRY_CONFIG.maxRetries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const backoff = Math.random() * Math.min(RETRY_CONFIG.maxDelayMs, RETRY_CONFIG.baseDelayMs * 2 ** (attempt - 1));
+      const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+      const delay = Math.max(backoff, retryAfter ?? 0);
+      if (Date.now() - startedAt + delay > RETRY_CONFIG.maxTotalWaitMs) {
+        throw error;
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+const describeAttempts = (error) => (error.attempts > 1 ? ` (gave up after ${error.attempts} attempts)` : '');
+
+// Convert an axios error into a categorized MoorchehError
+function toApiError(error, networkPrefix = 'Network Error') {
+  const attempts = describeAttempts(error);
+  if (error.response) {
+    const status = error.response.status;
+    const data = error.response.data;
+    recordApiStatus(status);
+    const options = { category: categoryForStatus(status), status, attempts: error.attempts };
+
+    if (status === 403) {
+      return new MoorchehError(`Forbidden: Check your API key. Status: ${status}, Response: ${JSON.stringify(data)}${attempts}`, options);
+    } else if (status === 401) {
+      return new MoorchehError(`Unauthorized: Invalid API key. Status: ${status}, Response: ${JSON.stringify(data)}${attempts}`, options);
+    }
+    return new MoorchehError(`API Error (${status}): ${JSON.stringify(data)}${attempts}`, options);
+  }
+  return new MoorchehError(`${networkPrefix}: ${error.message}${attempts}`, { category: 'network', attempts: error.attempts });
+}
+
+// Helper function to make API requests. Idempotent methods are retried on
+// transient failures; pass `{ idempotent: true }` for POST endpoints that are
+// safe to repeat (reads, and writes keyed by document ID).
+async function makeApiRequest(method, url, data = null, { idempotent = IDEMPOTENT_METHODS.has(method.toUpperCase()) } = {}) {
   try {
     const config = {
       method,
       url,
+      timeout: API_PROFILE.timeoutMs,
       headers: {
         'x-api-key': MOORCHEH_API_KEY,
         'Content-Type': 'application/json',
@@ -69,76 +176,148 @@ async function makeApiRequest(method, url, data = null) {
       config.data = data;
     }
     
-    const response = await axios(config);
+    const response = idempotent
+      ? await withRetry(() => axios(config))
+      : await axios(config);
+    recordApiStatus(response.status);
     return response.data;
   } catch (error) {
-    if (error.response) {
-      const status = error.response.status;
-      const data = error.response.data;
-      
-      if (status === 403) {
-        throw new Error(`Forbidden: Check your API key. Status: ${status}, Response: ${JSON.stringify(data)}`);
-      } else if (status === 401) {
-        throw new Error(`Unauthorized: Invalid API key. Status: ${status}, Response: ${JSON.stringify(data)}`);
-      } else {
-        throw new Error(`API Error (${status}): ${JSON.stringify(data)}`);
-      }
-    }
-    throw new Error(`Network Error: ${error.message}`);
+    throw toApiError(error);
   }
 }
 
-// Helper function to upload files (multipart/form-data)
-async function uploadFile(namespace_name, filePath) {
+// File uploads are not idempotent, so only retry when the API rejected the
+// request before processing it (rate limited or temporarily unavailable)
+const isRejectedUpload = (error) => error.isAxiosError && [429, 503].includes(error.response?.status);
+
+const MAX_UPLOAD_FILE_MB = 10;
+const ALLOWED_UPLOAD_EXTENSIONS = ['.pdf', '.docx', '.xlsx', '.json', '.txt', '.csv', '.md'];
+
+// Check that a file exists and passes the upload-file size and type limits.
+// With `checkSize` false only the type is checked (for files that are split).
+function validateUploadFile(filePath, { checkSize = true } = {}) {
+  let stats;
+  try {
+    stats = statSync(filePath);
+  } catch (error) {
+    throw new MoorchehError(`File upload error: ${error.message}`, { category: 'validation' });
+  }
+  const fileSizeInMB = stats.size / (1024 * 1024);
+  
+  // Check file size (max 10MB)
+  if (checkSize && fileSizeInMB > MAX_UPLOAD_FILE_MB) {
+    throw new MoorchehError(`File size (${fileSizeInMB.toFixed(2)}MB) exceeds maximum allowed size of ${MAX_UPLOAD_FILE_MB}MB`, { category: 'validation' });
+  }
+  
+  // Check file extension
+  const fileExtension = filePath.toLowerCase().substring(filePath.lastIndexOf('.'));
+  if (!ALLOWED_UPLOAD_EXTENSIONS.includes(fileExtension)) {
+    throw new MoorchehError(`File type '${fileExtension}' is not supported. Allowed types: ${ALLOWED_UPLOAD_EXTENSIONS.join(', ')}`, { category: 'validation' });
+  }
+
+  return { fileName: basename(filePath), sizeBytes: stats.size, extension: fileExtension };
+}
+
+// Describe a JSON API request without sending it (for dry runs)
+function describeApiRequest(method, url, data = null) {
+  const request = {
+    method,
+    url,
+    headers: {
+      'x-api-key': '<redacted>',
+      'Content-Type': 'application/json',
+    },
+  };
+  if (data) {
+    request.body = data;
+  }
+  return request;
+}
+
+// Describe an upload-file request without sending it (for dry runs)
+function describeFileContentUpload(namespace_name, file, metadata) {
+  const request = {
+    method: 'POST',
+    url: `${API_ENDPOINTS.namespaces}/${namespace_name}/upload-file`,
+    headers: {
+      'x-api-key': '<redacted>',
+      'Content-Type': 'multipart/form-data',
+    },
+    body: { file },
+  };
+  if (metadata) {
+    request.body.metadata = metadata;
+  }
+  return request;
+}
+
+// Validate a file and describe the upload-file request without sending it
+function describeFileUpload(namespace_name, filePath) {
+  const { fileName, sizeBytes } = validateUploadFile(filePath);
+  return describeFileContentUpload(namespace_name, { file_name: fileName, file_path: filePath, size_bytes: sizeBytes });
+}
+
+// POST a file to the upload-file endpoint. `createContent` returns the file
+// body (a fresh stream is needed for every attempt). Metadata, when given, is
+// sent as a JSON form field next to the file.
+async function postFile(namespace_name, fileName, createContent, metadata) {
   try {
-    // Check if file exists
-    const stats = statSync(filePath);
-    const fileSizeInMB = stats.size / (1024 * 1024);
-    
-    // Check file size (max 10MB)
-    if (fileSizeInMB > 10) {
-      throw new Error(`File size (${fileSizeInMB.toFixed(2)}MB) exceeds maximum allowed size of 10MB`);
-    }
-    
-    // Check file extension
-    const allowedExtensions = ['.pdf', '.docx', '.xlsx', '.json', '.txt', '.csv', '.md'];
-    const fileExtension = filePath.toLowerCase().substring(filePath.lastIndexOf('.'));
-    if (!allowedExtensions.includes(fileExtension)) {
-      throw new Error(`File type '${fileExtension}' is not supported. Allowed types: ${allowedExtensions.join(', ')}`);
-    }
-    
-    // Create FormData
-    const formData = new FormData();
-    const fileName = basename(filePath);
-    formData.append('file', createReadStream(filePath), fileName);
-    
-    // Make the request
     const url = `${API_ENDPOINTS.namespaces}/${namespace_name}/upload-file`;
-    const response = await axios.post(url, formData, {
-      headers: {
-        'x-api-key': MOORCHEH_API_KEY,
-        ...formData.getHeaders(),
-      },
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity,
-    });
+    const response = await withRetry(() => {
+      const formData = new FormData();
+      formData.append('file', createContent(), fileName);
+      if (metadata) {
+        formData.append('metadata', JSON.stringify(metadata));
+      }
+
+      return axios.post(url, formData, {
+        headers: {
+          'x-api-key': MOORCHEH_API_KEY,
+          ...formData.getHeaders(),
+        },
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+        timeout: API_PROFILE.uploadTimeoutMs,
+      });
+    }, isRejectedUpload);
     
+    recordApiStatus(response.status);
     return response.data;
   } catch (error) {
-    if (error.response) {
-      const status = error.response.status;
-      const data = error.response.data;
-      
-      if (status === 403) {
-        throw new Error(`Forbidden: Check your API key. Status: ${status}, Response: ${JSON.stringify(data)}`);
-      } else if (status === 401) {
-        throw new Error(`Unauthorized: Invalid API key. Status: ${status}, Response: ${JSON.stringify(data)}`);
-      } else {
-        throw new Error(`API Error (${status}): ${JSON.stringify(data)}`);
-      }
+    if (error instanceof MoorchehError) {
+      throw error;
+    }
+    // Local problems (missing file, unreadable path) are not API failures
+    if (!error.isAxiosError) {
+      throw new MoorchehError(`File upload error: ${error.message}`, { category: 'validation' });
     }
-    throw new Error(`File upload error: ${error.message}`);
+    throw toApiError(error, 'File upload error');
   }
 }
 
-export { API_ENDPOINTS, makeApiRequest, uploadFile, MOORCHEH_API_KEY }; 
\ No newline at end of file
+// Helper function to upload files (multipart/form-data)
+async function uploadFile(namespace_name, filePath) {
+  const { fileName } = validateUploadFile(filePath);
+  return postFile(namespace_name, fileName, () => createReadStream(filePath));
+}
+
+// Upload in-memory file content, such as one part of a split file
+async function uploadFileContent(namespace_name, fileName, content, metadata) {
+  return postFile(namespace_name, fileName, () => Buffer.from(content), metadata);
+}
+
+export {
+  API_ENDPOINTS,
+  API_PROFILE,
+  UPLOAD_BATCH_CONFIG,
+  makeApiRequest,
+  uploadFile,
+  uploadFileContent,
+  validateUploadFile,
+  MAX_UPLOAD_FILE_MB,
+  ALLOWED_UPLOAD_EXTENSIONS,
+  describeApiRequest,
+  describeFileUpload,
+  describeFileContentUpload,
+  MOORCHEH_API_KEY,
+}; 
\ No newline at end of file
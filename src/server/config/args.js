@@ -0,0 +1,24 @@
+// Command line helpers for the server entry point. bin/cli.js forwards its
+// arguments unchanged, so flags are read straight from process.argv.
+const argv = process.argv.slice(2);
+
+// Check whether a flag such as `--http` was passed (with or without a value)
+export function hasFlag(flag, args = argv) {
+  return args.some((arg) => arg === flag || arg.startsWith(`${flag}=`));
+}
+
+// Get the value of a flag, accepting both `--flag value` and `--flag=value`.
+// Returns undefined when the flag is absent or has no value.
+export function getFlagValue(flag, args = argv) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith(`${flag}=`)) {
+      return arg.slice(flag.length + 1);
+    }
+    if (arg === flag) {
+      const next = args[i + 1];
+      return next !== undefined && !next.startsWith('-') ? next : undefined;
+    }
+  }
+  return undefined;
+}
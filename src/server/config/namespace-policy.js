@@ -0,0 +1,117 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { getFlagValue } from './args.js';
+import { matchesGlob, parseList } from '../utils/glob.js';
+import { MoorchehError } from '../utils/errors.js';
+
+// Access levels, in increasing order of privilege
+const ACCESS_LEVELS = ['none', 'read', 'write'];
+
+const rank = (access) => ACCESS_LEVELS.indexOf(access);
+
+function validateAccess(access, source) {
+  if (!ACCESS_LEVELS.includes(access)) {
+    throw new Error(`Invalid access "${access}" in ${source}. Expected one of: ${ACCESS_LEVELS.join(', ')}`);
+  }
+  return access;
+}
+
+// Parse MOORCHEH_NAMESPACES, e.g. "support-*:read,team-a-*:write,team-a-secret:none".
+// Entries without an access level grant write access.
+function parseNamespacesEnv(value) {
+  return parseList(value).map((entry) => {
+    const separator = entry.lastIndexOf(':');
+    if (separator === -1) {
+      return { pattern: entry, access: 'write' };
+    }
+    return {
+      pattern: entry.slice(0, separator),
+      access: validateAccess(entry.slice(separator + 1), 'MOORCHEH_NAMESPACES'),
+    };
+  });
+}
+
+// Load a policy file of the form:
+// { "default": "none", "rules": [{ "pattern": "support-*", "access": "read" }] }
+function loadPolicyFile(policyPath) {
+  let policy;
+  try {
+    policy = JSON.parse(readFileSync(policyPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read namespace policy ${policyPath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(policy.rules)) {
+    throw new Error(`Invalid namespace policy ${policyPath}: "rules" must be an array`);
+  }
+
+  return {
+    defaultAccess: validateAccess(policy.default ?? 'none', policyPath),
+    rules: policy.rules.map((rule, index) => {
+      if (typeof rule.pattern !== 'string' || !rule.pattern) {
+        throw new Error(`Invalid namespace policy ${policyPath}: rule ${index} needs a "pattern"`);
+      }
+      return { pattern: rule.pattern, access: validateAccess(rule.access, policyPath) };
+    }),
+  };
+}
+
+// Build the active policy. Without a policy file or MOORCHEH_NAMESPACES every
+// namespace is writable; with one, unmatched namespaces are hidden.
+function loadPolicy() {
+  const policyPath = getFlagValue('--namespace-policy') ?? process.env.MOORCHEH_NAMESPACE_POLICY;
+  const envRules = parseNamespacesEnv(process.env.MOORCHEH_NAMESPACES);
+
+  if (!policyPath && envRules.length === 0) {
+    return { enabled: false, defaultAccess: 'write', rules: [] };
+  }
+
+  const filePolicy = policyPath ? loadPolicyFile(resolve(policyPath)) : { defaultAccess: 'none', rules: [] };
+  return {
+    enabled: true,
+    defaultAccess: filePolicy.defaultAccess,
+    // Environment rules take precedence over the file
+    rules: [...envRules, ...filePolicy.rules],
+  };
+}
+
+let policy;
+try {
+  policy = loadPolicy();
+} catch (error) {
+  console.error(`Invalid namespace policy: ${error.message}`);
+  process.exit(1);
+}
+
+export const NAMESPACE_POLICY = policy;
+
+// Access granted to a namespace. The first matching rule wins.
+export function getNamespaceAccess(namespaceName) {
+  const rule = policy.rules.find(({ pattern }) => matchesGlob(namespaceName, pattern));
+  return rule ? rule.access : policy.defaultAccess;
+}
+
+export function canReadNamespace(namespaceName) {
+  return rank(getNamespaceAccess(namespaceName)) >= rank('read');
+}
+
+export function canWriteNamespace(namespaceName) {
+  return rank(getNamespaceAccess(namespaceName)) >= rank('write');
+}
+
+// Throw when the policy does not grant `access` ('read' or 'write') to the namespace
+export function assertNamespaceAccess(namespaceName, access) {
+  const granted = getNamespaceAccess(namespaceName);
+  if (rank(granted) >= rank(access)) {
+    return;
+  }
+  if (granted === 'none') {
+    throw new MoorchehError(`Access denied: namespace "${namespaceName}" is not available under the namespace policy`, { category: 'access_denied' });
+  }
+  throw new MoorchehError(`Access denied: namespace "${namespaceName}" is read-only under the namespace policy`, { category: 'access_denied' });
+}
+
+// Drop namespaces the policy hides from a list of namespace objects
+export function filterReadableNamespaces(namespaces = []) {
+  return namespaces.filter((ns) => canReadNamespace(ns.namespace_name));
+}
@@ -0,0 +1,97 @@
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { getFlagValue } from './args.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const CONFIG_FILE_NAME = 'moorcheh.config.json';
+
+// Settings used when neither a profile nor an environment variable sets them
+const DEFAULT_SETTINGS = {
+  apiUrl: 'https://api.moorcheh.ai/v1',
+  timeoutMs: 30000,
+  uploadTimeoutMs: 120000,
+};
+
+// Profiles available without a config file
+const BUILT_IN_PROFILES = {
+  prod: { apiUrl: 'https://api.moorcheh.ai/v1' },
+};
+
+// Locate the profiles config file: --config, MOORCHEH_CONFIG, then
+// moorcheh.config.json in the working directory or the package root
+function findConfigFile() {
+  const explicitPath = getFlagValue('--config') ?? process.env.MOORCHEH_CONFIG;
+  if (explicitPath) {
+    return resolve(explicitPath);
+  }
+
+  const candidates = [
+    join(process.cwd(), CONFIG_FILE_NAME),
+    join(__dirname, '../../..', CONFIG_FILE_NAME),
+  ];
+  return candidates.find((candidate) => existsSync(candidate));
+}
+
+function loadConfigFile(configPath) {
+  if (!configPath) {
+    return { profiles: {} };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config file ${configPath}: ${error.message}`);
+  }
+
+  if (config.profiles !== undefined && (typeof config.profiles !== 'object' || Array.isArray(config.profiles))) {
+    throw new Error(`Invalid config file ${configPath}: "profiles" must be an object`);
+  }
+  return { ...config, profiles: config.profiles || {} };
+}
+
+const parseTimeout = (value, source) => {
+  if (value === undefined || value === '') return undefined;
+  const timeout = Number(value);
+  if (!Number.isFinite(timeout) || timeout < 0) {
+    throw new Error(`Invalid timeout from ${source}: ${value}`);
+  }
+  return timeout;
+};
+
+/**
+ * Resolve the active API profile.
+ *
+ * The profile is chosen by `--profile`, then MOORCHEH_PROFILE, then the config
+ * file's `defaultProfile`, falling back to `prod`. Environment variables
+ * (MOORCHEH_API_URL, MOORCHEH_TIMEOUT_MS, MOORCHEH_UPLOAD_TIMEOUT_MS) override
+ * the values from the selected profile.
+ */
+export function resolveProfile() {
+  const configPath = findConfigFile();
+  const config = loadConfigFile(configPath);
+  const profiles = { ...BUILT_IN_PROFILES, ...config.profiles };
+
+  const name = getFlagValue('--profile') ?? process.env.MOORCHEH_PROFILE ?? config.defaultProfile ?? 'prod';
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown profile "${name}". Available profiles: ${Object.keys(profiles).join(', ')}`);
+  }
+
+  const apiUrl = (process.env.MOORCHEH_API_URL || profile.apiUrl || DEFAULT_SETTINGS.apiUrl).replace(/\/+$/, '');
+
+  return {
+    name,
+    configPath,
+    apiUrl,
+    timeoutMs: parseTimeout(process.env.MOORCHEH_TIMEOUT_MS, 'MOORCHEH_TIMEOUT_MS')
+      ?? parseTimeout(profile.timeoutMs, `profile "${name}"`)
+      ?? DEFAULT_SETTINGS.timeoutMs,
+    uploadTimeoutMs: parseTimeout(process.env.MOORCHEH_UPLOAD_TIMEOUT_MS, 'MOORCHEH_UPLOAD_TIMEOUT_MS')
+      ?? parseTimeout(profile.uploadTimeoutMs, `profile "${name}"`)
+      ?? DEFAULT_SETTINGS.uploadTimeoutMs,
+  };
+}
@@ -0,0 +1,8 @@
+import { homedir } from 'os';
+import { join, resolve } from 'path';
+
+// Directory for local state (audit log, manifests, registries).
+// Defaults to ~/.moorcheh; override with MOORCHEH_STATE_DIR.
+export const STATE_DIR = process.env.MOORCHEH_STATE_DIR
+  ? resolve(process.env.MOORCHEH_STATE_DIR)
+  : join(homedir(), '.moorcheh');
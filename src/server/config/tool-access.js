@@ -0,0 +1,35 @@
+import { hasFlag, getFlagValue } from './args.js';
+import { matchesAny, parseList } from '../utils/glob.js';
+
+const TRUTHY = new Set(['1', 'true', 'yes', 'on']);
+
+// Read-only mode: --readonly or MOORCHEH_READONLY=true
+const readOnly = hasFlag('--readonly') || TRUTHY.has(String(process.env.MOORCHEH_READONLY).toLowerCase());
+
+// Tool name globs, e.g. --enable-tools "list-*,search" --disable-tools "delete-*"
+const enabledPatterns = parseList(getFlagValue('--enable-tools') ?? process.env.MOORCHEH_ENABLE_TOOLS);
+const disabledPatterns = parseList(getFlagValue('--disable-tools') ?? process.env.MOORCHEH_DISABLE_TOOLS);
+
+export const TOOL_ACCESS = { readOnly, enabledPatterns, disabledPatterns };
+
+/**
+ * Decide whether a tool definition should be registered. Tools marked
+ * `mutating` are dropped in read-only mode; otherwise a tool must match the
+ * allowlist (when one is given) and must not match the denylist.
+ */
+export function isToolEnabled(tool) {
+  if (readOnly && tool.mutating) {
+    return false;
+  }
+  if (enabledPatterns.length > 0 && !matchesAny(tool.name, enabledPatterns)) {
+    return false;
+  }
+  return !matchesAny(tool.name, disabledPatterns);
+}
+
+// Patterns that match none of the given tools, usually a typo worth reporting
+export function findUnmatchedToolPatterns(tools) {
+  return [...enabledPatterns, ...disabledPatterns].filter(
+    (pattern) => !tools.some((tool) => matchesAny(tool.name, [pattern]))
+  );
+}
@@ -1,31 +1,14 @@
 #!/usr/bin/env node
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { createServer, tools } from './server.js';
+import { startHttpServer } from './transports/http.js';
+import { hasFlag, getFlagValue } from './config/args.js';
+import { TOOL_ACCESS, isToolEnabled, findUnmatchedToolPatterns } from './config/tool-access.js';
+import { loadExtractorModules } from './utils/extractors.js';
+import { parseList } from './utils/glob.js';
 
-// Import tools
-import { listNamespacesTool, createNamespaceTool, deleteNamespaceTool } from './tools/namespace-tools.js';
-import { uploadTextTool, uploadVectorsTool, deleteDataTool, getDataTool, uploadFileTool } from './tools/data-tools.js';
-import { searchTool, answerTool } from './tools/search-tools.js';
-
-// Import resources
-import {
-  namespacesResource,
-  namespaceDetailsResource,
-  apiDocsResource,
-  configHelpResource,
-  namespaceCreationGuideResource,
-  searchOptimizationGuideResource,
-  dataOrganizationGuideResource,
-  aiAnswerSetupGuideResource
-} from './utils/resources.js';
-
-// Import prompts
-import {
-  searchOptimizationPrompt,
-  dataOrganizationPrompt,
-  aiAnswerSetupPrompt
-} from './utils/prompts.js';
+const DEFAULT_HTTP_PORT = 3000;
 
 // Suppress stdout to prevent any non-MCP output
 const originalStdoutWrite = process.stdout.write;
@@ -38,183 +21,53 @@ process.stdout.write = (chunk, encoding, callback) => {
   process.stderr.write(chunk, encoding, callback);
 };
 
-// Create server instance
-const server = new McpServer({
-  name: "Moorcheh",
-  version: "1.0.0",
-});
-
-// ========== REGISTER RESOURCES ==========
-
-// Register all resources
-server.resource(
-  namespacesResource.uri,
-  namespacesResource.description,
-  namespacesResource.mimeType,
-  namespacesResource.handler
-);
-
-server.resource(
-  namespaceDetailsResource.uri,
-  namespaceDetailsResource.description,
-  namespaceDetailsResource.mimeType,
-  namespaceDetailsResource.handler
-);
-
-server.resource(
-  apiDocsResource.uri,
-  apiDocsResource.description,
-  apiDocsResource.mimeType,
-  apiDocsResource.handler
-);
-
-server.resource(
-  configHelpResource.uri,
-  configHelpResource.description,
-  configHelpResource.mimeType,
-  configHelpResource.handler
-);
-
-server.resource(
-  namespaceCreationGuideResource.uri,
-  namespaceCreationGuideResource.description,
-  namespaceCreationGuideResource.mimeType,
-  namespaceCreationGuideResource.handler
-);
-
-server.resource(
-  searchOptimizationGuideResource.uri,
-  searchOptimizationGuideResource.description,
-  searchOptimizationGuideResource.mimeType,
-  searchOptimizationGuideResource.handler
-);
-
-server.resource(
-  dataOrganizationGuideResource.uri,
-  dataOrganizationGuideResource.description,
-  dataOrganizationGuideResource.mimeType,
-  dataOrganizationGuideResource.handler
-);
-
-server.resource(
-  aiAnswerSetupGuideResource.uri,
-  aiAnswerSetupGuideResource.description,
-  aiAnswerSetupGuideResource.mimeType,
-  aiAnswerSetupGuideResource.handler
-);
-
-// ========== REGISTER TOOLS ==========
-
-// Register namespace tools
-server.tool(
-  listNamespacesTool.name,
-  listNamespacesTool.description,
-  listNamespacesTool.parameters,
-  listNamespacesTool.handler,
-);
-
-server.tool(
-  createNamespaceTool.name,
-  createNamespaceTool.description,
-  createNamespaceTool.parameters,
-  createNamespaceTool.handler,
-);
-
-server.tool(
-  deleteNamespaceTool.name,
-  deleteNamespaceTool.description,
-  deleteNamespaceTool.parameters,
-  deleteNamespaceTool.handler,
-);
-
-// Register data tools
-server.tool(
-  uploadTextTool.name,
-  uploadTextTool.description,
-  uploadTextTool.parameters,
-  uploadTextTool.handler,
-);
-
-server.tool(
-  uploadVectorsTool.name,
-  uploadVectorsTool.description,
-  uploadVectorsTool.parameters,
-  uploadVectorsTool.handler,
-);
-
-server.tool(
-  deleteDataTool.name,
-  deleteDataTool.description,
-  deleteDataTool.parameters,
-  deleteDataTool.handler,
-);
-
-server.tool(
-  getDataTool.name,
-  getDataTool.description,
-  getDataTool.parameters,
-  getDataTool.handler,
-);
-
-server.tool(
-  uploadFileTool.name,
-  uploadFileTool.description,
-  uploadFileTool.parameters,
-  uploadFileTool.handler,
-);
-
-// Register search tools
-server.tool(
-  searchTool.name,
-  searchTool.description,
-  searchTool.parameters,
-  searchTool.handler,
-);
-
-server.tool(
-  answerTool.name,
-  answerTool.description,
-  answerTool.parameters,
-  answerTool.handler,
-);
-
-// ========== REGISTER PROMPTS ==========
-
-// Register search optimization prompt (new SDK signature)
-server.registerPrompt(
-  searchOptimizationPrompt.name,
-  {
-    title: 'Search Optimization',
-    description: searchOptimizationPrompt.description,
-    argsSchema: searchOptimizationPrompt.argsSchema,
-  },
-  async (args) => searchOptimizationPrompt.handler(args)
-);
+// Serve over Streamable HTTP (`--http [port]`) so several agents can share one server
+async function startHttp() {
+  const portValue = getFlagValue('--http') ?? process.env.MOORCHEH_HTTP_PORT;
+  const port = portValue !== undefined ? Number.parseInt(portValue, 10) : DEFAULT_HTTP_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port: ${portValue}`);
+  }
+  const host = getFlagValue('--host') ?? process.env.MOORCHEH_HTTP_HOST ?? '127.0.0.1';
+  // Host names clients may use besides the bound host, e.g. behind a proxy
+  const allowedHosts = parseList(getFlagValue('--allowed-hosts') ?? process.env.MOORCHEH_HTTP_ALLOWED_HOSTS);
+  // Read from the environment only, so the token does not show in process listings
+  const authToken = process.env.MOORCHEH_HTTP_TOKEN || undefined;
+
+  const { url, shutdown } = await startHttpServer(createServer, { port, host, allowedHosts, authToken });
+  console.error(`Server started (Streamable HTTP) at ${url}${authToken ? ' (bearer token required)' : ''}`);
+
+  const stop = () => {
+    shutdown().finally(() => process.exit(0));
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
 
-// Register data organization prompt
-server.registerPrompt(
-  dataOrganizationPrompt.name,
-  {
-    title: 'Data Organization',
-    description: dataOrganizationPrompt.description,
-    argsSchema: dataOrganizationPrompt.argsSchema,
-  },
-  async (args) => dataOrganizationPrompt.handler(args)
-);
+// Report which tools are exposed when read-only mode or tool filters are active
+function logToolAccess() {
+  for (const pattern of findUnmatchedToolPatterns(tools)) {
+    console.error(`Warning: tool pattern "${pattern}" does not match any tool`);
+  }
 
-// Register AI answer setup prompt
-server.registerPrompt(
-  aiAnswerSetupPrompt.name,
-  {
-    title: 'AI Answer Setup',
-    description: aiAnswerSetupPrompt.description,
-    argsSchema: aiAnswerSetupPrompt.argsSchema,
-  },
-  async (args) => aiAnswerSetupPrompt.handler(args)
-);
+  const { readOnly, enabledPatterns, disabledPatterns } = TOOL_ACCESS;
+  if (readOnly || enabledPatterns.length > 0 || disabledPatterns.length > 0) {
+    const enabled = tools.filter(isToolEnabled).map((tool) => tool.name);
+    console.error(`${readOnly ? 'Read-only mode. ' : ''}Enabled tools: ${enabled.join(', ') || 'none'}`);
+  }
+}
 
 // Start the server
 async function main() {
+  logToolAccess();
+  await loadExtractorModules();
+
+  if (hasFlag('--http')) {
+    await startHttp();
+    return;
+  }
+
+  const server = createServer();
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error("Server started");
@@ -223,4 +76,4 @@ async function main() {
 main().catch((error) => {
   console.error("Fatal error in main():", error);
   process.exit(1);
-}); 
\ No newline at end of file
+});
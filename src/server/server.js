@@ -0,0 +1,163 @@
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+
+// Import tools
+import { listNamespacesTool, createNamespaceTool, deleteNamespaceTool, setMetadataSchemaTool, getMetadataSchemaTool } from './tools/namespace-tools.js';
+import { uploadTextTool, uploadVectorsTool, deleteDataTool, getDataTool, uploadFileTool } from './tools/data-tools.js';
+import { uploadDirectoryTool, syncDirectoryTool } from './tools/directory-tools.js';
+import { checkIngestionTool } from './tools/ingestion-tools.js';
+import { importDatasetTool } from './tools/dataset-tools.js';
+import { upsertDocumentsTool, rollbackDocumentsTool } from './tools/version-tools.js';
+import { copyDocumentsTool } from './tools/copy-tools.js';
+import { searchTool, answerTool } from './tools/search-tools.js';
+
+import { isToolEnabled } from './config/tool-access.js';
+import { withAuditLog } from './utils/audit-log.js';
+
+// Import resources
+import {
+  namespacesResource,
+  namespaceDetailsResource,
+  apiDocsResource,
+  configHelpResource,
+  namespaceCreationGuideResource,
+  searchOptimizationGuideResource,
+  dataOrganizationGuideResource,
+  aiAnswerSetupGuideResource,
+  auditLogResource,
+  watchStatusResource,
+  ingestionResource
+} from './utils/resources.js';
+
+// Import prompts
+import {
+  searchOptimizationPrompt,
+  dataOrganizationPrompt,
+  aiAnswerSetupPrompt
+} from './utils/prompts.js';
+
+// All tool definitions, in registration order
+export const tools = [
+  listNamespacesTool,
+  createNamespaceTool,
+  deleteNamespaceTool,
+  setMetadataSchemaTool,
+  getMetadataSchemaTool,
+  uploadTextTool,
+  uploadVectorsTool,
+  deleteDataTool,
+  getDataTool,
+  upsertDocumentsTool,
+  rollbackDocumentsTool,
+  copyDocumentsTool,
+  uploadFileTool,
+  uploadDirectoryTool,
+  syncDirectoryTool,
+  importDatasetTool,
+  checkIngestionTool,
+  searchTool,
+  answerTool,
+];
+
+// Adapt a resource definition (uri, description, mimeType, handler returning a
+// string) to the SDK's registerResource signature. URIs containing `{...}`
+// placeholders are registered as templates.
+function registerResource(server, resource) {
+  const { uri, description, mimeType, handler } = resource;
+  const readCallback = async (resourceUri) => ({
+    contents: [
+      {
+        uri: resourceUri.href,
+        mimeType,
+        text: await handler(resourceUri.href),
+      },
+    ],
+  });
+
+  const uriOrTemplate = uri.includes('{')
+    ? new ResourceTemplate(uri, { list: undefined })
+    : uri;
+
+  server.registerResource(uri, uriOrTemplate, { description, mimeType }, readCallback);
+}
+
+/**
+ * Create a fully configured Moorcheh MCP server with all tools, resources and
+ * prompts registered. Each transport connection needs its own instance.
+ */
+export function createServer() {
+  // Create server instance
+  const server = new McpServer({
+    name: "Moorcheh",
+    version: "1.0.0",
+  });
+
+  // ========== REGISTER RESOURCES ==========
+
+  // Register all resources
+  registerResource(server, namespacesResource);
+  registerResource(server, namespaceDetailsResource);
+  registerResource(server, apiDocsResource);
+  registerResource(server, configHelpResource);
+  registerResource(server, namespaceCreationGuideResource);
+  registerResource(server, searchOptimizationGuideResource);
+  registerResource(server, dataOrganizationGuideResource);
+  registerResource(server, aiAnswerSetupGuideResource);
+  registerResource(server, auditLogResource);
+  registerResource(server, watchStatusResource);
+  registerResource(server, ingestionResource);
+
+  // ========== REGISTER TOOLS ==========
+
+  // Register every tool allowed by read-only mode and the tool allow/deny lists
+  for (const tool of tools.filter(isToolEnabled)) {
+    // Mutating tools are recorded in the audit log
+    const handler = tool.mutating ? withAuditLog(tool) : tool.handler;
+    server.registerTool(
+      tool.name,
+      {
+        description: tool.description,
+        inputSchema: tool.parameters,
+        outputSchema: tool.outputSchema,
+      },
+      // Give handlers access to the low-level server (client capabilities, elicitation)
+      (args, extra) => handler(args, { ...extra, server: server.server }),
+    );
+  }
+
+  // ========== REGISTER PROMPTS ==========
+
+  // Register search optimization prompt (new SDK signature)
+  server.registerPrompt(
+    searchOptimizationPrompt.name,
+    {
+      title: 'Search Optimization',
+      description: searchOptimizationPrompt.description,
+      argsSchema: searchOptimizationPrompt.argsSchema,
+    },
+    async (args) => searchOptimizationPrompt.handler(args)
+  );
+
+  // Register data organization prompt
+  server.registerPrompt(
+    dataOrganizationPrompt.name,
+    {
+      title: 'Data Organization',
+      description: dataOrganizationPrompt.description,
+      argsSchema: dataOrganizationPrompt.argsSchema,
+    },
+    async (args) => dataOrganizationPrompt.handler(args)
+  );
+
+  // Register AI answer setup prompt
+  server.registerPrompt(
+    aiAnswerSetupPrompt.name,
+    {
+      title: 'AI Answer Setup',
+      description: aiAnswerSetupPrompt.description,
+      argsSchema: aiAnswerSetupPrompt.argsSchema,
+    },
+    async (args) => aiAnswerSetupPrompt.handler(args)
+  );
+
+  return server;
+}
@@ -0,0 +1,242 @@
+import { z } from 'zod';
+import { makeApiRequest, describeApiRequest, API_ENDPOINTS, UPLOAD_BATCH_CONFIG } from '../config/api.js';
+import { assertNamespaceAccess } from '../config/namespace-policy.js';
+import { toolResult, toolError } from '../utils/tool-results.js';
+import { MoorchehError, describeError } from '../utils/errors.js';
+import { requireNamespaceInfo } from '../utils/namespace-info.js';
+import { confirmDestructiveAction, describeDeletion } from '../utils/confirmation.js';
+import { dryRunParameter, dryRunOutputSchema, dryRunResult } from '../utils/dry-run.js';
+import { batchParameters, batchOutputSchema, uploadInBatches, describeBatchedRequest, formatBatches, chunkArray } from '../utils/batching.js';
+import { validateMetadata } from '../utils/metadata-schemas.js';
+import { fetchDocuments, readIdManifest } from '../utils/documents.js';
+import { redactionParameter, redactionOutputSchema, resolveRedaction, redactDocuments, withRedaction } from '../utils/redaction.js';
+
+// IDs per delete request when moving
+const DELETE_BATCH_SIZE = 500;
+
+// Apply a metadata transform: rename keys, then remove keys, then set values
+function transformMetadata(metadata = {}, { rename = {}, remove = [], set = {} } = {}) {
+  const renamed = Object.fromEntries(Object.entries(metadata).map(([key, value]) => [rename[key] ?? key, value]));
+  for (const key of remove) {
+    delete renamed[key];
+  }
+  return { ...renamed, ...set };
+}
+
+// A copy is verified when the target has the same text and every metadata value that was written
+const isCopyOf = (stored, written) => stored?.text === written.text
+  && Object.entries(written.metadata ?? {}).every(([key, value]) => JSON.stringify(stored.metadata?.[key]) === JSON.stringify(value));
+
+async function requireTextNamespace(namespaceName) {
+  const namespace = await requireNamespaceInfo(namespaceName, { cached: true });
+  if (namespace.type === 'vector') {
+    throw new MoorchehError(`Namespace "${namespaceName}" is a vector namespace; copy-documents copies text documents only`, { category: 'validation' });
+  }
+  return namespace;
+}
+
+// Copy documents tool
+export const copyDocumentsTool = {
+  name: "copy-documents",
+  description: "Copy text documents from one namespace to another, by ID list or local manifest, reading them through documents/get. Metadata can be transformed (rename, remove, set keys) and IDs prefixed on the way. Existing documents in the target are skipped unless overwrite is set. With move, the documents are deleted from the source only after their copies are read back from the target and verified; the user is asked to confirm first (clients without elicitation support must pass confirm set to the source namespace name). With redact (or server-wide redaction), the copies are redacted after the metadata transform and before upload; documents dropped by redaction are not copied, or deleted when moving.",
+  mutating: true,
+  parameters: {
+    source_namespace: z.string().describe("Text namespace to copy from"),
+    target_namespace: z.string().describe("Text namespace to copy to"),
+    ids: z.array(z.string()).optional().describe("IDs of the documents to copy"),
+    manifest_path: z.string().optional().describe("Local file listing the IDs instead: a JSON array of IDs or of objects with id/document_id/document_ids, an object with ids, an upload-directory result, a sync-directory manifest, or a text file with one ID per line"),
+    id_prefix: z.string().optional().describe("Prefix added to each ID in the target, e.g. \"billing/\""),
+    metadata: z.object({
+      rename: z.record(z.string(), z.string()).optional().describe("Keys to rename, old name to new name"),
+      remove: z.array(z.string()).optional().describe("Keys to remove"),
+      set: z.record(z.string(), z.any()).optional().describe("Keys to add or overwrite, e.g. {\"department\": \"billing\"}"),
+    }).optional().describe("Metadata transform, applied in the order rename, remove, set"),
+    overwrite: z.boolean().optional().describe("Replace documents that already exist in the target (default: skip them)"),
+    move: z.boolean().optional().describe("Delete the documents from the source once their copies are verified"),
+    confirm: z.string().optional().describe("Only needed with move when the client does not support elicitation: repeat the source namespace name to confirm"),
+    redact: redactionParameter,
+    ...batchParameters,
+    dry_run: dryRunParameter,
+  },
+  outputSchema: {
+    source_namespace: z.string(),
+    target_namespace: z.string(),
+    requested: z.number().describe("Number of source IDs requested"),
+    copied: z.number().describe("Number of documents written to the target"),
+    ids: z.array(z.string()).describe("Target IDs written"),
+    missing: z.array(z.string()).describe("Source IDs that were not found"),
+    skipped: z.array(z.string()).describe("Source IDs skipped because a different document with the target ID exists"),
+    already_copied: z.array(z.string()).describe("Source IDs whose identical copy was already in the target"),
+    deleted: z.array(z.string()).optional().describe("Source IDs deleted after verification (move only)"),
+    not_deleted: z.array(z.string()).optional().describe("Copied source IDs left in the source because verification or deletion failed (move only)"),
+    cancelled: z.boolean().optional().describe("True when the user declined the move"),
+    ...redactionOutputSchema,
+    ...batchOutputSchema,
+    ...dryRunOutputSchema,
+  },
+  handler: async ({ source_namespace, target_namespace, ids, manifest_path, id_prefix = '', metadata: transform, overwrite = false, move = false, confirm, redact, batch_size = UPLOAD_BATCH_CONFIG.batchSize, concurrency = UPLOAD_BATCH_CONFIG.concurrency, dry_run = false }, extra) => {
+    try {
+      if ((ids === undefined) === (manifest_path === undefined)) {
+        throw new MoorchehError('Pass either ids or manifest_path', { category: 'validation' });
+      }
+      if (source_namespace === target_namespace && !id_prefix) {
+        throw new MoorchehError('Copying within a namespace needs an id_prefix, or the documents would be copied onto themselves', { category: 'validation' });
+      }
+      assertNamespaceAccess(source_namespace, move ? 'write' : 'read');
+      assertNamespaceAccess(target_namespace, 'write');
+      const source = await requireTextNamespace(source_namespace);
+      await requireTextNamespace(target_namespace);
+      const redaction = resolveRedaction(redact);
+
+      const sourceIds = ids ? [...new Set(ids)] : await readIdManifest(manifest_path);
+      if (sourceIds.length === 0) {
+        throw new MoorchehError('No document IDs to copy', { category: 'validation' });
+      }
+      const options = { batchSize: batch_size, concurrency };
+
+      const found = await fetchDocuments(source_namespace, sourceIds, options);
+      const missing = sourceIds.filter((id) => !found.has(id));
+      if (found.size === 0) {
+        throw new MoorchehError(`None of the ${sourceIds.length} document(s) were found in namespace "${source_namespace}"`, { category: 'not_found' });
+      }
+
+      let copies = sourceIds.filter((id) => found.has(id)).map((id) => {
+        const { text, metadata } = found.get(id);
+        return { sourceId: id, document: { id: `${id_prefix}${id}`, text, metadata: transformMetadata(metadata, transform) } };
+      });
+      // Redaction runs after the transform, so values it sets are redacted
+      // too, and before the target is read, so copies are compared and
+      // verified as they are written
+      let summary;
+      if (redaction) {
+        const redacted = redactDocuments(copies.map(({ document }) => document), redaction);
+        summary = redacted.summary;
+        const kept = new Map(redacted.documents.map((document) => [document.id, document]));
+        copies = copies.filter(({ document }) => kept.has(document.id)).map((copy) => ({ ...copy, document: kept.get(copy.document.id) }));
+      }
+      // Identical copies already in the target (e.g. from an earlier, interrupted
+      // move) are not written again; other existing IDs are skipped unless overwriting
+      const existing = await fetchDocuments(target_namespace, copies.map(({ document }) => document.id), options);
+      const alreadyCopied = [];
+      const skipped = [];
+      const pending = [];
+      for (const copy of copies) {
+        const stored = existing.get(copy.document.id);
+        if (stored && isCopyOf(stored, copy.document)) {
+          alreadyCopied.push(copy.sourceId);
+        } else if (stored && !overwrite) {
+          skipped.push(copy.sourceId);
+        } else {
+          pending.push(copy);
+        }
+      }
+      const documents = pending.map(({ document }) => document);
+      await validateMetadata(target_namespace, documents);
+
+      const structuredContent = { source_namespace, target_namespace, requested: sourceIds.length, missing, skipped, already_copied: alreadyCopied };
+      const notes = [];
+      if (missing.length > 0) {
+        notes.push(`Not found in "${source_namespace}": ${missing.join(', ')}`);
+      }
+      if (alreadyCopied.length > 0) {
+        notes.push(`${alreadyCopied.length} document(s) already have identical copies in "${target_namespace}" and were not written again: ${alreadyCopied.join(', ')}`);
+      }
+      if (skipped.length > 0) {
+        notes.push(`Skipped ${skipped.length} document(s) that already exist in "${target_namespace}" (pass overwrite to replace them): ${skipped.join(', ')}`);
+      }
+      if (move && summary?.documents_dropped > 0) {
+        notes.push(`${summary.documents_dropped} document(s) dropped by redaction were not copied and stay in "${source_namespace}".`);
+      }
+
+      const targetUrl = `${API_ENDPOINTS.namespaces}/${target_namespace}/documents`;
+      const deleteUrl = `${API_ENDPOINTS.namespaces}/${source_namespace}/documents/delete`;
+      const moveIds = [...alreadyCopied, ...pending.map(({ sourceId }) => sourceId)];
+
+      if (dry_run) {
+        const write = describeBatchedRequest(targetUrl, 'documents', documents, batch_size);
+        const result = dryRunResult(
+          `would ${move ? 'move' : 'copy'} ${documents.length} of ${sourceIds.length} document(s) from "${source_namespace}" to "${target_namespace}"${move ? ', deleting them from the source once the copies are verified' : ''}`,
+          move ? { write, delete: chunkArray(moveIds, DELETE_BATCH_SIZE).map((batch) => describeApiRequest('POST', deleteUrl, { ids: batch })) } : write,
+          { ...structuredContent, copied: 0, ids: documents.map(({ id }) => id) }
+        );
+        if (notes.length > 0) {
+          result.content[0].text += `\n\n${notes.join("\n")}`;
+        }
+        return withRedaction(result, summary);
+      }
+
+      if (move ? moveIds.length === 0 : documents.length === 0) {
+        return withRedaction(toolResult(
+          [`Nothing to copy from "${source_namespace}" to "${target_namespace}".`, ...notes].join("\n\n"),
+          { ...structuredContent, copied: 0, ids: [], batches: [], failed_ids: [] }
+        ), summary);
+      }
+
+      if (move) {
+        const confirmed = await confirmDestructiveAction(extra, {
+          namespaceName: source_namespace,
+          confirm,
+          message: `${describeDeletion({ namespace: source, ids: moveIds })}\nThe documents are copied to "${target_namespace}" first and deleted only once their copies are verified.`,
+        });
+        if (!confirmed) {
+          return toolResult(`Move of ${moveIds.length} document(s) from "${source_namespace}" to "${target_namespace}" was cancelled by the user; nothing was copied.`, {
+            ...structuredContent, copied: 0, ids: [], cancelled: true,
+          });
+        }
+      }
+
+      const upload = documents.length > 0
+        ? await uploadInBatches(targetUrl, 'documents', documents, options)
+        : { batches: [], uploadedIds: [], failedIds: [] };
+      const content = { ...structuredContent, copied: upload.uploadedIds.length, ids: upload.uploadedIds, batches: upload.batches, failed_ids: upload.failedIds };
+      const lines = [`Copied ${upload.uploadedIds.length} of ${sourceIds.length} document(s) from "${source_namespace}" to "${target_namespace}"${id_prefix ? ` with ID prefix "${id_prefix}"` : ''}.`];
+      if (upload.batches.length > 1) {
+        lines.push(formatBatches(upload.batches));
+      }
+      if (upload.failedIds.length > 0) {
+        lines.push(`Failed target IDs (retry these): ${upload.failedIds.join(', ')}`);
+      }
+
+      if (upload.uploadedIds.length === 0 && upload.failedIds.length > 0 && !(move && alreadyCopied.length > 0)) {
+        const result = toolError('Error copying documents', upload.firstError);
+        result.content[0].text += `\n\n${[...lines.slice(1), ...notes].join("\n")}`;
+        return withRedaction({ ...result, structuredContent: { ...content, ...(move ? { deleted: [], not_deleted: [] } : {}) } }, summary);
+      }
+
+      if (move) {
+        // Read the copies back and delete only the sources whose copy matches
+        const written = new Set(upload.uploadedIds);
+        const copied = pending.filter(({ document }) => written.has(document.id));
+        const stored = await fetchDocuments(target_namespace, copied.map(({ document }) => document.id), options);
+        const verified = [...alreadyCopied];
+        const unverified = [];
+        for (const { sourceId, document } of copied) {
+          (isCopyOf(stored.get(document.id), document) ? verified : unverified).push(sourceId);
+        }
+
+        const deleted = [];
+        const failedDeletes = [];
+        for (const batch of chunkArray(verified, DELETE_BATCH_SIZE)) {
+          try {
+            await makeApiRequest('POST', deleteUrl, { ids: batch }, { idempotent: true });
+            deleted.push(...batch);
+          } catch (error) {
+            failedDeletes.push(...batch);
+            lines.push(`Could not delete ${batch.length} document(s) from "${source_namespace}": ${describeError(error).message}`);
+          }
+        }
+        content.deleted = deleted;
+        content.not_deleted = [...unverified, ...failedDeletes];
+
+        lines.push(`Deleted ${deleted.length} document(s) from "${source_namespace}" after verifying their copies.`);
+        if (unverified.length > 0) {
+          lines.push(`Left ${unverified.length} document(s) in "${source_namespace}" because their copies could not be verified yet; run the move again to retry: ${unverified.join(', ')}`);
+        }
+      }
+
+      return withRedaction(toolResult([...lines, ...notes].join("\n\n"), content), summary);
+    } catch (error) {
+      return toolError('Error copying documents', error);
+    }
+  },
+};
@@ -1,43 +1,168 @@
 import { z } from 'zod';
-import { makeApiRequest, API_ENDPOINTS, uploadFile } from '../config/api.js';
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import {
+  makeApiRequest,
+  describeApiRequest,
+  describeFileUpload,
+  describeFileContentUpload,
+  API_ENDPOINTS,
+  uploadFile,
+  uploadFileContent,
+  validateUploadFile,
+  UPLOAD_BATCH_CONFIG,
+  MAX_UPLOAD_FILE_MB,
+  ALLOWED_UPLOAD_EXTENSIONS,
+} from '../config/api.js';
+import { assertNamespaceAccess } from '../config/namespace-policy.js';
+import { toolResult, toolError } from '../utils/tool-results.js';
+import { requireNamespaceInfo, checkNamespace } from '../utils/namespace-info.js';
+import { confirmDestructiveAction, describeDeletion } from '../utils/confirmation.js';
+import { dryRunParameter, dryRunOutputSchema, dryRunResult } from '../utils/dry-run.js';
+import { validateVectors } from '../utils/vectors.js';
+import { chunkingParameter, chunkDocuments, chunkId, reassembleChunks } from '../utils/chunking.js';
+import { batchParameters, batchOutputSchema, uploadInBatches, describeBatchedRequest, formatBatches, mapWithConcurrency } from '../utils/batching.js';
+import { splitFile, SPLITTABLE_EXTENSIONS } from '../utils/file-splitting.js';
+import { MoorchehError, describeError } from '../utils/errors.js';
+import { dedupeParameter, collapsedOutputSchema, dedupeTexts, dedupeVectors, withContentIds, assertUniqueContentIds, textContentId, vectorContentId, formatCollapsed } from '../utils/dedupe.js';
+import { trackUploads, getItemCount } from '../utils/ingestion.js';
+import { findExtractor, extractFile } from '../utils/extractors.js';
+import { validateMetadata } from '../utils/metadata-schemas.js';
+import { extractItems } from '../utils/documents.js';
+import { redactionParameter, redactionOutputSchema, resolveRedaction, redactDocuments, withRedaction } from '../utils/redaction.js';
+
+// Build the result of a batched upload. Partial failures are reported as a
+// successful call listing the failed IDs; the call only fails when no batch
+// was uploaded.
+const batchedUploadResult = ({ namespace_name, noun, errorPrefix, total, upload }) => {
+  const { batches, uploadedIds, failedIds, firstError } = upload;
+  const structuredContent = {
+    namespace_name,
+    uploaded: uploadedIds.length,
+    ids: uploadedIds,
+    batches,
+    failed_ids: failedIds,
+  };
+
+  if (uploadedIds.length === 0) {
+    const result = toolError(errorPrefix, firstError);
+    if (batches.length > 1) {
+      result.content[0].text += `\n\nAll ${batches.length} batches failed:\n${formatBatches(batches)}`;
+    }
+    return { ...result, structuredContent };
+  }
+
+  if (batches.length === 1) {
+    const resultText = `Successfully uploaded ${total} ${noun}(s) to namespace "${namespace_name}":\n${JSON.stringify(batches[0].response, null, 2)}`;
+    return toolResult(resultText, { ...structuredContent, response: batches[0].response });
+  }
+
+  const lines = [
+    `Uploaded ${uploadedIds.length} of ${total} ${noun}(s) to namespace "${namespace_name}" in ${batches.length} batches:`,
+    formatBatches(batches),
+  ];
+  if (failedIds.length > 0) {
+    lines.push('', `Failed IDs (retry these): ${failedIds.join(', ')}`);
+  }
+  return toolResult(lines.join("\n"), structuredContent);
+};
+
+// Dry-run summary suffix for items dropped as duplicates
+const describeCollapsed = (collapsed) => (collapsed?.length
+  ? `, after dropping ${collapsed.length} duplicate(s) (${collapsed.map(({ id, duplicate_of }) => `${id} -> ${duplicate_of}`).join(', ')})`
+  : '');
+
+// Add the items dropped as duplicates to an upload result
+function withCollapsed(result, collapsed) {
+  if (!collapsed) return result;
+  result.structuredContent.collapsed = collapsed;
+  if (collapsed.length > 0) {
+    result.content[0].text += `\n\nDropped ${collapsed.length} duplicate(s) (dropped ID -> kept ID):\n${formatCollapsed(collapsed)}`;
+  }
+  return result;
+}
 
 // Upload text documents tool
 export const uploadTextTool = {
   name: "upload-text",
-  description: "Upload text documents to a namespace in Moorcheh",
+  description: "Upload text documents to a namespace in Moorcheh. Documents without an id get a stable ID derived from a hash of their normalized text, so re-uploading the same content overwrites it instead of adding a copy; the same text given twice without an id is rejected unless dedupe is set. With dedupe, exact and near-duplicate texts are dropped before uploading. With redact, or when the server has redaction settings, emails, phone numbers, card numbers, API keys and custom patterns are masked, hashed, or their documents dropped, before anything leaves the machine. If the namespace has a metadata schema (set-metadata-schema), every document's metadata must match it. Large uploads are split into batches; if some batches fail, the result lists the failed IDs so they can be retried.",
+  mutating: true,
   parameters: {
     namespace_name: z.string().describe("Name of the namespace to upload to"),
     documents: z.array(z.object({
-      id: z.string().describe("Unique identifier for the document"),
+      id: z.string().optional().describe("Unique identifier for the document (default: derived from a hash of the normalized text)"),
       text: z.string().describe("Text content of the document"),
-      metadata: z.record(z.string(), z.any()).optional().describe("Optional metadata for the document"),
+      metadata: z.record(z.string(), z.any()).optional().describe("Optional metadata for the document, checked against the namespace's metadata schema if it has one"),
     })).describe("Array of documents to upload"),
+    chunking: chunkingParameter,
+    dedupe: dedupeParameter,
+    redact: redactionParameter,
+    ...batchParameters,
+    dry_run: dryRunParameter,
   },
-  handler: async ({ namespace_name, documents }) => {
+  outputSchema: {
+    namespace_name: z.string(),
+    uploaded: z.number().describe("Number of documents uploaded"),
+    ids: z.array(z.string()).describe("IDs of the uploaded documents"),
+    response: z.any().optional().describe("Raw API response (single-batch uploads)"),
+    chunks: z.record(z.string(), z.number()).optional().describe("Number of chunks created per parent document ID (chunking only)"),
+    ...collapsedOutputSchema,
+    ...redactionOutputSchema,
+    ...batchOutputSchema,
+    ...dryRunOutputSchema,
+  },
+  handler: async ({ namespace_name, documents: givenDocuments, chunking, dedupe, redact, batch_size = UPLOAD_BATCH_CONFIG.batchSize, concurrency = UPLOAD_BATCH_CONFIG.concurrency, dry_run = false }) => {
     try {
-      const data = await makeApiRequest('POST', `${API_ENDPOINTS.namespaces}/${namespace_name}/documents`, {
-        documents,
-      });
+      assertNamespaceAccess(namespace_name, 'write');
+      if (givenDocuments.length === 0) {
+        throw new MoorchehError('No documents to upload: documents is empty', { category: 'validation' });
+      }
+
+      const url = `${API_ENDPOINTS.namespaces}/${namespace_name}/documents`;
+      // Redaction runs first so nothing sensitive reaches later stages or the
+      // API, including the IDs derived from the text
+      const redaction = resolveRedaction(redact);
+      const { documents: redacted, summary } = redaction ? redactDocuments(givenDocuments, redaction) : { documents: givenDocuments };
+      const identified = withContentIds(redacted, (doc) => textContentId(doc.text));
+      if (!dedupe) assertUniqueContentIds(redacted, identified, 'documents');
+      const { kept: inputDocuments, collapsed } = dedupe ? dedupeTexts(identified, dedupe) : { kept: identified };
+      const documents = chunking ? chunkDocuments(inputDocuments, chunking) : inputDocuments;
+      const chunks = chunking
+        ? Object.fromEntries(inputDocuments.map(({ id }) => [id, documents.filter((doc) => doc.metadata.parent_id === id).length]))
+        : undefined;
+      // The schema applies to the metadata as sent, chunk fields included
+      await validateMetadata(namespace_name, documents);
+
+      if (dry_run) {
+        await requireNamespaceInfo(namespace_name);
+        return withRedaction(dryRunResult(
+          `would upload ${documents.length} document(s) to namespace "${namespace_name}" in ${Math.ceil(documents.length / batch_size)} batch(es)${describeCollapsed(collapsed)}`,
+          describeBatchedRequest(url, 'documents', documents, batch_size),
+          { namespace_name, uploaded: 0, ids: documents.map((doc) => doc.id), chunks, collapsed }
+        ), summary);
+      }
 
-      const resultText = `Successfully uploaded ${documents.length} document(s) to namespace "${namespace_name}":\n${JSON.stringify(data, null, 2)}`;
+      // Empty input is rejected above and dedupe keeps one document of each
+      // group, so only redaction can leave nothing to upload
+      if (documents.length === 0) {
+        return withRedaction(toolResult(`No documents uploaded to namespace "${namespace_name}": every document was dropped by redaction.`, { namespace_name, uploaded: 0, ids: [], batches: [], failed_ids: [] }), summary);
+      }
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: resultText,
-          },
-        ],
-      };
+      const upload = await uploadInBatches(url, 'documents', documents, { batchSize: batch_size, concurrency });
+
+      const result = batchedUploadResult({
+        namespace_name,
+        noun: chunking ? 'chunk' : 'document',
+        errorPrefix: 'Error uploading text documents',
+        total: documents.length,
+        upload,
+      });
+      if (chunks) {
+        result.structuredContent.chunks = chunks;
+      }
+      return withRedaction(withCollapsed(result, collapsed), summary);
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error uploading text documents: ${error.message}`,
-          },
-        ],
-      };
+      return toolError('Error uploading text documents', error);
     }
   },
 };
@@ -45,40 +170,63 @@ export const uploadTextTool = {
 // Upload vectors tool
 export const uploadVectorsTool = {
   name: "upload-vectors",
-  description: "Upload vector data to a namespace in Moorcheh",
+  description: "Upload vector data to a vector namespace in Moorcheh. Vectors are checked before anything is sent: they must match the namespace's vector_dimension and contain only finite numbers, and metadata must match the namespace's metadata schema, if set. Large uploads are split into batches; if some batches fail, the result lists the failed IDs so they can be retried.",
+  mutating: true,
   parameters: {
     namespace_name: z.string().describe("Name of the namespace to upload to"),
     vectors: z.array(z.object({
-      id: z.string().describe("Unique identifier for the vector"),
+      id: z.string().optional().describe("Unique identifier for the vector (default: derived from a hash of its values)"),
       vector: z.array(z.number()).describe("Vector values"),
-      metadata: z.record(z.string(), z.any()).optional().describe("Optional metadata for the vector"),
+      metadata: z.record(z.string(), z.any()).optional().describe("Optional metadata for the vector, checked against the namespace's metadata schema if it has one"),
     })).describe("Array of vectors to upload"),
+    dedupe: z.boolean().optional().describe("Drop vectors whose values exactly repeat an earlier vector, keeping the first. Dropped vectors are listed in collapsed, except copies that share the kept vector's ID."),
+    ...batchParameters,
+    dry_run: dryRunParameter,
+  },
+  outputSchema: {
+    namespace_name: z.string(),
+    uploaded: z.number().describe("Number of vectors uploaded"),
+    ids: z.array(z.string()).describe("IDs of the uploaded vectors"),
+    response: z.any().optional().describe("Raw API response (single-batch uploads)"),
+    ...collapsedOutputSchema,
+    ...batchOutputSchema,
+    ...dryRunOutputSchema,
   },
-  handler: async ({ namespace_name, vectors }) => {
+  handler: async ({ namespace_name, vectors: givenVectors, dedupe = false, batch_size = UPLOAD_BATCH_CONFIG.batchSize, concurrency = UPLOAD_BATCH_CONFIG.concurrency, dry_run = false }) => {
     try {
-      const data = await makeApiRequest('POST', `${API_ENDPOINTS.namespaces}/${namespace_name}/vectors`, {
-        vectors,
-      });
+      assertNamespaceAccess(namespace_name, 'write');
+      if (givenVectors.length === 0) {
+        throw new MoorchehError('No vectors to upload: vectors is empty', { category: 'validation' });
+      }
+
+      const url = `${API_ENDPOINTS.namespaces}/${namespace_name}/vectors`;
+      const identified = withContentIds(givenVectors, (item) => vectorContentId(item.vector));
+      if (!dedupe) assertUniqueContentIds(givenVectors, identified, 'vectors');
+      const { kept: vectors, collapsed } = dedupe ? dedupeVectors(identified) : { kept: identified };
+      await validateMetadata(namespace_name, vectors);
+
+      // Pre-flight checks against the (cached) namespace metadata
+      await checkNamespace(namespace_name, (namespace) => validateVectors(vectors, namespace));
+
+      if (dry_run) {
+        return dryRunResult(
+          `would upload ${vectors.length} vector(s) to namespace "${namespace_name}" in ${Math.ceil(vectors.length / batch_size)} batch(es)${describeCollapsed(collapsed)}`,
+          describeBatchedRequest(url, 'vectors', vectors, batch_size),
+          { namespace_name, uploaded: 0, ids: vectors.map((vec) => vec.id), collapsed }
+        );
+      }
 
-      const resultText = `Successfully uploaded ${vectors.length} vector(s) to namespace "${namespace_name}":\n${JSON.stringify(data, null, 2)}`;
+      const upload = await uploadInBatches(url, 'vectors', vectors, { batchSize: batch_size, concurrency });
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: resultText,
-          },
-        ],
-      };
+      return withCollapsed(batchedUploadResult({
+        namespace_name,
+        noun: 'vector',
+        errorPrefix: 'Error uploading vectors',
+        total: vectors.length,
+        upload,
+      }), collapsed);
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error uploading vectors: ${error.message}`,
-          },
-        ],
-      };
+      return toolError('Error uploading vectors', error);
     }
   },
 };
@@ -86,108 +234,331 @@ export const uploadVectorsTool = {
 // Delete data tool
 export const deleteDataTool = {
   name: "delete-data",
-  description: "Delete specific data items from a namespace in Moorcheh",
+  description: "Delete specific data items from a namespace in Moorcheh. The user is asked to confirm first; clients without elicitation support must pass confirm set to the namespace name.",
+  mutating: true,
   parameters: {
     namespace_name: z.string().describe("Name of the namespace to delete from"),
     ids: z.array(z.string()).describe("Array of document/vector IDs to delete"),
+    confirm: z.string().optional().describe("Only needed when the client does not support elicitation: repeat the namespace name to confirm the deletion"),
+    dry_run: dryRunParameter,
   },
-  handler: async ({ namespace_name, ids }) => {
+  outputSchema: {
+    namespace_name: z.string(),
+    deleted: z.number().describe("Number of IDs sent for deletion"),
+    ids: z.array(z.string()),
+    cancelled: z.boolean().optional().describe("True when the user declined the confirmation"),
+    response: z.any().optional().describe("Raw API response"),
+    ...dryRunOutputSchema,
+  },
+  handler: async ({ namespace_name, ids, confirm, dry_run = false }, extra) => {
     try {
-      const data = await makeApiRequest('POST', `${API_ENDPOINTS.namespaces}/${namespace_name}/documents/delete`, {
-        ids,
+      assertNamespaceAccess(namespace_name, 'write');
+
+      const namespace = await requireNamespaceInfo(namespace_name);
+      const url = `${API_ENDPOINTS.namespaces}/${namespace_name}/documents/delete`;
+
+      if (dry_run) {
+        return dryRunResult(
+          `would delete ${ids.length} item(s) from namespace "${namespace_name}"`,
+          describeApiRequest('POST', url, { ids }),
+          { namespace_name, deleted: 0, ids }
+        );
+      }
+
+      const confirmed = await confirmDestructiveAction(extra, {
+        namespaceName: namespace_name,
+        confirm,
+        message: describeDeletion({ namespace, ids }),
       });
+      if (!confirmed) {
+        return toolResult(`Deletion of ${ids.length} item(s) from namespace "${namespace_name}" was cancelled by the user.`, {
+          namespace_name,
+          deleted: 0,
+          ids,
+          cancelled: true,
+        });
+      }
+
+      const data = await makeApiRequest('POST', url, {
+        ids,
+      }, { idempotent: true });
 
       const resultText = `Successfully deleted ${ids.length} item(s) from namespace "${namespace_name}":\n${JSON.stringify(data, null, 2)}`;
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: resultText,
-          },
-        ],
-      };
+      return toolResult(resultText, { namespace_name, deleted: ids.length, ids, response: data });
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error deleting data: ${error.message}`,
-          },
-        ],
-      };
+      return toolError('Error deleting data', error);
     }
   },
-}; 
+};
 
 // Get data by IDs tool (for text namespaces)
 export const getDataTool = {
   name: "get-data",
-  description: "Get specific data items by ID from a text namespace in Moorcheh",
+  description: "Get specific data items by ID from a text namespace in Moorcheh. With reassemble, the IDs are parent documents uploaded with chunking and each parent is rebuilt from its chunks.",
   parameters: {
     namespace_name: z.string().describe("Name of the text namespace to read from"),
     ids: z.array(z.string()).describe("Array of document IDs to retrieve"),
+    reassemble: z.boolean().optional().describe("Treat ids as parent document IDs uploaded with chunking, and return each parent's full text rebuilt from its chunks"),
   },
-  handler: async ({ namespace_name, ids }) => {
+  outputSchema: {
+    namespace_name: z.string(),
+    requested_ids: z.array(z.string()),
+    items: z.array(z.object({
+      id: z.string().optional(),
+      text: z.string().optional(),
+      metadata: z.record(z.string(), z.any()).optional(),
+      chunk_count: z.number().optional().describe("Number of chunks the parent was split into (reassemble only)"),
+      missing_chunks: z.array(z.string()).optional().describe("Chunk IDs that were not found (reassemble only)"),
+    }).passthrough()).describe("Documents returned by the API, or reassembled parents"),
+    response: z.any().describe("Raw API response"),
+  },
+  handler: async ({ namespace_name, ids, reassemble = false }) => {
     try {
+      assertNamespaceAccess(namespace_name, 'read');
+
+      if (reassemble) {
+        return await getReassembledDocuments(namespace_name, ids);
+      }
+
       const data = await makeApiRequest('POST', `${API_ENDPOINTS.namespaces}/${namespace_name}/documents/get`, {
         ids,
-      });
+      }, { idempotent: true });
 
       const resultText = `Fetched ${ids.length} item(s) from namespace "${namespace_name}":\n${JSON.stringify(data, null, 2)}`;
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: resultText,
-          },
-        ],
-      };
+      return toolResult(resultText, {
+        namespace_name,
+        requested_ids: ids,
+        items: extractItems(data),
+        response: data,
+      });
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error fetching data: ${error.message}`,
-          },
-        ],
-      };
+      return toolError('Error fetching data', error);
     }
   },
 };
 
+// Fetch the chunks of each parent document and rebuild the parents. The first
+// chunk's metadata tells how many chunks to fetch.
+async function getReassembledDocuments(namespace_name, ids) {
+  const url = `${API_ENDPOINTS.namespaces}/${namespace_name}/documents/get`;
+  const fetchChunks = async (chunkIds) =>
+    chunkIds.length > 0 ? extractItems(await makeApiRequest('POST', url, { ids: chunkIds }, { idempotent: true })) : [];
+
+  const firstChunks = await fetchChunks(ids.map((id) => chunkId(id, 0)));
+  const restIds = firstChunks.flatMap(({ metadata }) =>
+    Array.from({ length: Math.max((metadata?.chunk_count ?? 1) - 1, 0) }, (_, i) => chunkId(metadata.parent_id, i + 1))
+  );
+  const allChunks = [...firstChunks, ...await fetchChunks(restIds)];
+
+  const found = ids.filter((id) => firstChunks.some((chunk) => chunk.metadata?.parent_id === id));
+  const missing = ids.filter((id) => !found.includes(id));
+  const items = found.map((id) => reassembleChunks(id, allChunks.filter((chunk) => chunk.metadata?.parent_id === id)));
+
+  const lines = items.map(({ id, text, chunk_count, missing_chunks }) =>
+    `${id} (${chunk_count} chunk(s)${missing_chunks.length > 0 ? `, missing: ${missing_chunks.join(', ')}` : ''}):\n${text}`
+  );
+  if (missing.length > 0) {
+    lines.push(`No chunks found for: ${missing.join(', ')}`);
+  }
+
+  return toolResult(`Reassembled ${items.length} of ${ids.length} document(s) from namespace "${namespace_name}":\n\n${lines.join("\n\n")}`, {
+    namespace_name,
+    requested_ids: ids,
+    items,
+    response: { chunks: allChunks.length },
+  });
+}
+
+// Upload the parts of a split file and combine the results into one
+async function uploadFileParts(namespace_name, file_path, parts) {
+  const itemCountBefore = await getItemCount(namespace_name);
+  let firstError;
+  const results = await mapWithConcurrency(parts, UPLOAD_BATCH_CONFIG.concurrency, async ({ fileName, content, metadata }) => {
+    const part = { file_name: fileName, size_bytes: Buffer.byteLength(content), status: 'uploaded' };
+    try {
+      return { ...part, response: await uploadFileContent(namespace_name, fileName, content, metadata) };
+    } catch (error) {
+      firstError ??= error;
+      return { ...part, status: 'failed', error: describeError(error) };
+    }
+  });
+
+  const tracked = await trackUploads(results.map((part) => ({
+    namespace_name,
+    file_name: part.file_name,
+    file_path,
+    size_bytes: part.size_bytes,
+    response: part.response,
+    error: part.error,
+    item_count_before: itemCountBefore,
+  })));
+  tracked.forEach((record, index) => { results[index].upload_id = record.upload_id; });
+
+  const failed = results.filter((part) => part.status === 'failed');
+  const fileName = parts[0].metadata.part_of;
+  const structuredContent = { namespace_name, file_path, file_name: fileName, parts: results, failed: failed.length };
+  const lines = [
+    `Uploaded "${fileName}" to namespace "${namespace_name}" as ${parts.length} parts (${parts.length - failed.length} uploaded, ${failed.length} failed):`,
+    ...results.map((part) => `${part.file_name} (${part.size_bytes} bytes): ${part.status === 'failed' ? `failed - ${part.error.message}` : part.status}`),
+    '',
+    'Parts are queued for ingestion; use check-ingestion to see when they are searchable.',
+  ];
+
+  if (failed.length === parts.length) {
+    const result = toolError('Error uploading file', firstError);
+    result.content[0].text += `\n\n${lines.join("\n")}`;
+    return { ...result, structuredContent };
+  }
+  return toolResult(lines.join("\n"), structuredContent);
+}
+
+// Convert a file the upload endpoint does not accept with its text
+// extractor and upload the text as one document
+async function uploadExtractedFile(namespace_name, file_path, document_id, redaction, dry_run) {
+  const { extractor, text, metadata } = await extractFile(file_path);
+  const extracted = { id: document_id ?? metadata.filename, text, metadata };
+  const { documents: [document], summary } = redaction ? redactDocuments([extracted], redaction) : { documents: [extracted] };
+  const url = `${API_ENDPOINTS.namespaces}/${namespace_name}/documents`;
+  const structuredContent = { namespace_name, file_path, file_name: metadata.filename, document_id: extracted.id, extractor, metadata: document?.metadata ?? metadata };
+
+  if (!document) {
+    return withRedaction(toolResult(`File "${metadata.filename}" was not uploaded: it was dropped by redaction.`, structuredContent), summary);
+  }
+  await validateMetadata(namespace_name, [document]);
+
+  if (dry_run) {
+    await requireNamespaceInfo(namespace_name);
+    return withRedaction(dryRunResult(
+      `would extract "${metadata.filename}" with the ${extractor} extractor and upload it to namespace "${namespace_name}" as document "${document.id}" (${document.text.length} characters)`,
+      describeApiRequest('POST', url, { documents: [document] }),
+      structuredContent
+    ), summary);
+  }
+
+  const data = await makeApiRequest('POST', url, { documents: [document] }, { idempotent: true });
+  return withRedaction(toolResult(
+    `Extracted "${metadata.filename}" with the ${extractor} extractor and uploaded it to namespace "${namespace_name}" as document "${document.id}":\n${JSON.stringify(data, null, 2)}`,
+    { ...structuredContent, response: data }
+  ), summary);
+}
+
 // Upload file tool
 export const uploadFileTool = {
   name: "upload-file",
-  description: "Upload a file directly to a text-type namespace for processing and indexing. Files are queued for ingestion and will be available for search once processed. Supported file types: .pdf, .docx, .xlsx, .json, .txt, .csv, .md (max 10MB)",
+  description: `Upload a file directly to a text-type namespace for processing and indexing. Files are queued for ingestion and will be available for search once processed. Supported file types: .pdf, .docx, .xlsx, .json, .txt, .csv, .md (max ${MAX_UPLOAD_FILE_MB}MB). With split, larger ${SPLITTABLE_EXTENSIONS.join(', ')} files are split on record or section boundaries and uploaded in parts. Other types with a text extractor (HTML, XML, YAML, .rst, source code, and any loaded with --extractors) are converted to text locally and uploaded as one document with filename, language and title metadata. With redact (or server-wide redaction), text files are redacted locally before upload; .pdf, .docx and .xlsx files are refused.`,
+  mutating: true,
   parameters: {
     namespace_name: z.string().describe("Name of the text namespace to upload the file to"),
-    file_path: z.string().describe("Path to the file to upload (max 10MB). Must be one of: .pdf, .docx, .xlsx, .json, .txt, .csv, .md"),
+    file_path: z.string().describe(`Path to the file to upload (max ${MAX_UPLOAD_FILE_MB}MB unless split is set). Must be one of: .pdf, .docx, .xlsx, .json, .txt, .csv, .md, or a type with a text extractor`),
+    document_id: z.string().optional().describe("Document ID for files converted by a text extractor (default: the file name)"),
+    redact: redactionParameter,
+    split: z.boolean().optional().describe(`Split ${SPLITTABLE_EXTENSIONS.join(', ')} files over ${MAX_UPLOAD_FILE_MB}MB into parts under the limit: CSV by rows (repeating the header), JSON by array elements or object entries, markdown by sections, text by paragraphs. Each part carries part_of metadata.`),
+    dry_run: dryRunParameter,
+  },
+  outputSchema: {
+    namespace_name: z.string(),
+    file_path: z.string(),
+    file_name: z.string().optional(),
+    response: z.any().optional().describe("Raw API response"),
+    upload_id: z.string().optional().describe("Ingestion tracking ID (see check-ingestion)"),
+    parts: z.array(z.object({
+      file_name: z.string(),
+      size_bytes: z.number(),
+      status: z.enum(['uploaded', 'failed', 'ready']).describe("ready: would be uploaded (dry runs only)"),
+      response: z.any().optional(),
+      error: z.any().optional(),
+      upload_id: z.string().optional().describe("Ingestion tracking ID (see check-ingestion)"),
+    })).optional().describe("Parts of a split file"),
+    failed: z.number().optional().describe("Number of parts that failed to upload"),
+    document_id: z.string().optional().describe("ID of the document uploaded for an extracted file"),
+    extractor: z.string().optional().describe("Text extractor used, for files converted locally"),
+    metadata: z.record(z.string(), z.any()).optional().describe("Metadata of the extracted document (filename, language, title)"),
+    ...redactionOutputSchema,
+    ...dryRunOutputSchema,
   },
-  handler: async ({ namespace_name, file_path }) => {
+  handler: async ({ namespace_name, file_path, document_id, redact, split = false, dry_run = false }) => {
     try {
-      const data = await uploadFile(namespace_name, file_path);
-
-      const resultText = `Successfully uploaded file "${data.fileName}" to namespace "${namespace_name}":\n${JSON.stringify(data, null, 2)}`;
-
-      return {
-        content: [
-          {
-            type: "text",
-            text: resultText,
-          },
-        ],
-      };
+      assertNamespaceAccess(namespace_name, 'write');
+      const redaction = resolveRedaction(redact);
+
+      if (!ALLOWED_UPLOAD_EXTENSIONS.includes(extname(file_path).toLowerCase()) && findExtractor(file_path)) {
+        return await uploadExtractedFile(namespace_name, file_path, document_id, redaction, dry_run);
+      }
+
+      const { fileName, sizeBytes, extension } = validateUploadFile(file_path, { checkSize: !split });
+
+      // Redacted files are uploaded from memory. Binary formats cannot be
+      // redacted locally, so they are refused rather than sent unredacted.
+      let content = null;
+      let summary;
+      if (redaction) {
+        if (!SPLITTABLE_EXTENSIONS.includes(extension)) {
+          throw new MoorchehError(`Cannot redact ${extension} files locally; only ${SPLITTABLE_EXTENSIONS.join(', ')} files can be uploaded while redaction is active. Convert the file to text first.`, { category: 'validation' });
+        }
+        const redacted = redactDocuments([{ id: fileName, text: readFileSync(file_path, 'utf8') }], redaction);
+        summary = redacted.summary;
+        if (redacted.documents.length === 0) {
+          return withRedaction(toolResult(`File "${fileName}" was not uploaded: it was dropped by redaction.`, { namespace_name, file_path, file_name: fileName }), summary);
+        }
+        content = redacted.documents[0].text;
+      }
+      const contentBytes = content === null ? sizeBytes : Buffer.byteLength(content);
+
+      const parts = split && contentBytes > MAX_UPLOAD_FILE_MB * 1024 * 1024
+        ? splitFile(file_path, MAX_UPLOAD_FILE_MB * 1024 * 1024, content ?? undefined)
+        : null;
+
+      if (dry_run) {
+        await requireNamespaceInfo(namespace_name);
+        if (parts) {
+          const described = parts.map(({ fileName, content, metadata }) => ({ file_name: fileName, size_bytes: Buffer.byteLength(content), metadata }));
+          return withRedaction(dryRunResult(
+            `would upload file "${parts[0].metadata.part_of}" (${contentBytes} bytes) to namespace "${namespace_name}" as ${parts.length} parts`,
+            described.map(({ metadata, ...file }) => describeFileContentUpload(namespace_name, file, metadata)),
+            { namespace_name, file_path, file_name: parts[0].metadata.part_of, parts: described.map(({ metadata, ...file }) => ({ ...file, status: 'ready' })) }
+          ), summary);
+        }
+        const request = content === null
+          ? describeFileUpload(namespace_name, file_path)
+          : describeFileContentUpload(namespace_name, { file_name: fileName, size_bytes: contentBytes });
+        return withRedaction(dryRunResult(
+          `would upload file "${request.body.file.file_name}" (${request.body.file.size_bytes} bytes) to namespace "${namespace_name}"`,
+          request,
+          { namespace_name, file_path, file_name: request.body.file.file_name }
+        ), summary);
+      }
+
+      if (parts) {
+        return withRedaction(await uploadFileParts(namespace_name, file_path, parts), summary);
+      }
+
+      const itemCountBefore = await getItemCount(namespace_name);
+      const data = content === null
+        ? await uploadFile(namespace_name, file_path)
+        : await uploadFileContent(namespace_name, fileName, content);
+      const uploadedName = data.fileName ?? fileName;
+      const [record] = await trackUploads([{
+        namespace_name,
+        file_name: uploadedName,
+        file_path,
+        size_bytes: contentBytes,
+        response: data,
+        item_count_before: itemCountBefore,
+      }]);
+
+      const resultText = `Successfully uploaded file "${uploadedName}" to namespace "${namespace_name}":\n${JSON.stringify(data, null, 2)}\n\nThe file is queued for ingestion; use check-ingestion to see when it is searchable.`;
+
+      return withRedaction(toolResult(resultText, {
+        namespace_name,
+        file_path,
+        file_name: uploadedName,
+        response: data,
+        upload_id: record?.upload_id,
+      }), summary);
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error uploading file: ${error.message}`,
-          },
-        ],
-      };
+      return toolError('Error uploading file', error);
     }
   },
-};
\ No newline at end of file
+};
@@ -0,0 +1,195 @@
+import { z } from 'zod';
+import { basename, extname } from 'path';
+import { statSync } from 'fs';
+import { describeApiRequest, API_ENDPOINTS, UPLOAD_BATCH_CONFIG } from '../config/api.js';
+import { assertNamespaceAccess } from '../config/namespace-policy.js';
+import { toolResult, toolError } from '../utils/tool-results.js';
+import { MoorchehError } from '../utils/errors.js';
+import { requireNamespaceInfo } from '../utils/namespace-info.js';
+import { dryRunParameter, dryRunOutputSchema, dryRunResult } from '../utils/dry-run.js';
+import { batchParameters, uploadInBatches } from '../utils/batching.js';
+import { metadataValidator } from '../utils/metadata-schemas.js';
+import { redactionParameter, redactionOutputSchema, resolveRedaction, redactDocuments, withRedaction } from '../utils/redaction.js';
+import { DATASET_FORMATS, detectFormat, readDatasetRows, mapRow } from '../utils/datasets.js';
+
+// Row errors listed in the result; the rest are only counted
+const MAX_LISTED_ROW_ERRORS = 100;
+
+// Import dataset tool
+export const importDatasetTool = {
+  name: "import-dataset",
+  description: "Import a local JSONL or CSV file as individual documents (text namespaces) or vectors (vector namespaces), one per row. Columns or JSON paths are mapped to id, text or vector, and metadata fields. Rows are streamed and uploaded in batches; rows that fail validation, including the namespace's metadata schema if it has one, are skipped and reported with their row number. With redact (or server-wide redaction), document text and metadata are redacted locally before upload.",
+  mutating: true,
+  parameters: {
+    namespace_name: z.string().describe("Name of the namespace to import into"),
+    file_path: z.string().describe("Path to a .jsonl, .ndjson or .csv file"),
+    format: z.enum(DATASET_FORMATS).optional().describe("File format (default: from the file extension)"),
+    mapping: z.object({
+      id: z.string().optional().describe("Column or JSON path of the document ID (default: <file name>:<row number>)"),
+      text: z.string().optional().describe("Column or JSON path of the document text (text namespaces)"),
+      vector: z.string().optional().describe("Column or JSON path of the vector (vector namespaces). CSV values may be a JSON array or numbers separated by commas, semicolons or spaces."),
+      metadata: z.union([
+        z.array(z.string()),
+        z.record(z.string(), z.string()),
+      ]).optional().describe("Metadata fields: a list of columns/paths (keyed by their last segment), or an object mapping metadata keys to columns/paths"),
+    }).describe("Where each field comes from. Paths use dots and [index], e.g. \"meta.title\" or \"$.authors[0].name\"."),
+    redact: redactionParameter,
+    ...batchParameters,
+    dry_run: dryRunParameter,
+  },
+  outputSchema: {
+    namespace_name: z.string(),
+    file_path: z.string(),
+    format: z.enum(DATASET_FORMATS),
+    rows: z.number().describe("Rows read"),
+    imported: z.number().describe("Rows uploaded"),
+    invalid: z.number().describe("Rows skipped because they failed validation"),
+    row_errors: z.array(z.object({
+      row: z.number().describe("Line number for JSONL, data row number for CSV"),
+      error: z.string(),
+    })).describe(`Validation errors (first ${MAX_LISTED_ROW_ERRORS})`),
+    batches: z.number().describe("Number of upload requests"),
+    failed_ids: z.array(z.string()).describe("IDs in batches the API rejected; retry these"),
+    ...redactionOutputSchema,
+    ...dryRunOutputSchema,
+  },
+  handler: async ({ namespace_name, file_path, format, mapping, redact, batch_size = UPLOAD_BATCH_CONFIG.batchSize, concurrency = UPLOAD_BATCH_CONFIG.concurrency, dry_run = false }) => {
+    try {
+      assertNamespaceAccess(namespace_name, 'write');
+
+      const namespace = await requireNamespaceInfo(namespace_name);
+      const kind = namespace.type === 'vector' ? 'vector' : 'text';
+      if (!mapping[kind]) {
+        throw new MoorchehError(`mapping.${kind} is required for ${kind} namespace "${namespace_name}"`, { category: 'validation' });
+      }
+      try {
+        statSync(file_path);
+      } catch (error) {
+        throw new MoorchehError(`Cannot read "${file_path}": ${error.message}`, { category: 'validation' });
+      }
+
+      const resolvedFormat = detectFormat(file_path, format);
+      const field = kind === 'vector' ? 'vectors' : 'documents';
+      const url = `${API_ENDPOINTS.namespaces}/${namespace_name}/${field}`;
+      const mapOptions = {
+        mapping,
+        kind,
+        defaultIdPrefix: basename(file_path, extname(file_path)),
+        vectorDimension: namespace.vector_dimension,
+      };
+      const checkMetadata = await metadataValidator(namespace_name);
+      // Vectors carry no text, so only documents are redacted
+      const redaction = kind === 'text' ? resolveRedaction(redact) : null;
+      let redactionSummary;
+
+      const rowErrors = [];
+      let invalid = 0;
+      let rows = 0;
+      let imported = 0;
+      let batches = 0;
+      const failedIds = [];
+      const seenIds = new Set();
+      let pending = [];
+      let firstBatch = null;
+      let firstError;
+
+      const rejectRow = (row, error) => {
+        invalid++;
+        if (rowErrors.length < MAX_LISTED_ROW_ERRORS) rowErrors.push({ row, error });
+      };
+
+      // Upload up to `concurrency` batches at once, then keep reading
+      const flush = async () => {
+        if (pending.length === 0) return;
+        const items = pending;
+        pending = [];
+        if (dry_run) {
+          firstBatch ??= items.slice(0, batch_size);
+          batches += Math.ceil(items.length / batch_size);
+          return;
+        }
+        const upload = await uploadInBatches(url, field, items, { batchSize: batch_size, concurrency });
+        batches += upload.batches.length;
+        imported += upload.uploadedIds.length;
+        failedIds.push(...upload.failedIds);
+        firstError ??= upload.firstError;
+      };
+
+      for await (const { row, record, error } of readDatasetRows(file_path, resolvedFormat)) {
+        rows++;
+        if (error) {
+          rejectRow(row, error);
+          continue;
+        }
+        try {
+          let item = mapRow(record, row, mapOptions);
+          if (redaction) {
+            const redacted = redactDocuments([item], redaction, redactionSummary);
+            redactionSummary = redacted.summary;
+            [item] = redacted.documents;
+            // Rows dropped by redaction are reported in the redaction summary
+            if (!item) continue;
+          }
+          const metadataErrors = checkMetadata?.(item.metadata) ?? [];
+          if (metadataErrors.length > 0) {
+            throw new Error(metadataErrors.join('; '));
+          }
+          if (seenIds.has(item.id)) {
+            throw new Error(`duplicate id "${item.id}"`);
+          }
+          seenIds.add(item.id);
+          pending.push(item);
+        } catch (mappingError) {
+          rejectRow(row, mappingError.message);
+          continue;
+        }
+        if (pending.length >= batch_size * concurrency) {
+          await flush();
+        }
+      }
+      await flush();
+
+      const valid = rows - invalid - (redactionSummary?.documents_dropped ?? 0);
+      const structuredContent = {
+        namespace_name,
+        file_path,
+        format: resolvedFormat,
+        rows,
+        imported,
+        invalid,
+        row_errors: rowErrors,
+        batches,
+        failed_ids: failedIds,
+      };
+      const errorLines = rowErrors.map(({ row, error }) => `Row ${row}: ${error}`);
+      if (invalid > rowErrors.length) {
+        errorLines.push(`... and ${invalid - rowErrors.length} more invalid row(s)`);
+      }
+
+      if (dry_run) {
+        return withRedaction(dryRunResult(
+          `would import ${valid} of ${rows} row(s) from "${file_path}" into ${kind} namespace "${namespace_name}" in ${batches} batch(es); ${invalid} row(s) failed validation${errorLines.length > 0 ? `:\n${errorLines.join("\n")}\n\nFirst batch shown` : '. First batch shown'}`,
+          firstBatch ? describeApiRequest('POST', url, { [field]: firstBatch }) : null,
+          { ...structuredContent, imported: 0 }
+        ), redactionSummary);
+      }
+
+      const lines = [`Imported ${imported} of ${rows} row(s) from "${file_path}" into namespace "${namespace_name}" in ${batches} batch(es).`];
+      if (errorLines.length > 0) {
+        lines.push('', `${invalid} row(s) failed validation and were skipped:`, ...errorLines);
+      }
+      if (failedIds.length > 0) {
+        lines.push('', `${failedIds.length} row(s) were rejected by the API. Failed IDs (retry these): ${failedIds.join(', ')}`);
+      }
+
+      if (valid > 0 && imported === 0 && firstError) {
+        const result = toolError('Error importing dataset', firstError);
+        result.content[0].text += `\n\n${lines.join("\n")}`;
+        return withRedaction({ ...result, structuredContent }, redactionSummary);
+      }
+      return withRedaction(toolResult(lines.join("\n"), structuredContent), redactionSummary);
+    } catch (error) {
+      return toolError('Error importing dataset', error);
+    }
+  },
+};
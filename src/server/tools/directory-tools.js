@@ -0,0 +1,374 @@
+import { z } from 'zod';
+import { readFileSync } from 'fs';
+import { basename, extname } from 'path';
+import { uploadFile, uploadFileContent, validateUploadFile, describeFileUpload, describeFileContentUpload, UPLOAD_BATCH_CONFIG, ALLOWED_UPLOAD_EXTENSIONS, MAX_UPLOAD_FILE_MB, API_ENDPOINTS } from '../config/api.js';
+import { assertNamespaceAccess } from '../config/namespace-policy.js';
+import { toolResult, toolError } from '../utils/tool-results.js';
+import { describeError } from '../utils/errors.js';
+import { trackUploads, getItemCount } from '../utils/ingestion.js';
+import { requireNamespaceInfo } from '../utils/namespace-info.js';
+import { dryRunParameter, dryRunOutputSchema, dryRunResult } from '../utils/dry-run.js';
+import { mapWithConcurrency, batchParameters, formatBatches, uploadInBatches, describeBatchedRequest } from '../utils/batching.js';
+import { walkDirectory, DEFAULT_EXCLUDE } from '../utils/files.js';
+import { findExtractor, extractFile } from '../utils/extractors.js';
+import { chunkingParameter } from '../utils/chunking.js';
+import { SPLITTABLE_EXTENSIONS } from '../utils/file-splitting.js';
+import { metadataValidator } from '../utils/metadata-schemas.js';
+import { redactionParameter, redactionOutputSchema, resolveRedaction, redactDocuments, withRedaction } from '../utils/redaction.js';
+import { confirmDestructiveAction, describeDeletion } from '../utils/confirmation.js';
+import { planSync, planDeletions, applySync, describeSyncRequests, formatSyncPlan, manifestPath, SYNC_TEXT_EXTENSIONS } from '../utils/sync.js';
+
+// Per-file entry of a directory upload manifest
+const manifestEntrySchema = z.object({
+  path: z.string().describe("Path relative to the directory"),
+  status: z.enum(['queued', 'uploaded', 'skipped', 'failed', 'ready']).describe("uploaded: converted by a text extractor and uploaded as a document; ready: would be uploaded (dry runs only)"),
+  size_bytes: z.number().optional(),
+  document_id: z.string().optional().describe("Document ID of an extracted file"),
+  reason: z.string().optional().describe("Why the file was skipped or failed"),
+  error: z.any().optional().describe("Error category, status and message for failed files"),
+  upload_id: z.string().optional().describe("Ingestion tracking ID for queued files (see check-ingestion)"),
+});
+
+// Split walked files into uploadable files, files to convert with a text
+// extractor, and skipped entries, using the same extension and size checks
+// as upload-file
+function checkFiles(files) {
+  const ready = [];
+  const extractable = [];
+  const skipped = [];
+  for (const file of files) {
+    if (!ALLOWED_UPLOAD_EXTENSIONS.includes(extname(file.path).toLowerCase()) && findExtractor(file.path)) {
+      extractable.push(file);
+      continue;
+    }
+    try {
+      const { sizeBytes } = validateUploadFile(file.path);
+      ready.push({ ...file, sizeBytes });
+    } catch (error) {
+      skipped.push({ path: file.relativePath, status: 'skipped', reason: error.message });
+    }
+  }
+  return { ready, extractable, skipped };
+}
+
+// Extract files into documents (ID: relative path). Files that cannot be
+// extracted are skipped with the reason.
+async function extractDocuments(files) {
+  const documents = [];
+  const skipped = [];
+  for (const { path, relativePath } of files) {
+    try {
+      const { text, metadata } = await extractFile(path);
+      documents.push({ id: relativePath, text, metadata: { ...metadata, source_path: relativePath } });
+    } catch (error) {
+      skipped.push({ path: relativePath, status: 'skipped', reason: error.message });
+    }
+  }
+  return { documents, skipped };
+}
+
+// With redaction active, text files are read and redacted locally (and then
+// uploaded from memory), extracted documents are redacted before upload, and
+// binary files are skipped, since they cannot be redacted locally. Files
+// dropped by redaction are skipped too.
+function redactFiles(ready, documents, redaction) {
+  const skipped = [];
+  const textFiles = [];
+  for (const file of ready) {
+    const extension = extname(file.path).toLowerCase();
+    if (SPLITTABLE_EXTENSIONS.includes(extension)) {
+      textFiles.push(file);
+    } else {
+      skipped.push({ path: file.relativePath, status: 'skipped', reason: `Cannot redact ${extension} files locally; only ${SPLITTABLE_EXTENSIONS.join(', ')} files and files with a text extractor are uploaded while redaction is active` });
+    }
+  }
+
+  // Relative paths are unique, so they identify files and documents alike
+  const fileDocuments = textFiles.map(({ path, relativePath }) => ({ id: relativePath, text: readFileSync(path, 'utf8') }));
+  const { documents: redacted, summary } = redactDocuments([...fileDocuments, ...documents], redaction);
+  const kept = new Map(redacted.map((document) => [document.id, document]));
+  skipped.push(...summary.dropped_ids.map((id) => ({ path: id, status: 'skipped', reason: 'Dropped by redaction' })));
+
+  return {
+    ready: textFiles.filter(({ relativePath }) => kept.has(relativePath)).map((file) => {
+      const { text } = kept.get(file.relativePath);
+      return { ...file, content: text, sizeBytes: Buffer.byteLength(text) };
+    }),
+    documents: documents.filter(({ id }) => kept.has(id)).map(({ id }) => kept.get(id)),
+    skipped,
+    summary,
+  };
+}
+
+// Skip extracted documents whose metadata, as it would be sent, does not
+// match the namespace's schema
+async function checkMetadata(namespaceName, documents) {
+  const check = await metadataValidator(namespaceName);
+  if (!check) return { documents, skipped: [] };
+  const valid = [];
+  const skipped = [];
+  for (const document of documents) {
+    const errors = check(document.metadata);
+    if (errors.length === 0) {
+      valid.push(document);
+    } else {
+      skipped.push({ path: document.id, status: 'skipped', reason: `Metadata does not match the namespace's schema: ${errors.join('; ')}` });
+    }
+  }
+  return { documents: valid, skipped };
+}
+
+const countByStatus = (entries, status) => entries.filter((entry) => entry.status === status).length;
+
+// Upload directory tool
+export const uploadDirectoryTool = {
+  name: "upload-directory",
+  description: `Upload every supported file in a directory (recursively) to a text-type namespace. Files are filtered with include/exclude globs. ${ALLOWED_UPLOAD_EXTENSIONS.join(', ')} files are queued for ingestion; HTML, XML, YAML, .rst and source code files are converted to text locally and uploaded as documents (ID: relative path) with filename, language and title metadata. Other files, and files over ${MAX_UPLOAD_FILE_MB}MB, are skipped with a reason. With redact (or server-wide redaction), files are redacted locally before upload and .pdf, .docx and .xlsx files are skipped. Returns a per-file manifest of queued, uploaded, skipped and failed files.`,
+  mutating: true,
+  parameters: {
+    namespace_name: z.string().describe("Name of the text namespace to upload the files to"),
+    directory_path: z.string().describe("Path to the directory to upload"),
+    include: z.array(z.string()).optional().describe("Globs of files to upload, relative to the directory (default: all files). Example: [\"docs/**/*.md\"]"),
+    exclude: z.array(z.string()).optional().describe(`Globs of files to leave out. ${DEFAULT_EXCLUDE.join(' and ')} are always excluded.`),
+    concurrency: z.number().int().min(1).max(16).optional().describe(`Number of files uploaded at once (default ${UPLOAD_BATCH_CONFIG.concurrency})`),
+    redact: redactionParameter,
+    dry_run: dryRunParameter,
+  },
+  outputSchema: {
+    namespace_name: z.string(),
+    directory_path: z.string(),
+    queued: z.number().describe("Files accepted for ingestion"),
+    uploaded: z.number().describe("Files converted by a text extractor and uploaded as documents"),
+    skipped: z.number().describe("Files that failed the type or size checks"),
+    failed: z.number().describe("Files the API rejected"),
+    files: z.array(manifestEntrySchema).describe("Per-file manifest"),
+    ...redactionOutputSchema,
+    ...dryRunOutputSchema,
+  },
+  handler: async ({ namespace_name, directory_path, include, exclude, concurrency = UPLOAD_BATCH_CONFIG.concurrency, redact, dry_run = false }) => {
+    try {
+      assertNamespaceAccess(namespace_name, 'write');
+      await requireNamespaceInfo(namespace_name);
+      const redaction = resolveRedaction(redact);
+
+      const files = await walkDirectory(directory_path, { include: include?.length ? include : undefined, exclude });
+      const checked = checkFiles(files);
+      const extracted = await extractDocuments(checked.extractable);
+      const redacted = redaction
+        ? redactFiles(checked.ready, extracted.documents, redaction)
+        : { ready: checked.ready, documents: extracted.documents, skipped: [] };
+      const { ready, summary } = redacted;
+      const { documents, skipped: invalid } = await checkMetadata(namespace_name, redacted.documents);
+      const skipped = [...checked.skipped, ...extracted.skipped, ...redacted.skipped, ...invalid];
+      const documentsUrl = `${API_ENDPOINTS.namespaces}/${namespace_name}/documents`;
+
+      if (dry_run) {
+        const readyEntries = [
+          ...ready.map(({ relativePath, sizeBytes }) => ({ path: relativePath, status: 'ready', size_bytes: sizeBytes })),
+          ...documents.map(({ id }) => ({ path: id, status: 'ready', document_id: id })),
+        ];
+        return withRedaction(dryRunResult(
+          `would upload ${ready.length} file(s) and ${documents.length} extracted document(s) from "${directory_path}" to namespace "${namespace_name}", skipping ${skipped.length}`,
+          [
+            ...ready.map(({ path, content, sizeBytes }) => (content === undefined
+              ? describeFileUpload(namespace_name, path)
+              : describeFileContentUpload(namespace_name, { file_name: basename(path), size_bytes: sizeBytes }))),
+            ...(documents.length > 0 ? [describeBatchedRequest(documentsUrl, 'documents', documents, UPLOAD_BATCH_CONFIG.batchSize)].flat() : []),
+          ],
+          { namespace_name, directory_path, queued: 0, uploaded: 0, skipped: skipped.length, failed: 0, files: [...readyEntries, ...skipped] }
+        ), summary);
+      }
+
+      const itemCountBefore = await getItemCount(namespace_name);
+      let firstError;
+      const uploaded = await mapWithConcurrency(ready, concurrency, async ({ path, relativePath, sizeBytes, content }) => {
+        try {
+          const response = content === undefined
+            ? await uploadFile(namespace_name, path)
+            : await uploadFileContent(namespace_name, basename(path), content);
+          return { path: relativePath, status: 'queued', size_bytes: sizeBytes, response };
+        } catch (error) {
+          firstError ??= error;
+          const details = describeError(error);
+          return { path: relativePath, status: 'failed', size_bytes: sizeBytes, reason: details.message, error: details };
+        }
+      });
+
+      const tracked = await trackUploads(uploaded.map((entry, index) => ({
+        namespace_name,
+        file_name: entry.path,
+        file_path: ready[index].path,
+        size_bytes: entry.size_bytes,
+        response: entry.response,
+        error: entry.error,
+        item_count_before: itemCountBefore,
+      })));
+      uploaded.forEach((entry, index) => {
+        delete entry.response;
+        if (tracked[index]) entry.upload_id = tracked[index].upload_id;
+      });
+
+      // Extracted documents go through the documents endpoint, like upload-text
+      if (documents.length > 0) {
+        const upload = await uploadInBatches(documentsUrl, 'documents', documents, { concurrency });
+        firstError ??= upload.firstError;
+        const failedIds = new Set(upload.failedIds);
+        const batchErrors = new Map(upload.batches.filter((batch) => batch.error).flatMap((batch) => batch.ids.map((id) => [id, batch.error])));
+        for (const { id } of documents) {
+          uploaded.push(failedIds.has(id)
+            ? { path: id, status: 'failed', document_id: id, reason: batchErrors.get(id)?.message, error: batchErrors.get(id) }
+            : { path: id, status: 'uploaded', document_id: id });
+        }
+      }
+
+      const entries = [...uploaded, ...skipped].sort((a, b) => a.path.localeCompare(b.path));
+      const structuredContent = {
+        namespace_name,
+        directory_path,
+        queued: countByStatus(uploaded, 'queued'),
+        uploaded: countByStatus(uploaded, 'uploaded'),
+        skipped: skipped.length,
+        failed: countByStatus(uploaded, 'failed'),
+        files: entries,
+      };
+
+      const lines = [
+        `Uploaded "${directory_path}" to namespace "${namespace_name}": ${structuredContent.queued} queued, ${structuredContent.uploaded} extracted and uploaded, ${structuredContent.skipped} skipped, ${structuredContent.failed} failed`,
+        '',
+        ...entries.map(({ path, status, reason }) => `${status.padEnd(8)} ${path}${reason ? ` - ${reason}` : ''}`),
+      ];
+
+      // Only an error when every upload attempted was rejected
+      if (structuredContent.failed > 0 && structuredContent.queued + structuredContent.uploaded === 0) {
+        const result = toolError('Error uploading directory', firstError);
+        result.content[0].text += `\n\n${lines.join("\n")}`;
+        return withRedaction({ ...result, structuredContent }, summary);
+      }
+
+      return withRedaction(toolResult(lines.join("\n"), structuredContent), summary);
+    } catch (error) {
+      return toolError('Error uploading directory', error);
+    }
+  },
+};
+
+// Structured form of a sync plan (documents left out)
+const describePlan = (plan) => ({
+  upload: plan.upload.map(({ path, reason, ids }) => ({ path, reason, ids })),
+  remove: plan.remove.map(({ path, ids }) => ({ path, ids })),
+  stale_ids: plan.upload.flatMap((file) => file.stale_ids),
+  unchanged: plan.unchanged.length,
+  skipped: plan.skipped,
+});
+
+// Sync directory tool
+export const syncDirectoryTool = {
+  name: "sync-directory",
+  description: `Incrementally sync a directory of text files (${SYNC_TEXT_EXTENSIONS.join(', ')}, plus HTML, XML, YAML, .rst and source code converted by their text extractors) to a text-type namespace. A local manifest records each file's content hash and document IDs, so only new or changed files are uploaded, and the documents of files removed locally are deleted. With redact (or server-wide redaction), files are redacted locally before they are chunked and uploaded. The plan is shown before it is applied; when it deletes documents the user is asked to confirm (clients without elicitation support must pass confirm set to the namespace name). Use dry_run to only see the plan.`,
+  mutating: true,
+  parameters: {
+    namespace_name: z.string().describe("Name of the text namespace to sync to"),
+    directory_path: z.string().describe("Path to the directory to sync"),
+    include: z.array(z.string()).optional().describe("Globs of files to sync, relative to the directory (default: all files)"),
+    exclude: z.array(z.string()).optional().describe(`Globs of files to leave out. ${DEFAULT_EXCLUDE.join(' and ')} are always excluded. Previously synced files that become excluded are deleted from the namespace.`),
+    id_prefix: z.string().optional().describe("Prefix for document IDs, which are otherwise the file paths relative to the directory"),
+    chunking: chunkingParameter,
+    redact: redactionParameter,
+    ...batchParameters,
+    confirm: z.string().optional().describe("Only needed when the plan deletes documents and the client does not support elicitation: repeat the namespace name to confirm"),
+    dry_run: dryRunParameter,
+  },
+  outputSchema: {
+    namespace_name: z.string(),
+    directory_path: z.string(),
+    manifest_path: z.string().describe("Local manifest recording the synced state"),
+    plan: z.object({
+      upload: z.array(z.object({ path: z.string(), reason: z.enum(['new', 'changed']), ids: z.array(z.string()) })),
+      remove: z.array(z.object({ path: z.string(), ids: z.array(z.string()) })),
+      stale_ids: z.array(z.string()).describe("Documents of changed files that the new version no longer produces"),
+      unchanged: z.number(),
+      skipped: z.array(z.object({ path: z.string(), reason: z.string() })),
+    }).describe("What the sync uploads and deletes"),
+    uploaded_files: z.array(z.string()).optional(),
+    removed_files: z.array(z.string()).optional(),
+    deleted_ids: z.array(z.string()).optional(),
+    failed_ids: z.array(z.string()).optional().describe("Document IDs whose upload or deletion failed; the next sync retries them"),
+    cancelled: z.boolean().optional().describe("True when the user declined the confirmation"),
+    ...redactionOutputSchema,
+    ...dryRunOutputSchema,
+  },
+  handler: async ({ namespace_name, directory_path, include, exclude, id_prefix, chunking, redact, batch_size, concurrency, confirm, dry_run = false }, extra) => {
+    try {
+      assertNamespaceAccess(namespace_name, 'write');
+      const namespace = await requireNamespaceInfo(namespace_name);
+
+      const plan = await planSync(namespace_name, directory_path, {
+        include: include?.length ? include : undefined,
+        exclude,
+        idPrefix: id_prefix,
+        chunking,
+        redaction: resolveRedaction(redact),
+      });
+      const planText = formatSyncPlan(plan);
+      const structuredPlan = {
+        namespace_name,
+        directory_path: plan.directory,
+        manifest_path: manifestPath(namespace_name),
+        plan: describePlan(plan),
+        ...(plan.redaction ? { redaction: plan.redaction } : {}),
+      };
+
+      if (dry_run) {
+        return dryRunResult(planText, describeSyncRequests(plan, batch_size), structuredPlan);
+      }
+
+      if (plan.upload.length === 0 && plan.remove.length === 0) {
+        return toolResult(planText, { ...structuredPlan, uploaded_files: [], removed_files: [], deleted_ids: [], failed_ids: [] });
+      }
+
+      const deletions = planDeletions(plan);
+      if (deletions.length > 0) {
+        const confirmed = await confirmDestructiveAction(extra, {
+          namespaceName: namespace_name,
+          confirm,
+          message: `${planText}\n\n${describeDeletion({ namespace, ids: deletions })}`,
+        });
+        if (!confirmed) {
+          return toolResult(`${planText}\n\nSync was cancelled by the user; nothing was changed.`, { ...structuredPlan, cancelled: true });
+        }
+      }
+
+      const applied = await applySync(plan, { batchSize: batch_size, concurrency });
+      const structuredContent = {
+        ...structuredPlan,
+        uploaded_files: applied.uploadedFiles,
+        removed_files: applied.removedFiles,
+        deleted_ids: applied.deletedIds,
+        failed_ids: applied.failedIds,
+      };
+
+      const lines = [
+        planText,
+        '',
+        `Applied: ${applied.uploadedFiles.length} file(s) uploaded, ${applied.removedFiles.length} removed file(s) deleted (${applied.deletedIds.length} document(s)).`,
+      ];
+      if (applied.batches.length > 1) {
+        lines.push(formatBatches(applied.batches));
+      }
+      if (applied.failedIds.length > 0) {
+        lines.push('', `Failed IDs (the next sync retries these): ${applied.failedIds.join(', ')}`);
+      }
+
+      const changed = applied.uploadedFiles.length + applied.removedFiles.length;
+      if (applied.firstError && changed === 0) {
+        const result = toolError('Error syncing directory', applied.firstError);
+        result.content[0].text += `\n\n${lines.join("\n")}`;
+        return { ...result, structuredContent };
+      }
+
+      return toolResult(lines.join("\n"), structuredContent);
+    } catch (error) {
+      return toolError('Error syncing directory', error);
+    }
+  },
+};
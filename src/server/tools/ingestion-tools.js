@@ -0,0 +1,73 @@
+import { z } from 'zod';
+import { assertNamespaceAccess, canReadNamespace } from '../config/namespace-policy.js';
+import { toolResult, toolError } from '../utils/tool-results.js';
+import { checkIngestion, INGESTION_TIMEOUT_MS } from '../utils/ingestion.js';
+
+const uploadSchema = z.object({
+  upload_id: z.string(),
+  namespace_name: z.string(),
+  file_name: z.string(),
+  status: z.enum(['pending', 'completed', 'probably_completed', 'failed']),
+  uploaded_at: z.string(),
+  completed_at: z.string().optional(),
+  probe: z.string().optional().describe("How completion was detected: documents, or item_count (probably_completed)"),
+  items_added: z.number().nullable().optional().describe("Namespace items added since the upload (pending uploads)"),
+  error: z.string().optional(),
+});
+
+// Fields of a tracked upload shown to clients
+const summarizeUpload = ({ upload_id, namespace_name, file_name, status, uploaded_at, completed_at, probe, items_added, error }) => ({
+  upload_id, namespace_name, file_name, status, uploaded_at, completed_at, probe, items_added, error,
+});
+
+// Check ingestion tool
+export const checkIngestionTool = {
+  name: "check-ingestion",
+  description: `Check whether files uploaded with upload-file or upload-directory have been ingested and are searchable. Pending uploads are probed and reported as pending, completed, probably_completed or failed. Uploads that returned document IDs are completed once those documents can be fetched; others are only probably_completed once the namespace item count has grown, since other writes to the namespace grow it too. Uploads still pending ${Math.round(INGESTION_TIMEOUT_MS / 60000)} minutes after upload are marked failed.`,
+  parameters: {
+    namespace_name: z.string().optional().describe("Only check uploads to this namespace"),
+    upload_ids: z.array(z.string()).optional().describe("Only check these uploads (upload_id from upload-file or upload-directory)"),
+  },
+  outputSchema: {
+    pending: z.array(uploadSchema),
+    completed: z.array(uploadSchema),
+    probably_completed: z.array(uploadSchema).describe("Uploads without document IDs whose namespace item count has grown by at least the number of pending uploads"),
+    failed: z.array(uploadSchema),
+  },
+  handler: async ({ namespace_name, upload_ids }) => {
+    try {
+      if (namespace_name) {
+        assertNamespaceAccess(namespace_name, 'read');
+      }
+
+      // Namespaces hidden by the policy are left out before anything is probed
+      const uploads = (await checkIngestion({
+        namespaces: namespace_name ? [namespace_name] : undefined,
+        uploadIds: upload_ids?.length ? upload_ids : undefined,
+        includeNamespace: canReadNamespace,
+      })).map(summarizeUpload);
+
+      const byStatus = (status) => uploads.filter((upload) => upload.status === status);
+      const structuredContent = { pending: byStatus('pending'), completed: byStatus('completed'), probably_completed: byStatus('probably_completed'), failed: byStatus('failed') };
+
+      if (uploads.length === 0) {
+        return toolResult("No tracked uploads found", structuredContent);
+      }
+
+      const lines = [`Tracked uploads: ${structuredContent.pending.length} pending, ${structuredContent.completed.length} completed, ${structuredContent.probably_completed.length} probably completed, ${structuredContent.failed.length} failed`];
+      for (const status of ['pending', 'completed', 'probably_completed', 'failed']) {
+        for (const upload of structuredContent[status]) {
+          const detail = upload.error ? ` - ${upload.error}` : '';
+          lines.push(`${status.replace('_', ' ').padEnd(9)} ${upload.namespace_name}/${upload.file_name} (${upload.upload_id}, uploaded ${upload.uploaded_at})${detail}`);
+        }
+      }
+      if (structuredContent.probably_completed.length > 0) {
+        lines.push('', 'Probably completed: the namespace item count grew by at least the number of pending uploads, but other writes to the namespace grow it too. Search for the content to be sure.');
+      }
+
+      return toolResult(lines.join("\n"), structuredContent);
+    } catch (error) {
+      return toolError('Error checking ingestion', error);
+    }
+  },
+};
@@ -1,27 +1,46 @@
 import { z } from 'zod';
-import { makeApiRequest, API_ENDPOINTS } from '../config/api.js';
+import { makeApiRequest, describeApiRequest, API_ENDPOINTS } from '../config/api.js';
+import { assertNamespaceAccess, filterReadableNamespaces } from '../config/namespace-policy.js';
+import { toolResult, toolError } from '../utils/tool-results.js';
+import { MoorchehError } from '../utils/errors.js';
+import { getNamespaceInfo, requireNamespaceInfo, invalidateNamespaceCache } from '../utils/namespace-info.js';
+import { confirmDestructiveAction, describeDeletion } from '../utils/confirmation.js';
+import { dryRunParameter, dryRunOutputSchema, dryRunResult } from '../utils/dry-run.js';
+import { METADATA_SCHEMAS_PATH, compileMetadataSchema, getMetadataSchema, setMetadataSchema, removeMetadataSchema } from '../utils/metadata-schemas.js';
 
 // Namespace listing tool
 export const listNamespacesTool = {
   name: "list-namespaces",
   description: "List all available namespaces in Moorcheh",
   parameters: {},
+  outputSchema: {
+    namespaces: z.array(z.object({
+      namespace_name: z.string(),
+      type: z.string().optional(),
+      vector_dimension: z.number().nullable().optional(),
+      created_at: z.string().optional(),
+      item_count: z.number().optional(),
+    })).describe("Namespaces visible to this server"),
+    total: z.number().describe("Number of namespaces returned"),
+  },
   handler: async () => {
     try {
       const data = await makeApiRequest('GET', API_ENDPOINTS.namespaces);
-      
-      if (!data.namespaces || data.namespaces.length === 0) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: "No namespaces found",
-            },
-          ],
-        };
+      const namespaces = filterReadableNamespaces(data.namespaces);
+      const structuredNamespaces = namespaces.map((ns) => ({
+        namespace_name: ns.namespace_name,
+        type: ns.type,
+        vector_dimension: ns.vector_dimension ?? null,
+        created_at: ns.createdAt,
+        item_count: ns.itemCount,
+      }));
+      const structuredContent = { namespaces: structuredNamespaces, total: structuredNamespaces.length };
+
+      if (namespaces.length === 0) {
+        return toolResult("No namespaces found", structuredContent);
       }
 
-      const formattedNamespaces = data.namespaces.map((ns) =>
+      const formattedNamespaces = namespaces.map((ns) =>
         [
           `Namespace: ${ns.namespace_name}`,
           `Type: ${ns.type}`,
@@ -34,23 +53,9 @@ export const listNamespacesTool = {
 
       const namespacesText = `Available namespaces:\n\n${formattedNamespaces.join("\n")}`;
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: namespacesText,
-          },
-        ],
-      };
+      return toolResult(namespacesText, structuredContent);
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error listing namespaces: ${error.message}`,
-          },
-        ],
-      };
+      return toolError('Error listing namespaces', error);
     }
   },
 };
@@ -59,38 +64,52 @@ export const listNamespacesTool = {
 export const createNamespaceTool = {
   name: "create-namespace",
   description: "Create a new namespace for document storage in Moorcheh",
+  mutating: true,
   parameters: {
     namespace_name: z.string().describe("Name of the namespace to create"),
     type: z.string().optional().describe("Type of namespace (text, vector, etc.)"),
     vector_dimension: z.number().optional().describe("Vector dimension for vector namespaces"),
+    dry_run: dryRunParameter,
   },
-  handler: async ({ namespace_name, type = "text", vector_dimension }) => {
+  outputSchema: {
+    namespace_name: z.string(),
+    type: z.string(),
+    vector_dimension: z.number().optional(),
+    response: z.any().optional().describe("Raw API response"),
+    ...dryRunOutputSchema,
+  },
+  handler: async ({ namespace_name, type = "text", vector_dimension, dry_run = false }) => {
     try {
-      const data = await makeApiRequest('POST', API_ENDPOINTS.namespaces, {
+      assertNamespaceAccess(namespace_name, 'write');
+      if (type === 'vector' && !vector_dimension) {
+        throw new MoorchehError('vector_dimension is required for vector namespaces', { category: 'validation' });
+      }
+
+      const body = {
         namespace_name,
         type,
         vector_dimension,
-      });
+      };
+
+      if (dry_run) {
+        if (await getNamespaceInfo(namespace_name)) {
+          throw new MoorchehError(`Namespace "${namespace_name}" already exists`, { category: 'validation' });
+        }
+        return dryRunResult(
+          `would create ${type} namespace "${namespace_name}"`,
+          describeApiRequest('POST', API_ENDPOINTS.namespaces, body),
+          { namespace_name, type, vector_dimension }
+        );
+      }
+
+      const data = await makeApiRequest('POST', API_ENDPOINTS.namespaces, body);
+      invalidateNamespaceCache();
 
       const resultText = `Successfully created namespace "${namespace_name}":\n${JSON.stringify(data, null, 2)}`;
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: resultText,
-          },
-        ],
-      };
+      return toolResult(resultText, { namespace_name, type, vector_dimension, response: data });
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error creating namespace: ${error.message}`,
-          },
-        ],
-      };
+      return toolError('Error creating namespace', error);
     }
   },
 };
@@ -98,33 +117,137 @@ export const createNamespaceTool = {
 // Delete namespace tool
 export const deleteNamespaceTool = {
   name: "delete-namespace",
-  description: "Delete a namespace and all its contents from Moorcheh",
+  description: "Delete a namespace and all its contents from Moorcheh. The user is asked to confirm first; clients without elicitation support must pass confirm set to the namespace name.",
+  mutating: true,
   parameters: {
     namespace_name: z.string().describe("Name of the namespace to delete"),
+    confirm: z.string().optional().describe("Only needed when the client does not support elicitation: repeat the namespace name to confirm the deletion"),
+    dry_run: dryRunParameter,
   },
-  handler: async ({ namespace_name }) => {
+  outputSchema: {
+    namespace_name: z.string(),
+    deleted: z.boolean(),
+    cancelled: z.boolean().optional().describe("True when the user declined the confirmation"),
+    response: z.any().optional().describe("Raw API response"),
+    ...dryRunOutputSchema,
+  },
+  handler: async ({ namespace_name, confirm, dry_run = false }, extra) => {
     try {
-      const data = await makeApiRequest('DELETE', `${API_ENDPOINTS.namespaces}/${namespace_name}`);
+      assertNamespaceAccess(namespace_name, 'write');
+
+      const namespace = await requireNamespaceInfo(namespace_name);
+      const url = `${API_ENDPOINTS.namespaces}/${namespace_name}`;
+
+      if (dry_run) {
+        return dryRunResult(
+          `would delete namespace "${namespace_name}" with ${namespace.itemCount ?? 'an unknown number of'} item(s)`,
+          describeApiRequest('DELETE', url),
+          { namespace_name, deleted: false }
+        );
+      }
+
+      const confirmed = await confirmDestructiveAction(extra, {
+        namespaceName: namespace_name,
+        confirm,
+        message: describeDeletion({ namespace }),
+      });
+      if (!confirmed) {
+        return toolResult(`Deletion of namespace "${namespace_name}" was cancelled by the user.`, {
+          namespace_name,
+          deleted: false,
+          cancelled: true,
+        });
+      }
+
+      const data = await makeApiRequest('DELETE', url);
+      invalidateNamespaceCache();
+      await removeMetadataSchema(namespace_name);
 
       const resultText = `Successfully deleted namespace "${namespace_name}":\n${JSON.stringify(data, null, 2)}`;
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: resultText,
-          },
-        ],
-      };
+      return toolResult(resultText, { namespace_name, deleted: true, response: data });
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error deleting namespace: ${error.message}`,
-          },
-        ],
-      };
+      return toolError('Error deleting namespace', error);
+    }
+  },
+};
+
+// Set metadata schema tool
+export const setMetadataSchemaTool = {
+  name: "set-metadata-schema",
+  description: "Attach a JSON Schema to a namespace in the local metadata schema registry. upload-text, upload-vectors and import-dataset then check every document's metadata against it before anything is sent, and reject documents with unknown fields (with additionalProperties: false), missing required fields or wrong types. Pass schema: null to remove the schema.",
+  mutating: true,
+  parameters: {
+    namespace_name: z.string().describe("Name of the namespace"),
+    schema: z.record(z.string(), z.any()).nullable().describe("JSON Schema for the metadata object of one document or vector, e.g. {\"type\": \"object\", \"properties\": {\"category\": {\"enum\": [\"billing\", \"support\"]}}, \"required\": [\"category\"], \"additionalProperties\": false}. null removes the schema."),
+    dry_run: dryRunParameter,
+  },
+  outputSchema: {
+    namespace_name: z.string(),
+    schema: z.record(z.string(), z.any()).nullable().describe("The registered schema, or null when removed"),
+    updated_at: z.string().optional().describe("When the schema was registered"),
+    removed: z.boolean().optional().describe("True when a schema was removed"),
+    ...dryRunOutputSchema,
+  },
+  handler: async ({ namespace_name, schema, dry_run = false }) => {
+    try {
+      assertNamespaceAccess(namespace_name, 'write');
+      await requireNamespaceInfo(namespace_name, { cached: true });
+
+      if (dry_run) {
+        if (schema) compileMetadataSchema(schema);
+        return dryRunResult(
+          schema ? `would set the metadata schema of namespace "${namespace_name}"` : `would remove the metadata schema of namespace "${namespace_name}"`,
+          { registry: METADATA_SCHEMAS_PATH, namespace_name, schema },
+          { namespace_name, schema }
+        );
+      }
+
+      if (!schema) {
+        const removed = await removeMetadataSchema(namespace_name);
+        return toolResult(
+          removed ? `Removed the metadata schema of namespace "${namespace_name}".` : `Namespace "${namespace_name}" has no metadata schema.`,
+          { namespace_name, schema: null, removed }
+        );
+      }
+
+      const entry = await setMetadataSchema(namespace_name, schema);
+      return toolResult(
+        `Set the metadata schema of namespace "${namespace_name}". Uploads are now checked against it:\n${JSON.stringify(schema, null, 2)}`,
+        { namespace_name, ...entry }
+      );
+    } catch (error) {
+      return toolError('Error setting metadata schema', error);
     }
   },
-}; 
\ No newline at end of file
+};
+
+// Get metadata schema tool
+export const getMetadataSchemaTool = {
+  name: "get-metadata-schema",
+  description: "Show the JSON Schema that uploads to a namespace are checked against, from the local metadata schema registry",
+  parameters: {
+    namespace_name: z.string().describe("Name of the namespace"),
+  },
+  outputSchema: {
+    namespace_name: z.string(),
+    schema: z.record(z.string(), z.any()).nullable().describe("The registered schema, or null when the namespace has none"),
+    updated_at: z.string().optional().describe("When the schema was registered"),
+  },
+  handler: async ({ namespace_name }) => {
+    try {
+      assertNamespaceAccess(namespace_name, 'read');
+
+      const entry = await getMetadataSchema(namespace_name);
+      if (!entry) {
+        return toolResult(`Namespace "${namespace_name}" has no metadata schema; any metadata is accepted.`, { namespace_name, schema: null });
+      }
+      return toolResult(
+        `Metadata schema of namespace "${namespace_name}" (set ${entry.updated_at}):\n${JSON.stringify(entry.schema, null, 2)}`,
+        { namespace_name, ...entry }
+      );
+    } catch (error) {
+      return toolError('Error getting metadata schema', error);
+    }
+  },
+};
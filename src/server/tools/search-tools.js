@@ -1,10 +1,14 @@
 import { z } from 'zod';
 import { makeApiRequest, API_ENDPOINTS } from '../config/api.js';
+import { assertNamespaceAccess } from '../config/namespace-policy.js';
+import { toolResult, toolError, validationError } from '../utils/tool-results.js';
+import { checkNamespace } from '../utils/namespace-info.js';
+import { validateQueryVector, validateTextQuery } from '../utils/vectors.js';
 
 // Search tool
 export const searchTool = {
   name: "search",
-  description: "Search for data in a namespace using semantic search or vector similarity. This tool provides powerful search capabilities across your namespaces, supporting both text-based semantic search and vector-based similarity search. For text search, you can use natural language queries to find relevant documents based on meaning rather than just keywords. For vector search, you can find similar content by comparing vector embeddings. The tool supports advanced features like result filtering, similarity thresholds, metadata filters, keyword filters, and kiosk mode for production environments. This is ideal for building intelligent search interfaces, recommendation systems, or content discovery features.\n\nFiltering Capabilities:\n- Metadata Filters: Use #key:value format (e.g., #category:tech, #priority:high)\n- Keyword Filters: Use #keyword format (e.g., #important, #urgent)\n- Filters only apply to text search and metadata must be manually uploaded with documents",
+  description: "Search for data in a namespace using semantic search or vector similarity. This tool provides powerful search capabilities across your namespaces, supporting both text-based semantic search and vector-based similarity search. For text search, you can use natural language queries to find relevant documents based on meaning rather than just keywords. For vector search, you can find similar content by comparing vector embeddings. The tool supports advanced features like result filtering, similarity thresholds, metadata filters, keyword filters, and kiosk mode for production environments. This is ideal for building intelligent search interfaces, recommendation systems, or content discovery features.\n\nFiltering Capabilities:\n- Metadata Filters: Use #key:value format (e.g., #category:tech, #priority:high)\n- Keyword Filters: Use #keyword format (e.g., #important, #urgent)\n- Filters only apply to text search and metadata must be manually uploaded with documents\n\nBefore searching, each namespace's type and vector dimension are checked: text queries need text namespaces, and query vectors must match the dimension of every vector namespace searched.",
   parameters: {
     namespaces: z.array(z.string().min(1)).min(1).describe("Namespaces to search in. Provide an array of namespace names where you want to search for content. You can search across multiple namespaces simultaneously. All namespaces must be accessible with your API key."),
     query: z.union([z.string().min(1), z.array(z.number())]).describe("Search query. For text search: provide a natural language query string (e.g., 'tell me about the company?', 'how to configure authentication?'). For vector search: provide an array of numbers representing a vector embedding (e.g., [0.1, 0.2, 0.3, ..., 0.768]). The query type will be automatically detected based on the input format. DO NOT USE QUOTES IN THE QUERY FOR VECTOR SEARCH.\n\nFiltering: For text search, you can include filters in your query:\n- Metadata filters: #category:tech #priority:high\n- Keyword filters: #important #urgent\n- Combine both: 'serverless benefits #category:tech #important'"),
@@ -13,8 +17,26 @@ export const searchTool = {
     threshold: z.number().min(0).max(1).optional().describe("Similarity threshold for results. A value between 0 and 1 that filters results based on similarity score. Higher values (0.7-0.9) return only highly similar results, lower values (0.3-0.5) return more comprehensive results. Required when kiosk_mode is true."),
     kiosk_mode: z.boolean().optional().describe("Kiosk mode for restricted search. When true, search is restricted to specific namespaces with threshold filtering, providing more controlled results suitable for production environments. When false, search across all specified namespaces without strict filtering."),
   },
+  outputSchema: {
+    query: z.union([z.string(), z.array(z.number())]).describe("Query that was sent"),
+    query_type: z.enum(['text', 'vector']),
+    namespaces: z.array(z.string()),
+    results: z.array(z.object({
+      id: z.string().nullable(),
+      text: z.string().nullable(),
+      score: z.number().nullable(),
+      label: z.string().nullable(),
+      metadata: z.record(z.string(), z.any()),
+    })).describe("Search results in rank order"),
+    total: z.number().describe("Total number of results reported by the API"),
+    execution_time: z.number().optional().describe("Server-side execution time in seconds"),
+    timings: z.record(z.string(), z.number()).optional().describe("Server-side timing breakdown in seconds"),
+    latency_ms: z.number().describe("Round-trip time measured by this server in milliseconds"),
+  },
   handler: async ({ namespaces, query, query_type, top_k = 10, threshold, kiosk_mode = false }) => {
     try {
+      namespaces.forEach((namespace) => assertNamespaceAccess(namespace, 'read'));
+
       // Determine query type if not explicitly provided
       let finalQueryType = query_type;
       let finalQuery = query;
@@ -40,14 +62,7 @@ export const searchTool = {
         } else if (Array.isArray(query) && query.every(item => typeof item === 'number')) {
           finalQueryType = 'vector';
         } else {
-          return {
-            content: [
-              {
-                type: "text",
-                text: 'Error: Unable to determine query type. Please specify query_type parameter or provide a valid string (for text) or number array (for vector).',
-              },
-            ],
-          };
+          return validationError('Unable to determine query type. Please specify query_type parameter or provide a valid string (for text) or number array (for vector).');
         }
       }
 
@@ -58,47 +73,25 @@ export const searchTool = {
           if (Array.isArray(parsedArray) && parsedArray.every(item => typeof item === 'number')) {
             finalQuery = parsedArray;
           } else {
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: 'Error: Vector query type requires an array of numbers',
-                },
-              ],
-            };
+            return validationError('Vector query type requires an array of numbers');
           }
         } catch (e) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: 'Error: Vector query type requires an array of numbers',
-              },
-            ],
-          };
+          return validationError('Vector query type requires an array of numbers');
         }
       }
 
       // Validate query format matches query type
       if (finalQueryType === 'text' && typeof finalQuery !== 'string') {
-        return {
-          content: [
-            {
-              type: "text",
-              text: 'Error: Text query type requires a string query. Example: "your search text here"',
-            },
-          ],
-        };
+        return validationError('Text query type requires a string query. Example: "your search text here"');
       }
       if (finalQueryType === 'vector' && (!Array.isArray(finalQuery) || !finalQuery.every(item => typeof item === 'number'))) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: 'Error: Vector query type requires an array of numbers. Example: [0.1, 0.2, 0.3, 0.4, 0.5] for 5-dimensional namespace',
-            },
-          ],
-        };
+        return validationError('Vector query type requires an array of numbers. Example: [0.1, 0.2, 0.3, 0.4, 0.5] for 5-dimensional namespace');
+      }
+
+      // Pre-flight checks against the (cached) namespace metadata: namespace
+      // type, and the query vector's dimension and values
+      for (const namespace of namespaces) {
+        await checkNamespace(namespace, (info) => (finalQueryType === 'vector' ? validateQueryVector(finalQuery, info) : validateTextQuery(info)));
       }
 
       const requestBody = {
@@ -111,17 +104,30 @@ export const searchTool = {
         requestBody.threshold = threshold;
       }
       
-      const data = await makeApiRequest('POST', API_ENDPOINTS.search, requestBody);
+      const startedAt = Date.now();
+      const data = await makeApiRequest('POST', API_ENDPOINTS.search, requestBody, { idempotent: true });
+      const latencyMs = Date.now() - startedAt;
+
+      const results = (data.results || []).map((result) => ({
+        id: result.id != null ? String(result.id) : null,
+        text: result.text ?? result.content ?? null,
+        score: typeof result.score === 'number' ? result.score : null,
+        label: result.label ?? null,
+        metadata: result.metadata || {},
+      }));
+      const structuredContent = {
+        query: finalQuery,
+        query_type: finalQueryType,
+        namespaces,
+        results,
+        total: data.total ?? results.length,
+        execution_time: data.execution_time,
+        timings: data.timings,
+        latency_ms: latencyMs,
+      };
       
-      if (!data.results || data.results.length === 0) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `No results found for query: "${query}"`,
-            },
-          ],
-        };
+      if (results.length === 0) {
+        return toolResult(`No results found for query: "${query}"`, structuredContent);
       }
       
       const formattedResults = data.results.map((result, index) =>
@@ -154,23 +160,9 @@ export const searchTool = {
         searchText += `\n\nOptimization: ${data.optimization_info.fetch_strategy}`;
       }
       
-      return {
-        content: [
-          {
-            type: "text",
-            text: searchText,
-          },
-        ],
-      };
+      return toolResult(searchText, structuredContent);
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error searching: ${error.message}`,
-          },
-        ],
-      };
+      return toolError('Error searching', error);
     }
   },
 };
@@ -194,10 +186,22 @@ export const answerTool = {
     footerPrompt: z.string().optional().describe("Footer prompt for AI answer generation. Additional instructions that are applied after the main response generation. Useful for formatting requirements, citation styles, or specific response patterns that should be consistently applied."),
     temperature: z.number().min(0).max(2.0).optional().describe("Temperature for AI answer generation. Controls the creativity and randomness of responses. Lower values (0.1-0.3) produce more focused, deterministic answers. Higher values (0.7-1.0) produce more creative, varied responses. Default is 0.7."),
   },
+  outputSchema: {
+    mode: z.enum(['search', 'direct']).describe("'search' when answering from a namespace, 'direct' for Direct AI Mode"),
+    namespace: z.string(),
+    query: z.string(),
+    answer: z.string().describe("Generated answer"),
+    model: z.string().optional().describe("AI model used, when known"),
+    latency_ms: z.number().describe("Round-trip time measured by this server in milliseconds"),
+    response: z.any().describe("Raw API response"),
+  },
   handler: async ({ namespace, query, top_k = 5, threshold, kiosk_mode = false, aiModel, chatHistory = [], headerPrompt, footerPrompt, temperature = 0.7 }) => {
     try {
       // Determine if this is Direct AI Mode (empty namespace) or Search Mode (with namespace)
       const isDirectAIMode = namespace === "";
+      if (!isDirectAIMode) {
+        assertNamespaceAccess(namespace, 'read');
+      }
       
       const requestBody = {
         namespace,
@@ -246,29 +250,26 @@ export const answerTool = {
         }
       }
 
-      const data = await makeApiRequest('POST', API_ENDPOINTS.answer, requestBody);
+      const startedAt = Date.now();
+      const data = await makeApiRequest('POST', API_ENDPOINTS.answer, requestBody, { idempotent: true });
+      const latencyMs = Date.now() - startedAt;
 
       const mode = isDirectAIMode ? "Direct AI Mode" : "Search Mode";
       const namespaceInfo = isDirectAIMode ? "no namespace (direct AI call)" : `namespace "${namespace}"`;
-      const resultText = `AI Answer (${mode}) for "${query}" using ${namespaceInfo}:\n\n${data.answer || data.response || JSON.stringify(data, null, 2)}`;
+      const answer = data.answer || data.response || JSON.stringify(data, null, 2);
+      const resultText = `AI Answer (${mode}) for "${query}" using ${namespaceInfo}:\n\n${answer}`;
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: resultText,
-          },
-        ],
-      };
+      return toolResult(resultText, {
+        mode: isDirectAIMode ? 'direct' : 'search',
+        namespace,
+        query,
+        answer,
+        model: data.model ?? aiModel,
+        latency_ms: latencyMs,
+        response: data,
+      });
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Error getting AI answer: ${error.message}`,
-          },
-        ],
-      };
+      return toolError('Error getting AI answer', error);
     }
   },
 }; 
\ No newline at end of file
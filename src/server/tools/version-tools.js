@@ -0,0 +1,289 @@
+import { z } from 'zod';
+import { API_ENDPOINTS, UPLOAD_BATCH_CONFIG } from '../config/api.js';
+import { assertNamespaceAccess } from '../config/namespace-policy.js';
+import { toolResult, toolError } from '../utils/tool-results.js';
+import { MoorchehError } from '../utils/errors.js';
+import { requireNamespaceInfo } from '../utils/namespace-info.js';
+import { dryRunParameter, dryRunOutputSchema, dryRunResult } from '../utils/dry-run.js';
+import { batchParameters, batchOutputSchema, uploadInBatches, describeBatchedRequest, formatBatches } from '../utils/batching.js';
+import { validateMetadata } from '../utils/metadata-schemas.js';
+import { fetchDocuments } from '../utils/documents.js';
+import { redactionParameter, redactionOutputSchema, resolveRedaction, redactDocuments, withRedaction } from '../utils/redaction.js';
+
+// Versioned updates of text documents. The API overwrites a document when one
+// with the same ID is uploaded, so an update is a single upload rather than a
+// delete followed by an upload. Each upserted document carries `version` (1
+// for new documents, the previous version + 1 otherwise) and `updated_at` in
+// its metadata. With a history namespace, the previous version is copied
+// there first, as `<id>@v<version>` with `source_id`, `source_namespace` and
+// `archived_at` metadata, and a document is only replaced once its previous
+// version has been archived.
+
+// Metadata fields set here rather than by the caller
+const VERSION_FIELDS = ['version', 'updated_at'];
+const HISTORY_FIELDS = ['source_id', 'source_namespace', 'archived_at'];
+
+const historyId = (id, version) => `${id}@v${version}`;
+
+// Version of a stored document; documents uploaded without versioning count as version 1
+const currentVersion = (document) => (Number.isInteger(document.metadata?.version) ? document.metadata.version : 1);
+
+const withoutFields = (metadata, fields) => Object.fromEntries(Object.entries(metadata ?? {}).filter(([key]) => !fields.includes(key)));
+
+const sameMetadata = (a, b) => {
+  const sorted = (metadata) => JSON.stringify(Object.entries(metadata).sort(([x], [y]) => x.localeCompare(y)));
+  return sorted(a) === sorted(b);
+};
+
+// Output fields shared by upsert-documents and rollback-documents
+const versionOutputSchema = {
+  namespace_name: z.string(),
+  uploaded: z.number().describe("Number of documents written"),
+  ids: z.array(z.string()).describe("IDs of the documents written"),
+  versions: z.record(z.string(), z.number()).describe("New version per written document ID"),
+  created: z.array(z.string()).describe("IDs that did not exist before"),
+  updated: z.array(z.string()).describe("IDs that replaced an earlier version"),
+  unchanged: z.array(z.string()).describe("IDs skipped because text and metadata were unchanged"),
+  history_namespace: z.string().optional(),
+  archived: z.array(z.string()).optional().describe("History IDs (<id>@v<version>) of the archived previous versions"),
+  ...redactionOutputSchema,
+  ...batchOutputSchema,
+  ...dryRunOutputSchema,
+};
+
+async function requireTextNamespace(namespaceName) {
+  const namespace = await requireNamespaceInfo(namespaceName, { cached: true });
+  if (namespace.type === 'vector') {
+    throw new MoorchehError(`Namespace "${namespaceName}" is a vector namespace; versioned updates work on text documents only`, { category: 'validation' });
+  }
+  return namespace;
+}
+
+// Check the target and history namespaces of an upsert or rollback
+async function checkNamespaces(namespace_name, history_namespace) {
+  assertNamespaceAccess(namespace_name, 'write');
+  await requireTextNamespace(namespace_name);
+  if (history_namespace !== undefined) {
+    if (history_namespace === namespace_name) {
+      throw new MoorchehError('history_namespace must be a different namespace from namespace_name', { category: 'validation' });
+    }
+    assertNamespaceAccess(history_namespace, 'write');
+    await requireTextNamespace(history_namespace);
+  }
+}
+
+/**
+ * Write new versions of documents (`[{ id, text, metadata }]`), archiving the
+ * previous versions to `history_namespace` when given. `previous` maps IDs to
+ * the stored documents. With `redaction`, the new versions and the archived
+ * copies are redacted before upload. Returns the tool result.
+ */
+async function writeVersions({ namespace_name, history_namespace, documents: givenDocuments, previous, redaction, errorPrefix, batch_size, concurrency, dry_run }) {
+  const now = new Date().toISOString();
+  const created = [];
+  const updated = [];
+  const unchanged = [];
+  const writes = [];
+  let archives = [];
+
+  // New versions are redacted before they are compared with the stored ones,
+  // so a document whose redacted text has not changed is skipped
+  let { documents, summary: redactionSummary } = redaction ? redactDocuments(givenDocuments, redaction) : { documents: givenDocuments };
+
+  for (const document of documents) {
+    const prior = previous.get(document.id);
+    const metadata = withoutFields(document.metadata, VERSION_FIELDS);
+    if (prior && prior.text === document.text && sameMetadata(withoutFields(prior.metadata, VERSION_FIELDS), metadata)) {
+      unchanged.push(document.id);
+      continue;
+    }
+    const version = prior ? currentVersion(prior) + 1 : 1;
+    (prior ? updated : created).push(document.id);
+    writes.push({ id: document.id, text: document.text, metadata: { ...metadata, version, updated_at: now } });
+    if (prior && history_namespace) {
+      archives.push({
+        id: historyId(document.id, version - 1),
+        text: prior.text,
+        metadata: { ...prior.metadata, version: version - 1, source_id: document.id, source_namespace: namespace_name, archived_at: now },
+      });
+    }
+  }
+
+  // An archived copy dropped by redaction is not kept; its document is still replaced
+  if (redaction && archives.length > 0) {
+    ({ documents: archives, summary: redactionSummary } = redactDocuments(archives, redaction, redactionSummary));
+  }
+
+  // Checked as written, with the version and history fields
+  await validateMetadata(namespace_name, writes);
+  if (archives.length > 0) {
+    await validateMetadata(history_namespace, archives);
+  }
+
+  const url = `${API_ENDPOINTS.namespaces}/${namespace_name}/documents`;
+  const historyUrl = history_namespace && `${API_ENDPOINTS.namespaces}/${history_namespace}/documents`;
+  const versions = Object.fromEntries(writes.map(({ id, metadata }) => [id, metadata.version]));
+  const summary = `${created.length} new, ${updated.length} updated, ${unchanged.length} unchanged`;
+  const structuredContent = { namespace_name, created, updated, unchanged, history_namespace, archived: history_namespace ? archives.map(({ id }) => id) : undefined };
+
+  if (dry_run) {
+    const request = describeBatchedRequest(url, 'documents', writes, batch_size);
+    return withRedaction(dryRunResult(
+      `would write ${writes.length} document(s) to namespace "${namespace_name}" (${summary})${archives.length > 0 ? `, after archiving ${archives.length} previous version(s) to "${history_namespace}"` : ''}`,
+      archives.length > 0 ? { archive: describeBatchedRequest(historyUrl, 'documents', archives, batch_size), write: request } : request,
+      { ...structuredContent, uploaded: 0, ids: writes.map(({ id }) => id), versions }
+    ), redactionSummary);
+  }
+
+  if (writes.length === 0) {
+    const dropped = givenDocuments.length - documents.length;
+    const reason = dropped > 0
+      ? `${unchanged.length} document(s) are unchanged and ${dropped} were dropped by redaction`
+      : `all ${unchanged.length} document(s) are unchanged`;
+    return withRedaction(toolResult(`No changes to write to namespace "${namespace_name}": ${reason}.`, {
+      ...structuredContent, uploaded: 0, ids: [], versions: {}, batches: [], failed_ids: [],
+    }), redactionSummary);
+  }
+
+  // Archive first: a document whose previous version could not be archived is not replaced
+  let archiveFailedIds = [];
+  let archiveError;
+  if (archives.length > 0) {
+    const archived = await uploadInBatches(historyUrl, 'documents', archives, { batchSize: batch_size, concurrency });
+    const failed = new Set(archived.failedIds);
+    archiveFailedIds = archives.filter(({ id }) => failed.has(id)).map(({ metadata }) => metadata.source_id);
+    structuredContent.archived = archived.uploadedIds;
+    archiveError = archived.firstError;
+  }
+  const notArchived = new Set(archiveFailedIds);
+  const ready = writes.filter(({ id }) => !notArchived.has(id));
+  const upload = ready.length > 0
+    ? await uploadInBatches(url, 'documents', ready, { batchSize: batch_size, concurrency })
+    : { batches: [], uploadedIds: [], failedIds: [] };
+
+  const uploadedIds = upload.uploadedIds;
+  const failedIds = [...archiveFailedIds, ...upload.failedIds];
+  const written = Object.fromEntries(uploadedIds.map((id) => [id, versions[id]]));
+  const content = { ...structuredContent, uploaded: uploadedIds.length, ids: uploadedIds, versions: written, batches: upload.batches, failed_ids: failedIds };
+
+  const lines = [];
+  if (archiveFailedIds.length > 0) {
+    lines.push(`Could not archive the previous version of ${archiveFailedIds.length} document(s) to "${history_namespace}", so they were not replaced: ${archiveFailedIds.join(', ')}`);
+  }
+  if (upload.batches.length > 1) {
+    lines.push(formatBatches(upload.batches));
+  }
+  if (upload.failedIds.length > 0) {
+    lines.push(`Failed IDs (retry these): ${upload.failedIds.join(', ')}`);
+  }
+
+  if (uploadedIds.length === 0) {
+    const result = toolError(errorPrefix, upload.firstError ?? archiveError);
+    if (lines.length > 0) {
+      result.content[0].text += `\n\n${lines.join("\n")}`;
+    }
+    return withRedaction({ ...result, structuredContent: content }, redactionSummary);
+  }
+
+  const versionList = uploadedIds.map((id) => `  ${id}: v${written[id]}`).join("\n");
+  const archivedNote = content.archived?.length > 0 ? `\nArchived ${content.archived.length} previous version(s) to "${history_namespace}".` : '';
+  return withRedaction(toolResult(
+    [`Wrote ${uploadedIds.length} of ${writes.length} document(s) to namespace "${namespace_name}" (${summary}):\n${versionList}${archivedNote}`, ...lines].join("\n\n"),
+    content
+  ), redactionSummary);
+}
+
+// Upsert documents tool
+export const upsertDocumentsTool = {
+  name: "upsert-documents",
+  description: "Create or replace text documents by ID in one step, without deleting first. Each document gets a version counter (1 for new documents, previous + 1 otherwise) and updated_at in its metadata; the previous version is fetched first, and documents whose text and metadata are unchanged are skipped. With history_namespace, each previous version is copied there as <id>@v<version> before it is replaced, so it can be restored with rollback-documents. With redact (or server-wide redaction), new versions and archived copies are redacted locally before upload.",
+  mutating: true,
+  parameters: {
+    namespace_name: z.string().describe("Name of the text namespace to write to"),
+    documents: z.array(z.object({
+      id: z.string().describe("ID of the document to create or replace"),
+      text: z.string().describe("New text of the document"),
+      metadata: z.record(z.string(), z.any()).optional().describe("New metadata, replacing the previous metadata (version and updated_at are set automatically)"),
+    })).describe("Documents to create or replace"),
+    history_namespace: z.string().optional().describe("Text namespace that keeps previous versions for rollback"),
+    redact: redactionParameter,
+    ...batchParameters,
+    dry_run: dryRunParameter,
+  },
+  outputSchema: versionOutputSchema,
+  handler: async ({ namespace_name, documents, history_namespace, redact, batch_size = UPLOAD_BATCH_CONFIG.batchSize, concurrency = UPLOAD_BATCH_CONFIG.concurrency, dry_run = false }) => {
+    try {
+      const duplicates = documents.map(({ id }) => id).filter((id, index, ids) => ids.indexOf(id) !== index);
+      if (duplicates.length > 0) {
+        throw new MoorchehError(`Each document ID may only appear once; repeated: ${[...new Set(duplicates)].join(', ')}`, { category: 'validation' });
+      }
+      await checkNamespaces(namespace_name, history_namespace);
+
+      const redaction = resolveRedaction(redact);
+
+      const previous = await fetchDocuments(namespace_name, documents.map(({ id }) => id), { batchSize: batch_size, concurrency });
+      return await writeVersions({ namespace_name, history_namespace, documents, previous, redaction, errorPrefix: 'Error upserting documents', batch_size, concurrency, dry_run });
+    } catch (error) {
+      return toolError('Error upserting documents', error);
+    }
+  },
+};
+
+// Rollback documents tool
+export const rollbackDocumentsTool = {
+  name: "rollback-documents",
+  description: "Restore earlier versions of documents written with upsert-documents from their history namespace. The restored text and metadata are written as a new version (with restored_from_version), and the version being replaced is archived in turn, so a rollback can itself be undone. Nothing is written unless every requested version is found. Server-wide redaction applies to the restored versions.",
+  mutating: true,
+  parameters: {
+    namespace_name: z.string().describe("Name of the text namespace to restore documents in"),
+    history_namespace: z.string().describe("History namespace the previous versions were archived to"),
+    ids: z.array(z.string()).describe("IDs of the documents to restore"),
+    version: z.number().int().min(1).optional().describe("Version to restore (default: the version before the current one)"),
+    ...batchParameters,
+    dry_run: dryRunParameter,
+  },
+  outputSchema: versionOutputSchema,
+  handler: async ({ namespace_name, history_namespace, ids, version, batch_size = UPLOAD_BATCH_CONFIG.batchSize, concurrency = UPLOAD_BATCH_CONFIG.concurrency, dry_run = false }) => {
+    try {
+      await checkNamespaces(namespace_name, history_namespace);
+      const uniqueIds = [...new Set(ids)];
+
+      const current = await fetchDocuments(namespace_name, uniqueIds, { batchSize: batch_size, concurrency });
+      const problems = [];
+      const targets = new Map();
+      for (const id of uniqueIds) {
+        const document = current.get(id);
+        if (!document) {
+          problems.push(`${id}: not found in "${namespace_name}"`);
+          continue;
+        }
+        const target = version ?? currentVersion(document) - 1;
+        if (target < 1) {
+          problems.push(`${id}: version ${currentVersion(document)} has no earlier version`);
+        } else if (target >= currentVersion(document)) {
+          problems.push(`${id}: version ${target} is not earlier than the current version ${currentVersion(document)}`);
+        } else {
+          targets.set(id, target);
+        }
+      }
+
+      const archived = await fetchDocuments(history_namespace, [...targets].map(([id, target]) => historyId(id, target)), { batchSize: batch_size, concurrency });
+      for (const [id, target] of targets) {
+        if (!archived.has(historyId(id, target))) {
+          problems.push(`${id}: version ${target} (${historyId(id, target)}) not found in "${history_namespace}"`);
+        }
+      }
+      if (problems.length > 0) {
+        throw new MoorchehError(`Cannot roll back ${problems.length} document(s); nothing was changed:\n  ${problems.join("\n  ")}`, { category: 'validation' });
+      }
+
+      const documents = [...targets].map(([id, target]) => {
+        const { text, metadata } = archived.get(historyId(id, target));
+        return { id, text, metadata: { ...withoutFields(metadata, [...VERSION_FIELDS, 'restored_from_version', ...HISTORY_FIELDS]), restored_from_version: target } };
+      });
+      return await writeVersions({ namespace_name, history_namespace, documents, previous: current, redaction: resolveRedaction(), errorPrefix: 'Error rolling back documents', batch_size, concurrency, dry_run });
+    } catch (error) {
+      return toolError('Error rolling back documents', error);
+    }
+  },
+};
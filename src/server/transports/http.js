@@ -0,0 +1,247 @@
+import { createServer as createHttpServer } from 'http';
+import { createHash, randomUUID, timingSafeEqual, webcrypto } from 'crypto';
+import { hostname, networkInterfaces } from 'os';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+// The SDK's transport uses the global Web Crypto API, which Node 18 only
+// exposes behind a flag
+globalThis.crypto ??= webcrypto;
+
+const MCP_PATH = '/mcp';
+const HEALTH_PATH = '/healthz';
+const MAX_BODY_BYTES = 16 * 1024 * 1024;
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+// Write a JSON-RPC error response (used before a request reaches a transport)
+function sendJsonRpcError(res, httpStatus, code, message) {
+  res.writeHead(httpStatus, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: "2.0",
+    error: { code, message },
+    id: null,
+  }));
+}
+
+// Read and parse a JSON request body
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        resolve(raw ? JSON.parse(raw) : undefined);
+      } catch (error) {
+        reject(new SyntaxError(`Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function containsInitializeRequest(body) {
+  return Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+}
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::', ''];
+
+// Host as written in a Host header, with IPv6 addresses in brackets
+const formatHost = (host) => (host.includes(':') && !host.startsWith('[') ? `[${host}]` : host);
+
+/**
+ * Host header values accepted on `port`, to stop DNS rebinding: a page that
+ * points its own domain at this server sends that domain as the Host. The
+ * bound host is allowed, with the loopback names for loopback binds, and the
+ * machine's host name and addresses for wildcard binds. `extraHosts` are
+ * added as given when they name a port, and with `port` otherwise.
+ */
+export function allowedHostHeaders(host, port, extraHosts = []) {
+  let names = [host];
+  if (LOOPBACK_HOSTS.includes(host)) {
+    names = LOOPBACK_HOSTS;
+  } else if (WILDCARD_HOSTS.includes(host)) {
+    const addresses = Object.values(networkInterfaces()).flat().filter(Boolean).map(({ address }) => address);
+    names = [...LOOPBACK_HOSTS, hostname(), ...addresses];
+  }
+
+  const withPort = (name) => [`${formatHost(name)}:${port}`, ...(port === 80 ? [formatHost(name)] : [])];
+  const extra = extraHosts.flatMap((entry) => (/^(\[.*\]|[^:]*):\d+$/.test(entry) ? [entry] : withPort(entry)));
+  return [...new Set([...names.flatMap(withPort), ...extra].map((allowed) => allowed.toLowerCase()))];
+}
+
+// Compare secrets in constant time (hashing first makes the lengths equal)
+const sameSecret = (a, b) => timingSafeEqual(createHash('sha256').update(a).digest(), createHash('sha256').update(b).digest());
+
+/**
+ * Serve MCP over the Streamable HTTP transport.
+ *
+ * Every client session gets its own McpServer from `createMcpServer`, keyed by
+ * the `mcp-session-id` header. Sessions end when the client sends DELETE, or
+ * after `sessionIdleMs` without traffic.
+ *
+ * Requests to the MCP endpoint must carry a Host header for this server (see
+ * allowedHostHeaders) and, when sent by a browser, a matching Origin. With
+ * `authToken`, they must also carry `Authorization: Bearer <authToken>`.
+ */
+export async function startHttpServer(createMcpServer, {
+  port = 3000,
+  host = '127.0.0.1',
+  allowedHosts: extraHosts = [],
+  authToken,
+  sessionIdleMs = DEFAULT_SESSION_IDLE_MS,
+} = {}) {
+  const sessions = new Map();
+  // Set once the server listens, since the port may be chosen by the system
+  let allowedHosts = [];
+  let allowedOrigins = [];
+
+  const closeSession = async (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    await session.transport.close().catch(() => {});
+  };
+
+  const handleMcpRequest = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    let session = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (req.method === 'POST') {
+      let body;
+      try {
+        body = await readJsonBody(req);
+      } catch (error) {
+        sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+        return;
+      }
+
+      if (!session) {
+        if (sessionId) {
+          sendJsonRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+          return;
+        }
+        if (!containsInitializeRequest(body)) {
+          sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+          return;
+        }
+
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (newSessionId) => {
+            sessions.set(newSessionId, { transport, lastSeen: Date.now() });
+          },
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) {
+            sessions.delete(transport.sessionId);
+          }
+        };
+
+        const server = createMcpServer();
+        await server.connect(transport);
+        await transport.handleRequest(req, res, body);
+        return;
+      }
+
+      session.lastSeen = Date.now();
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      if (!session) {
+        sendJsonRpcError(res, sessionId ? 404 : 400, -32000, sessionId
+          ? `Session not found: ${sessionId}`
+          : 'Bad Request: No valid session ID provided');
+        return;
+      }
+      session.lastSeen = Date.now();
+      await session.transport.handleRequest(req, res);
+      return;
+    }
+
+    res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+  };
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (pathname === HEALTH_PATH) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok', sessions: sessions.size }));
+      return;
+    }
+
+    if (pathname !== MCP_PATH) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Not found: ${pathname}` }));
+      return;
+    }
+
+    // Checked here for every request, rather than through the SDK transport's
+    // deprecated DNS rebinding options, which only see requests with a session
+    if (!allowedHosts.includes(req.headers.host?.toLowerCase())) {
+      sendJsonRpcError(res, 403, -32000, `Invalid Host header: ${req.headers.host}`);
+      return;
+    }
+    if (req.headers.origin && !allowedOrigins.includes(req.headers.origin.toLowerCase())) {
+      sendJsonRpcError(res, 403, -32000, `Invalid Origin header: ${req.headers.origin}`);
+      return;
+    }
+    if (authToken) {
+      const [scheme, token] = (req.headers.authorization ?? '').split(' ');
+      if (scheme?.toLowerCase() !== 'bearer' || !token || !sameSecret(token, authToken)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJsonRpcError(res, 401, -32000, 'Unauthorized: missing or invalid bearer token');
+        return;
+      }
+    }
+
+    try {
+      await handleMcpRequest(req, res);
+    } catch (error) {
+      console.error('Error handling MCP HTTP request:', error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+  });
+
+  // Evict sessions whose clients went away without sending DELETE
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - sessionIdleMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastSeen < cutoff) {
+        closeSession(sessionId);
+      }
+    }
+  }, Math.min(sessionIdleMs, 60 * 1000));
+  sweeper.unref();
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+  allowedHosts = allowedHostHeaders(host, httpServer.address().port, extraHosts);
+  allowedOrigins = allowedHosts.flatMap((allowed) => [`http://${allowed}`, `https://${allowed}`]);
+
+  const shutdown = async () => {
+    clearInterval(sweeper);
+    await Promise.all([...sessions.keys()].map(closeSession));
+    await new Promise((resolve) => httpServer.close(resolve));
+  };
+
+  return { httpServer, sessions, shutdown, allowedHosts, url: `http://${formatHost(host)}:${httpServer.address().port}${MCP_PATH}` };
+}
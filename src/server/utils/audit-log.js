@@ -0,0 +1,136 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
+import { appendFile, mkdir, open } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+import { getFlagValue } from '../config/args.js';
+import { STATE_DIR } from '../config/state-dir.js';
+
+const DISABLED_VALUES = new Set(['off', 'false', '0', 'none']);
+const TAIL_BYTES = 1024 * 1024;
+
+// Audit log location: --audit-log, MOORCHEH_AUDIT_LOG, or <state dir>/audit.jsonl.
+// Set MOORCHEH_AUDIT_LOG=off to disable it.
+const configuredPath = getFlagValue('--audit-log') ?? process.env.MOORCHEH_AUDIT_LOG;
+export const AUDIT_LOG_PATH = configuredPath && DISABLED_VALUES.has(configuredPath.toLowerCase())
+  ? null
+  : resolve(configuredPath || join(STATE_DIR, 'audit.jsonl'));
+
+// Per-call context, so API requests made by a tool can report their HTTP status
+const auditContext = new AsyncLocalStorage();
+
+// Called by the API layer with the status of every response it receives
+export function recordApiStatus(status) {
+  const store = auditContext.getStore();
+  if (store) {
+    store.apiStatuses.push(status);
+  }
+}
+
+const hashText = (text) => createHash('sha256').update(text).digest('hex');
+
+// Replace document text with a hash and vectors with their dimension, so the
+// log records what was sent without storing the content itself
+function redactArguments(args = {}) {
+  const redacted = { ...args };
+  if (Array.isArray(args.documents)) {
+    redacted.documents = args.documents.map(({ text, ...doc }) => ({
+      ...doc,
+      text: typeof text === 'string' ? { sha256: hashText(text), length: text.length } : text,
+    }));
+  }
+  if (Array.isArray(args.vectors)) {
+    redacted.vectors = args.vectors.map(({ vector, ...vec }) => ({
+      ...vec,
+      vector: Array.isArray(vector) ? { dimensions: vector.length } : vector,
+    }));
+  }
+  return redacted;
+}
+
+function describeOutcome(result) {
+  if (result?.isError) return 'error';
+  if (result?.structuredContent?.dry_run) return 'dry_run';
+  if (result?.structuredContent?.cancelled) return 'cancelled';
+  if (result?.structuredContent?.failed_ids?.length > 0 || result?.structuredContent?.failed > 0) return 'partial';
+  return 'success';
+}
+
+// Appends are chained so entries land in call order
+let pendingWrite = Promise.resolve();
+
+function appendEntry(entry) {
+  if (!AUDIT_LOG_PATH) return pendingWrite;
+  pendingWrite = pendingWrite
+    .then(async () => {
+      await mkdir(dirname(AUDIT_LOG_PATH), { recursive: true });
+      await appendFile(AUDIT_LOG_PATH, `${JSON.stringify(entry)}\n`, 'utf8');
+    })
+    .catch((error) => {
+      console.error(`Warning: could not write audit log ${AUDIT_LOG_PATH}: ${error.message}`);
+    });
+  return pendingWrite;
+}
+
+/**
+ * Wrap a tool handler so every call is appended to the audit log with its
+ * arguments (content redacted), outcome, latency and API response status.
+ */
+export function withAuditLog(tool, handler = tool.handler) {
+  return async (args, extra) => {
+    const startedAt = Date.now();
+    const store = { apiStatuses: [] };
+    let result;
+    try {
+      result = await auditContext.run(store, () => handler(args, extra));
+      return result;
+    } finally {
+      const entry = {
+        timestamp: new Date(startedAt).toISOString(),
+        tool: tool.name,
+        session_id: extra?.sessionId ?? null,
+        arguments: redactArguments(args),
+        outcome: result ? describeOutcome(result) : 'error',
+        latency_ms: Date.now() - startedAt,
+        api_status: store.apiStatuses.length > 0 ? store.apiStatuses[store.apiStatuses.length - 1] : null,
+      };
+      if (result?.isError && result._meta?.error) {
+        entry.error = { category: result._meta.error.category, message: result._meta.error.message };
+      }
+      await appendEntry(entry);
+    }
+  };
+}
+
+// Read the most recent audit entries (newest last)
+export async function readRecentAuditEntries(limit = 100) {
+  if (!AUDIT_LOG_PATH) return [];
+
+  let handle;
+  try {
+    handle = await open(AUDIT_LOG_PATH, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    const length = Math.min(size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, size - length);
+
+    const lines = buffer.toString('utf8').split('\n').filter(Boolean);
+    // The first line may be cut off when only the tail was read
+    if (length < size) lines.shift();
+
+    return lines.slice(-limit).flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  } finally {
+    await handle.close();
+  }
+}
@@ -0,0 +1,84 @@
+import { z } from 'zod';
+import { makeApiRequest, describeApiRequest, UPLOAD_BATCH_CONFIG } from '../config/api.js';
+import { describeError } from './errors.js';
+
+// Input parameters shared by the batched upload tools
+export const batchParameters = {
+  batch_size: z.number().int().min(1).optional().describe(`Items per API request (default ${UPLOAD_BATCH_CONFIG.batchSize})`),
+  concurrency: z.number().int().min(1).max(16).optional().describe(`Number of batches uploaded at once (default ${UPLOAD_BATCH_CONFIG.concurrency})`),
+};
+
+// Output fields describing how a batched upload went
+export const batchOutputSchema = {
+  batches: z.array(z.object({
+    batch: z.number().describe("1-based batch number"),
+    ids: z.array(z.string()),
+    status: z.enum(['uploaded', 'failed']),
+    error: z.any().optional().describe("Error category, status and message for failed batches"),
+    response: z.any().optional().describe("Raw API response for uploaded batches"),
+  })).optional().describe("Per-batch results"),
+  failed_ids: z.array(z.string()).optional().describe("IDs in failed batches; retry these"),
+};
+
+// Split items into consecutive arrays of at most `size` items
+export function chunkArray(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Run `worker` over every item with at most `limit` calls in flight. Results
+// keep the order of the input.
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+  return results;
+}
+
+// POST items to `url` as `{ [field]: batch }` in batches. A failed batch does
+// not stop the others; its IDs are reported in `failedIds`.
+export async function uploadInBatches(url, field, items, { batchSize = UPLOAD_BATCH_CONFIG.batchSize, concurrency = UPLOAD_BATCH_CONFIG.concurrency } = {}) {
+  const batches = await mapWithConcurrency(chunkArray(items, batchSize), concurrency, async (batch, index) => {
+    const ids = batch.map((item) => item.id);
+    try {
+      const response = await makeApiRequest('POST', url, { [field]: batch }, { idempotent: true });
+      return { batch: index + 1, ids, status: 'uploaded', response };
+    } catch (error) {
+      return { batch: index + 1, ids, status: 'failed', error: describeError(error), cause: error };
+    }
+  });
+
+  const failed = batches.filter((batch) => batch.status === 'failed');
+  return {
+    batches: batches.map(({ cause, ...batch }) => batch),
+    uploadedIds: batches.filter((batch) => batch.status === 'uploaded').flatMap((batch) => batch.ids),
+    failedIds: failed.flatMap((batch) => batch.ids),
+    firstError: failed[0]?.cause,
+  };
+}
+
+// Dry-run request for a batched upload: a single request, or one per batch
+export function describeBatchedRequest(url, field, items, batchSize = UPLOAD_BATCH_CONFIG.batchSize) {
+  const requests = chunkArray(items, batchSize).map((batch) => describeApiRequest('POST', url, { [field]: batch }));
+  return requests.length === 1 ? requests[0] : requests;
+}
+
+// One line per batch for the human readable result
+export function formatBatches(batches) {
+  return batches.map(({ batch, ids, status, error }) =>
+    status === 'uploaded'
+      ? `Batch ${batch} (${ids.length} item(s)): uploaded`
+      : `Batch ${batch} (${ids.length} item(s)): failed - ${error.message}`
+  ).join("\n");
+}
@@ -0,0 +1,176 @@
+import { z } from 'zod';
+import { MoorchehError } from './errors.js';
+
+// Client-side chunking for upload-text. Sizes are counted in tokens, where a
+// token is a run of non-whitespace characters. Every chunk is an exact slice
+// of the parent text and records its character offset, so get-data can
+// rebuild the parent (removing overlap) from its chunks.
+
+export const CHUNK_STRATEGIES = ['tokens', 'sentences', 'markdown'];
+
+export const chunkingParameter = z.object({
+  strategy: z.enum(CHUNK_STRATEGIES).describe("tokens: fixed-size windows; sentences: pack whole sentences; markdown: split on headings, then pack sentences within each section"),
+  size: z.number().int().min(1).optional().describe("Maximum tokens (whitespace-separated words) per chunk (default 200)"),
+  overlap: z.number().int().min(0).optional().describe("Tokens repeated from the end of the previous chunk (default 0)"),
+}).optional().describe("Split each document into chunks before uploading. Chunk IDs are <id>#chunk-0000, <id>#chunk-0001, ...; metadata records parent_id, chunk_index, chunk_count, chunk_start and, for markdown, heading_path.");
+
+// Metadata fields added to every chunk
+export const CHUNK_METADATA_FIELDS = ['parent_id', 'chunk_index', 'chunk_count', 'chunk_start', 'heading_path'];
+
+const DEFAULT_CHUNK_SIZE = 200;
+
+// Boundaries between units: after whitespace for tokens; after sentence
+// punctuation or blank lines for sentences
+const TOKEN_BOUNDARY = /\s+(?=\S)/g;
+const SENTENCE_BOUNDARY = /[.!?]+["')\]]*\s+|\n\s*\n/g;
+
+export const chunkId = (parentId, index) => `${parentId}#chunk-${String(index).padStart(4, '0')}`;
+
+const countTokens = (text) => text.match(/\S+/g)?.length ?? 0;
+
+// Split text[start, end) into contiguous units at the regex's match ends
+function segment(text, start, end, boundary) {
+  const slice = text.slice(start, end);
+  const units = [];
+  let unitStart = 0;
+  for (const match of slice.matchAll(boundary)) {
+    const unitEnd = match.index + match[0].length;
+    if (unitEnd > unitStart && unitEnd < slice.length) {
+      units.push([unitStart, unitEnd]);
+      unitStart = unitEnd;
+    }
+  }
+  units.push([unitStart, slice.length]);
+
+  return units.map(([from, to]) => ({
+    start: start + from,
+    end: start + to,
+    tokens: countTokens(slice.slice(from, to)),
+  }));
+}
+
+// Sentence units, with sentences longer than `size` split into tokens
+function sentenceUnits(text, start, end, size) {
+  return segment(text, start, end, SENTENCE_BOUNDARY).flatMap((unit) =>
+    unit.tokens > size ? segment(text, unit.start, unit.end, TOKEN_BOUNDARY) : [unit]
+  );
+}
+
+// Greedily pack units into [start, end) ranges of at most `size` tokens,
+// starting each range with up to `overlap` tokens from the previous one
+function pack(units, size, overlap) {
+  const ranges = [];
+  let i = 0;
+  while (i < units.length) {
+    let j = i;
+    let tokens = 0;
+    while (j < units.length && (j === i || tokens + units[j].tokens <= size)) {
+      tokens += units[j].tokens;
+      j++;
+    }
+    ranges.push({ start: units[i].start, end: units[j - 1].end });
+    if (j >= units.length) break;
+
+    let k = j;
+    let repeated = 0;
+    while (k - 1 > i && repeated + units[k - 1].tokens <= overlap) {
+      repeated += units[k - 1].tokens;
+      k--;
+    }
+    i = k;
+  }
+  return ranges;
+}
+
+// Markdown sections: [start, end) ranges starting at each heading outside
+// code fences, with the path of headings leading to them
+export function markdownSections(text) {
+  const sections = [];
+  const stack = [];
+  let sectionStart = 0;
+  let headingPath = [];
+  let inFence = false;
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      if (offset > sectionStart) {
+        sections.push({ start: sectionStart, end: offset, headingPath });
+      }
+      const level = heading[1].length;
+      while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+        stack.pop();
+      }
+      stack.push({ level, title: heading[2] });
+      headingPath = stack.map(({ title }) => title);
+      sectionStart = offset;
+    }
+    offset += line.length + 1;
+  }
+  sections.push({ start: sectionStart, end: text.length, headingPath });
+  return sections;
+}
+
+// [start, end) ranges (plus heading path for markdown) for one text
+function chunkRanges(text, { strategy, size, overlap }) {
+  if (strategy === 'tokens') {
+    return pack(segment(text, 0, text.length, TOKEN_BOUNDARY), size, overlap);
+  }
+  if (strategy === 'sentences') {
+    return pack(sentenceUnits(text, 0, text.length, size), size, overlap);
+  }
+  return markdownSections(text).flatMap(({ start, end, headingPath }) =>
+    pack(sentenceUnits(text, start, end, size), size, overlap).map((range) => ({ ...range, headingPath }))
+  );
+}
+
+// Replace each document with its chunks
+export function chunkDocuments(documents, { strategy, size = DEFAULT_CHUNK_SIZE, overlap = 0 }) {
+  if (overlap >= size) {
+    throw new MoorchehError(`Chunk overlap (${overlap}) must be smaller than the chunk size (${size})`, { category: 'validation' });
+  }
+
+  return documents.flatMap(({ id, text, metadata }) => {
+    const ranges = chunkRanges(text, { strategy, size, overlap });
+    return ranges.map(({ start, end, headingPath }, index) => ({
+      id: chunkId(id, index),
+      text: text.slice(start, end),
+      metadata: {
+        ...metadata,
+        parent_id: id,
+        chunk_index: index,
+        chunk_count: ranges.length,
+        chunk_start: start,
+        ...(headingPath ? { heading_path: headingPath.join(' > ') } : {}),
+      },
+    }));
+  });
+}
+
+// Rebuild a parent document from its chunks, dropping overlapping text.
+// Chunks that were not found are listed by ID in `missing_chunks`.
+export function reassembleChunks(parentId, chunks) {
+  const byIndex = new Map(chunks.map((chunk) => [chunk.metadata?.chunk_index, chunk]));
+  const chunkCount = chunks[0]?.metadata?.chunk_count ?? 0;
+  const missing = [];
+  let text = '';
+
+  for (let index = 0; index < chunkCount; index++) {
+    const chunk = byIndex.get(index);
+    if (!chunk) {
+      missing.push(chunkId(parentId, index));
+      continue;
+    }
+    const start = chunk.metadata.chunk_start ?? text.length;
+    text += start < text.length ? chunk.text.slice(text.length - start) : chunk.text;
+  }
+
+  const metadata = Object.fromEntries(
+    Object.entries(chunks[0]?.metadata ?? {}).filter(([key]) => !CHUNK_METADATA_FIELDS.includes(key))
+  );
+  return { id: parentId, text, metadata, chunk_count: chunkCount, missing_chunks: missing };
+}
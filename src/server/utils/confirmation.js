@@ -0,0 +1,57 @@
+import { MoorchehError } from './errors.js';
+
+const MAX_LISTED_IDS = 20;
+
+const formatIds = (ids) => {
+  const listed = ids.slice(0, MAX_LISTED_IDS).join(', ');
+  return ids.length > MAX_LISTED_IDS ? `${listed}, ... (${ids.length - MAX_LISTED_IDS} more)` : listed;
+};
+
+// Describe a destructive operation for the user: namespace, item count and IDs
+export function describeDeletion({ namespace, ids }) {
+  const items = namespace.itemCount ?? 'unknown';
+  const summary = `namespace "${namespace.namespace_name}" (type: ${namespace.type || 'unknown'}, items: ${items})`;
+
+  if (ids) {
+    return `Delete ${ids.length} item(s) from ${summary}?\nIDs: ${formatIds(ids)}`;
+  }
+  return `Delete ${summary} and all of its contents? This cannot be undone.`;
+}
+
+/**
+ * Ask for explicit confirmation before a destructive operation.
+ *
+ * When the client supports elicitation the user is asked directly, and the
+ * `confirm` argument is ignored. Otherwise the caller must pass
+ * `confirm: "<namespace_name>"`. Resolves to true when confirmed and false
+ * when the user declined; throws a validation error when the fallback
+ * confirmation is missing or wrong.
+ */
+export async function confirmDestructiveAction(extra, { namespaceName, confirm, message }) {
+  const server = extra?.server;
+  if (server?.getClientCapabilities()?.elicitation) {
+    const result = await server.elicitInput({
+      message,
+      requestedSchema: {
+        type: 'object',
+        properties: {
+          confirm: {
+            type: 'boolean',
+            title: 'Confirm',
+            description: `Yes, permanently delete from "${namespaceName}"`,
+          },
+        },
+        required: ['confirm'],
+      },
+    });
+    return result.action === 'accept' && result.content?.confirm === true;
+  }
+
+  if (confirm !== namespaceName) {
+    throw new MoorchehError(
+      `Confirmation required. ${message}\nThis client does not support elicitation, so repeat the call with confirm: "${namespaceName}".`,
+      { category: 'validation' }
+    );
+  }
+  return true;
+}
@@ -0,0 +1,196 @@
+import { createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import { basename, extname } from 'path';
+import { MoorchehError } from './errors.js';
+
+// Reading and mapping JSONL/CSV datasets for import-dataset. Rows are
+// streamed, so files of any size can be imported in bounded memory.
+
+export const DATASET_FORMATS = ['jsonl', 'csv'];
+
+const FORMAT_EXTENSIONS = { '.jsonl': 'jsonl', '.ndjson': 'jsonl', '.csv': 'csv' };
+
+// Format from the file extension, unless given explicitly
+export function detectFormat(filePath, format) {
+  const detected = format ?? FORMAT_EXTENSIONS[extname(filePath).toLowerCase()];
+  if (!detected) {
+    throw new MoorchehError(`Cannot tell the format of "${basename(filePath)}". Use a .jsonl, .ndjson or .csv file, or pass format.`, { category: 'validation' });
+  }
+  return detected;
+}
+
+// Split CSV text into fields, handling quoted fields with "" escapes. Returns
+// the fields of complete records and the unfinished remainder.
+function parseCsvChunk(text, flush) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let recordStart = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n') {
+      fields.push(field.endsWith('\r') ? field.slice(0, -1) : field);
+      records.push(fields);
+      fields = [];
+      field = '';
+      recordStart = i + 1;
+    } else {
+      field += char;
+    }
+  }
+
+  if (flush && (field || fields.length > 0)) {
+    fields.push(field.endsWith('\r') ? field.slice(0, -1) : field);
+    records.push(fields);
+    return { records, rest: '' };
+  }
+  return { records, rest: text.slice(recordStart) };
+}
+
+async function* readCsvRows(filePath) {
+  let header = null;
+  let rest = '';
+  let row = 0;
+
+  const toRows = function* (records) {
+    for (const fields of records) {
+      if (!header) {
+        header = fields.map((name, index) => (index === 0 ? name.replace(/^\uFEFF/, '') : name).trim());
+        continue;
+      }
+      row++;
+      // Skip blank lines
+      if (fields.length === 1 && fields[0] === '') continue;
+      if (fields.length !== header.length) {
+        yield { row, error: `Expected ${header.length} columns, found ${fields.length}` };
+        continue;
+      }
+      yield { row, record: Object.fromEntries(header.map((name, index) => [name, fields[index]])) };
+    }
+  };
+
+  for await (const chunk of createReadStream(filePath, { encoding: 'utf8' })) {
+    const parsed = parseCsvChunk(rest + chunk, false);
+    rest = parsed.rest;
+    yield* toRows(parsed.records);
+  }
+  yield* toRows(parseCsvChunk(rest, true).records);
+}
+
+async function* readJsonlRows(filePath) {
+  const lines = createInterface({ input: createReadStream(filePath, { encoding: 'utf8' }), crlfDelay: Infinity });
+  let row = 0;
+  for await (const line of lines) {
+    row++;
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        yield { row, error: 'Row is not a JSON object' };
+        continue;
+      }
+      yield { row, record };
+    } catch (error) {
+      yield { row, error: `Invalid JSON: ${error.message}` };
+    }
+  }
+}
+
+// Yield `{ row, record }` for each row (1-based, excluding the CSV header), or
+// `{ row, error }` for rows that cannot be parsed
+export function readDatasetRows(filePath, format) {
+  return format === 'csv' ? readCsvRows(filePath) : readJsonlRows(filePath);
+}
+
+// Read a value by column name or JSON path ("a.b", "$.a.b", "items[0].id")
+export function getPath(record, path) {
+  if (Object.hasOwn(record, path)) {
+    return record[path];
+  }
+  const segments = path.replace(/^\$\.?/, '').split(/\.|\[(\d+)\]/).filter((segment) => segment !== undefined && segment !== '');
+  return segments.reduce((value, segment) => (value == null ? undefined : value[segment]), record);
+}
+
+// Parse a vector column: a JSON array, or numbers separated by commas, semicolons or spaces
+function parseVector(value) {
+  let numbers = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    numbers = trimmed.startsWith('[') ? JSON.parse(trimmed) : trimmed.split(/[\s,;]+/).filter(Boolean).map(Number);
+  }
+  if (!Array.isArray(numbers) || numbers.length === 0 || numbers.some((n) => typeof n !== 'number' || !Number.isFinite(n))) {
+    throw new Error('vector must be a non-empty array of finite numbers');
+  }
+  return numbers;
+}
+
+/**
+ * Build a document (`{ id, text, metadata }`) or vector (`{ id, vector,
+ * metadata }`) from a row using the mapping. Throws an Error describing the
+ * problem for invalid rows.
+ */
+export function mapRow(record, row, { mapping, kind, defaultIdPrefix, vectorDimension }) {
+  let id;
+  if (mapping.id) {
+    const value = getPath(record, mapping.id);
+    if (value === undefined || value === null || value === '' || typeof value === 'object') {
+      throw new Error(`id ("${mapping.id}") is missing or not a string`);
+    }
+    id = String(value);
+  } else {
+    id = `${defaultIdPrefix}:${row}`;
+  }
+
+  // Listed paths are keyed by their last named segment ("$.tags[0]" -> "tags")
+  const metadataFields = Array.isArray(mapping.metadata)
+    ? Object.fromEntries(mapping.metadata.map((path) => [path.split(/[.[\]]/).filter((s) => s && s !== '$' && !/^\d+$/.test(s)).pop() ?? path, path]))
+    : mapping.metadata ?? {};
+  const metadata = {};
+  for (const [key, path] of Object.entries(metadataFields)) {
+    const value = getPath(record, path);
+    if (value !== undefined) metadata[key] = value;
+  }
+
+  const item = { id };
+  if (kind === 'vector') {
+    const value = getPath(record, mapping.vector);
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`vector ("${mapping.vector}") is missing`);
+    }
+    try {
+      item.vector = parseVector(value);
+    } catch (error) {
+      throw new Error(`vector ("${mapping.vector}") is invalid: ${error.message}`);
+    }
+    if (vectorDimension && item.vector.length !== vectorDimension) {
+      throw new Error(`vector has ${item.vector.length} dimensions, expected ${vectorDimension}`);
+    }
+  } else {
+    const value = getPath(record, mapping.text);
+    if (value === undefined || value === null || value === '' || typeof value === 'object') {
+      throw new Error(`text ("${mapping.text}") is missing or not a string`);
+    }
+    item.text = String(value);
+  }
+
+  if (Object.keys(metadata).length > 0) {
+    item.metadata = metadata;
+  }
+  return item;
+}
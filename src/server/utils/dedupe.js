@@ -0,0 +1,202 @@
+import { createHash } from 'crypto';
+import { z } from 'zod';
+import { MoorchehError } from './errors.js';
+
+// Content-derived IDs and duplicate detection for upload-text and
+// upload-vectors. Items without an ID get a stable ID from a hash of their
+// normalized content, so re-uploading the same content overwrites the
+// existing document instead of adding a copy. The dedupe pass drops exact
+// duplicates and, for texts, near-duplicates: texts whose word shingle sets
+// have a Jaccard similarity at or above the threshold. Candidate pairs are
+// found with MinHash and locality-sensitive hashing, then verified exactly.
+
+export const DEFAULT_DEDUPE_THRESHOLD = 0.9;
+
+// Input parameter for texts
+export const dedupeParameter = z.object({
+  threshold: z.number().min(0).max(1).optional().describe(`Similarity (Jaccard of 3-word shingles) at or above which texts are near-duplicates (default ${DEFAULT_DEDUPE_THRESHOLD}). 1 drops exact duplicates only.`),
+}).optional().describe("Drop exact and near-duplicate texts before uploading, keeping the first of each group. Dropped documents are listed in collapsed, except copies that share the kept document's ID.");
+
+// Output field listing dropped items
+export const collapsedOutputSchema = {
+  collapsed: z.array(z.object({
+    id: z.string().describe("ID of the dropped item"),
+    duplicate_of: z.string().describe("ID of the item that was kept"),
+    similarity: z.number().describe("1 for exact duplicates"),
+  })).optional().describe("Items dropped as duplicates (dedupe only)"),
+};
+
+const SHINGLE_SIZE = 3;
+const NUM_HASHES = 128;
+const BANDS = 32;
+const ROWS = NUM_HASHES / BANDS;
+
+// Unicode normalization and collapsed whitespace; case is kept
+export const normalizeText = (text) => text.normalize('NFKC').replace(/\s+/g, ' ').trim();
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+// Stable ID for a text: the same text, give or take whitespace, gets the same ID
+export const textContentId = (text) => `content-${sha256(normalizeText(text)).slice(0, 32)}`;
+
+// Stable ID for a vector, from its values
+export const vectorContentId = (vector) => `content-${sha256(JSON.stringify(vector)).slice(0, 32)}`;
+
+// Fill in missing IDs from the content
+export const withContentIds = (items, contentId) =>
+  items.map(({ id, ...item }) => ({ id: id || contentId(item), ...item }));
+
+/**
+ * Without dedupe, copies of the same content uploaded without IDs would be
+ * sent twice under one derived ID. Throws a validation error naming those
+ * IDs. `items` are the items as given, `identified` the same items after
+ * withContentIds.
+ */
+export function assertUniqueContentIds(items, identified, noun) {
+  const seen = new Set();
+  const repeated = new Set();
+  identified.forEach(({ id }, index) => {
+    if (items[index].id) return;
+    if (seen.has(id)) repeated.add(id);
+    seen.add(id);
+  });
+  if (repeated.size > 0) {
+    throw new MoorchehError(
+      `Some ${noun} without an ID repeat earlier content and would be sent again under the same content-derived ID: ${[...repeated].join(', ')}. Remove the copies or use dedupe to drop them.`,
+      { category: 'validation' }
+    );
+  }
+}
+
+// Record a dropped item. Copies sharing the kept item's ID (identical
+// content without an ID) are left out: they were never distinct items.
+const collapse = (collapsed, id, kept, similarity) => {
+  if (id !== kept.id) collapsed.push({ id, duplicate_of: kept.id, similarity });
+};
+
+// 32-bit FNV-1a hash of a string
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Hash of `value` under the i-th MinHash permutation
+function permute(value, i) {
+  let hash = Math.imul(value ^ Math.imul(i + 1, 0x9e3779b1), 0x5bd1e995);
+  hash ^= hash >>> 15;
+  hash = Math.imul(hash, 0x27d4eb2d);
+  return (hash ^ (hash >>> 13)) >>> 0;
+}
+
+// Hashed word shingles of a text (the whole text for short texts)
+function shingles(text) {
+  const words = normalizeText(text).toLowerCase().split(' ').filter(Boolean);
+  const set = new Set();
+  for (let i = 0; i <= Math.max(words.length - SHINGLE_SIZE, 0); i++) {
+    set.add(fnv1a(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+  return set;
+}
+
+function minHashSignature(shingleSet) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const value of shingleSet) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const hash = permute(value, i);
+      if (hash < signature[i]) signature[i] = hash;
+    }
+  }
+  return signature;
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  for (const value of a) {
+    if (b.has(value)) shared++;
+  }
+  const union = a.size + b.size - shared;
+  return union === 0 ? 1 : shared / union;
+}
+
+/**
+ * Drop duplicate texts, keeping the first of each group. Exact duplicates
+ * (same normalized text) are always dropped; near-duplicates when their
+ * similarity is at least `threshold`. Returns `{ kept, collapsed }` where
+ * collapsed is `[{ id, duplicate_of, similarity }]`, leaving out copies that
+ * share the kept document's ID.
+ */
+export function dedupeTexts(documents, { threshold = DEFAULT_DEDUPE_THRESHOLD } = {}) {
+  const kept = [];
+  const collapsed = [];
+  const byHash = new Map();
+  // Per kept document: shingles, plus LSH buckets mapping band keys to kept indexes
+  const keptShingles = [];
+  const buckets = new Map();
+
+  for (const document of documents) {
+    const hash = sha256(normalizeText(document.text));
+    const exact = byHash.get(hash);
+    if (exact) {
+      collapse(collapsed, document.id, exact, 1);
+      continue;
+    }
+
+    let match = null;
+    let bandKeys = [];
+    let shingleSet = null;
+    if (threshold < 1) {
+      shingleSet = shingles(document.text);
+      const signature = minHashSignature(shingleSet);
+      bandKeys = Array.from({ length: BANDS }, (_, band) => `${band}:${signature.slice(band * ROWS, (band + 1) * ROWS).join(',')}`);
+      const candidates = new Set(bandKeys.flatMap((key) => buckets.get(key) ?? []));
+      for (const index of [...candidates].sort((a, b) => a - b)) {
+        const similarity = jaccard(shingleSet, keptShingles[index]);
+        if (similarity >= threshold && (!match || similarity > match.similarity)) {
+          match = { index, similarity };
+        }
+      }
+    }
+    if (match) {
+      collapse(collapsed, document.id, kept[match.index], Math.round(match.similarity * 1000) / 1000);
+      continue;
+    }
+
+    const index = kept.length;
+    kept.push(document);
+    byHash.set(hash, document);
+    keptShingles.push(shingleSet);
+    for (const key of bandKeys) {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    }
+  }
+
+  return { kept, collapsed };
+}
+
+// Drop vectors with exactly the same values, keeping the first
+export function dedupeVectors(vectors) {
+  const kept = [];
+  const collapsed = [];
+  const byValues = new Map();
+  for (const item of vectors) {
+    const key = JSON.stringify(item.vector);
+    const exact = byValues.get(key);
+    if (exact) {
+      collapse(collapsed, item.id, exact, 1);
+      continue;
+    }
+    byValues.set(key, item);
+    kept.push(item);
+  }
+  return { kept, collapsed };
+}
+
+// One line per dropped item, for tool result text
+export const formatCollapsed = (collapsed) => collapsed
+  .map(({ id, duplicate_of, similarity }) => `  ${id} -> ${duplicate_of}${similarity < 1 ? ` (similarity ${similarity})` : ' (exact)'}`)
+  .join("\n");
@@ -0,0 +1,71 @@
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { makeApiRequest, API_ENDPOINTS, UPLOAD_BATCH_CONFIG } from '../config/api.js';
+import { chunkArray, mapWithConcurrency } from './batching.js';
+import { MoorchehError } from './errors.js';
+
+// Pull the list of documents out of a documents/get response
+export const extractItems = (data) => {
+  if (Array.isArray(data)) return data;
+  return data?.items ?? data?.documents ?? data?.results ?? [];
+};
+
+/**
+ * Fetch text documents by ID through documents/get, `batchSize` IDs per
+ * request. Returns a Map from ID to `{ id, text, metadata }`; IDs that do
+ * not exist are left out.
+ */
+export async function fetchDocuments(namespaceName, ids, { batchSize = UPLOAD_BATCH_CONFIG.batchSize, concurrency = UPLOAD_BATCH_CONFIG.concurrency } = {}) {
+  const url = `${API_ENDPOINTS.namespaces}/${namespaceName}/documents/get`;
+  const batches = await mapWithConcurrency(chunkArray(ids, batchSize), concurrency, async (batch) =>
+    extractItems(await makeApiRequest('POST', url, { ids: batch }, { idempotent: true }))
+  );
+  return new Map(batches.flat().filter((item) => item?.id !== undefined).map((item) => [item.id, item]));
+}
+
+// IDs of one manifest entry: a string, or an object with id, document_id or document_ids
+const entryIds = (entry) => {
+  if (typeof entry === 'string') return [entry];
+  if (Array.isArray(entry?.document_ids)) return entry.document_ids;
+  return [entry?.id ?? entry?.document_id].filter((id) => typeof id === 'string');
+};
+
+/**
+ * Read document IDs from a local manifest. JSON manifests may be an array of
+ * IDs or of objects with `id`, `document_id` or `document_ids`, an object
+ * with an `ids` array, an upload-directory result (`files`), or a
+ * sync-directory manifest. Other files list one ID per line. Duplicates are
+ * removed, keeping the first.
+ */
+export async function readIdManifest(path) {
+  let content;
+  try {
+    content = await readFile(path, 'utf8');
+  } catch (error) {
+    throw new MoorchehError(`Cannot read manifest "${path}": ${error.message}`, { category: 'validation' });
+  }
+
+  let ids;
+  if (extname(path).toLowerCase() === '.json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new MoorchehError(`Manifest "${path}" is not valid JSON: ${error.message}`, { category: 'validation' });
+    }
+    if (Array.isArray(data)) {
+      ids = data.flatMap(entryIds);
+    } else if (Array.isArray(data?.ids)) {
+      ids = data.ids.flatMap(entryIds);
+    } else if (Array.isArray(data?.files)) {
+      ids = data.files.flatMap(entryIds);
+    } else if (data?.directories) {
+      ids = Object.values(data.directories).flatMap((directory) => Object.values(directory.files ?? {}).flatMap(entryIds));
+    } else {
+      throw new MoorchehError(`Manifest "${path}" has no document IDs: expected an array, "ids", "files" or a sync manifest`, { category: 'validation' });
+    }
+  } else {
+    ids = content.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  }
+  return [...new Set(ids)];
+}
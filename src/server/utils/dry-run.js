@@ -0,0 +1,17 @@
+import { z } from 'zod';
+import { toolResult } from './tool-results.js';
+
+// Input parameter shared by all mutating tools
+export const dryRunParameter = z.boolean().optional().describe("Validate the request locally and return exactly what would be sent, without sending anything. Use this to review bulk operations before running them.");
+
+// Output fields added to the outputSchema of tools that support dry runs
+export const dryRunOutputSchema = {
+  dry_run: z.boolean().optional().describe("True when nothing was sent"),
+  request: z.any().optional().describe("The request that would be sent (dry runs only)"),
+};
+
+// Result of a dry run: the validated request, with nothing sent to the API
+export function dryRunResult(summary, request, structuredContent) {
+  const text = `Dry run: ${summary}. Validation passed; nothing was sent.\n\nRequest that would be sent:\n${JSON.stringify(request, null, 2)}`;
+  return toolResult(text, { ...structuredContent, dry_run: true, request });
+}
@@ -0,0 +1,43 @@
+// Error categories reported to MCP clients, each with a remediation hint
+export const ERROR_CATEGORIES = {
+  auth: "Check that MOORCHEH_API_KEY is set to a valid key with access to this resource.",
+  access_denied: "The server's namespace policy does not allow this operation. Ask an administrator to update MOORCHEH_NAMESPACES or the namespace policy file.",
+  not_found: "Check the namespace name or document IDs. Use list-namespaces to see the namespaces available to you.",
+  validation: "Check the arguments against the tool's input schema and the limits in the tool description, then retry with corrected values.",
+  rate_limited: "The Moorcheh API is rate limiting requests. Wait before retrying, or reduce the number and size of requests.",
+  network: "Could not reach the Moorcheh API. Check connectivity, MOORCHEH_API_URL and the request timeout settings.",
+  server: "The Moorcheh API failed to process the request. Retry later; contact support if the problem persists.",
+  internal: "Unexpected error in the Moorcheh MCP server. Check the server logs for details.",
+};
+
+// Error carrying a category and, for API failures, the HTTP status
+export class MoorchehError extends Error {
+  constructor(message, { category = 'internal', status = null, attempts } = {}) {
+    super(message);
+    this.name = 'MoorchehError';
+    this.category = category;
+    this.status = status;
+    this.attempts = attempts;
+  }
+}
+
+// Map an HTTP status from the API to an error category
+export function categoryForStatus(status) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 404) return 'not_found';
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'server';
+  return 'validation';
+}
+
+// Machine-readable description of any thrown error
+export function describeError(error) {
+  const category = error instanceof MoorchehError ? error.category : 'internal';
+  return {
+    category,
+    status: error.status ?? null,
+    message: error.message,
+    hint: ERROR_CATEGORIES[category],
+    retryable: ['rate_limited', 'network', 'server'].includes(category),
+  };
+}
@@ -0,0 +1,241 @@
+import { readFile, stat } from 'fs/promises';
+import { basename, extname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { MAX_UPLOAD_FILE_MB } from '../config/api.js';
+import { getFlagValue } from '../config/args.js';
+import { MoorchehError } from './errors.js';
+import { parseList } from './glob.js';
+
+// Client-side text extraction for file types the upload endpoint does not
+// accept. An extractor turns the contents of a file into clean text, which
+// is then uploaded as a document through the documents endpoint (like
+// upload-text) with `filename`, `language` and `title` metadata.
+//
+// Extractors are objects of the form
+//   { name, extensions: ['.ext'], language?, extract(content, { filePath }) }
+// where `extract` returns `{ text, title?, language? }`. Register more with
+// registerExtractor(), or load them from modules listed in `--extractors` or
+// MOORCHEH_EXTRACTORS (see loadExtractorModules).
+
+const extractors = new Map();
+
+/**
+ * Register an extractor for its extensions. Later registrations replace
+ * earlier ones for the same extension, so built-in extractors can be
+ * overridden.
+ */
+export function registerExtractor(extractor) {
+  if (!extractor?.name || typeof extractor.extract !== 'function' || !Array.isArray(extractor.extensions) || extractor.extensions.length === 0) {
+    throw new Error('An extractor needs a name, a non-empty extensions array and an extract(content, { filePath }) function');
+  }
+  for (const extension of extractor.extensions) {
+    extractors.set(extension.toLowerCase(), extractor);
+  }
+}
+
+// The extractor registered for a file's extension, or null
+export function findExtractor(filePath) {
+  return extractors.get(extname(filePath).toLowerCase()) ?? null;
+}
+
+// Extensions that have an extractor, sorted
+export function listExtractorExtensions() {
+  return [...extractors.keys()].sort();
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', copy: '©', reg: '®', trade: '™' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1] === 'x' || code[1] === 'X' ? Number.parseInt(code.slice(2), 16) : Number.parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Trim lines and collapse runs of blank lines
+function tidy(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]*>/g, ''));
+
+// Elements that are never content, and page chrome around the content
+const HTML_DROPPED = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'nav', 'header', 'footer', 'aside'];
+
+function extractHtml(html) {
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] ?? html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i)?.[1];
+
+  let body = html.replace(/<!--[\s\S]*?-->/g, '');
+  for (const tag of HTML_DROPPED) {
+    body = body.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?</${tag}>`, 'gi'), '');
+  }
+  // Prefer the main content when the page marks it
+  body = body.match(/<main\b[^>]*>([\s\S]*)<\/main>/i)?.[1]
+    ?? body.match(/<article\b[^>]*>([\s\S]*)<\/article>/i)?.[1]
+    ?? body.match(/<body\b[^>]*>([\s\S]*)<\/body>/i)?.[1]
+    ?? body;
+
+  const text = body
+    .replace(/<head\b[\s\S]*?<\/head>/gi, '')
+    .replace(/<h([1-6])[^>]*>/gi, (tag, level) => `\n\n${'#'.repeat(Number(level))} `)
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|h[1-6]|ul|ol|table|blockquote|pre)>/gi, '\n\n')
+    .replace(/<\/(tr|dt|dd)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t');
+
+  return { text: tidy(stripTags(text)), title: title && tidy(stripTags(title)) };
+}
+
+function extractXml(xml) {
+  const title = xml.match(/<(?:[\w-]+:)?title[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?title>/i)?.[1];
+  const text = xml
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?>/gi, '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (section, content) => content.replace(/</g, '&lt;'))
+    // Each element's text on its own line
+    .replace(/<[^>]*>/g, '\n');
+  return { text: tidy(decodeEntities(text)), title: title && tidy(stripTags(title.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1'))) };
+}
+
+function extractYaml(yaml) {
+  const title = yaml.match(/^(?:title|name):[ \t]*["']?(.+?)["']?[ \t]*$/m)?.[1];
+  // Indentation is meaningful, so only document markers and trailing spaces go
+  const text = yaml.replace(/^(---|\.\.\.)[ \t]*$/gm, '').replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+  return { text, title };
+}
+
+// Characters reStructuredText uses to underline (and overline) headings
+const RST_ADORNMENT = /^([=\-~^"'`#*+<>:._])\1{2,}\s*$/;
+
+// Directives whose argument is prose (`.. note:: text`) rather than an option
+// such as a code block's language
+const RST_ADMONITIONS = new Set(['note', 'warning', 'tip', 'hint', 'important', 'caution', 'danger', 'attention', 'error', 'admonition', 'seealso']);
+
+function extractRst(rst) {
+  const lines = rst.split('\n');
+  let title;
+  let inDirectiveOptions = false;
+  const kept = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (RST_ADORNMENT.test(line)) {
+      const previous = lines[i - 1]?.trim();
+      if (!title && previous && !RST_ADORNMENT.test(lines[i - 1])) title = previous;
+      continue;
+    }
+    // Directive markers (`.. note::`) and their `:option:` lines are dropped,
+    // keeping the directive's content
+    const directive = line.match(/^\s*\.\.\s+([\w-]+)::\s*(.*)$/);
+    if (directive) {
+      inDirectiveOptions = true;
+      if (directive[2] && RST_ADMONITIONS.has(directive[1].toLowerCase())) kept.push(directive[2]);
+      continue;
+    }
+    if (inDirectiveOptions && /^\s+:[\w-]+:/.test(line)) continue;
+    inDirectiveOptions = false;
+    // Comments and link targets
+    if (/^\s*\.\.(\s|$)/.test(line)) continue;
+    kept.push(line);
+  }
+
+  const text = kept.join('\n')
+    .replace(/:[\w-]+:`([^`<]*?)(?:\s*<[^>]*>)?`/g, '$1')
+    .replace(/`([^`<]+?)\s*<[^>]*>`__?/g, '$1')
+    .replace(/``([^`]+)``/g, '$1')
+    .replace(/`([^`]+)`_{0,2}/g, '$1')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/\*([^*\s][^*]*)\*/g, '$1')
+    .replace(/::\s*$/gm, ':');
+  return { text: tidy(text), title };
+}
+
+// Source code is kept as written; only the language is recorded
+const SOURCE_LANGUAGES = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript',
+  '.py': 'python', '.rb': 'ruby', '.go': 'go', '.rs': 'rust', '.java': 'java', '.kt': 'kotlin',
+  '.swift': 'swift', '.scala': 'scala', '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.cc': 'cpp', '.hpp': 'cpp',
+  '.cs': 'csharp', '.php': 'php', '.lua': 'lua', '.sh': 'shell', '.bash': 'shell', '.sql': 'sql',
+};
+
+function extractSource(source, { filePath }) {
+  return {
+    text: source.replace(/[ \t]+$/gm, '').trim(),
+    title: basename(filePath),
+    language: SOURCE_LANGUAGES[extname(filePath).toLowerCase()],
+  };
+}
+
+registerExtractor({ name: 'html', extensions: ['.html', '.htm', '.xhtml'], extract: extractHtml });
+registerExtractor({ name: 'xml', extensions: ['.xml'], extract: extractXml });
+registerExtractor({ name: 'yaml', extensions: ['.yaml', '.yml'], extract: extractYaml });
+registerExtractor({ name: 'rst', extensions: ['.rst'], extract: extractRst });
+registerExtractor({ name: 'source', extensions: Object.keys(SOURCE_LANGUAGES), extract: extractSource });
+
+/**
+ * Extract a file with its registered extractor. Returns `{ extractor, text,
+ * metadata }` where metadata holds `filename`, `language` and, when found,
+ * `title`. Throws a validation error for files without an extractor, over
+ * the upload size limit, or without any text.
+ */
+export async function extractFile(filePath) {
+  const extractor = findExtractor(filePath);
+  const fileName = basename(filePath);
+  if (!extractor) {
+    throw new MoorchehError(`No text extractor for "${fileName}". Extractors are registered for: ${listExtractorExtensions().join(', ')}`, { category: 'validation' });
+  }
+
+  const { size } = await stat(filePath);
+  if (size > MAX_UPLOAD_FILE_MB * 1024 * 1024) {
+    throw new MoorchehError(`File size (${(size / (1024 * 1024)).toFixed(2)}MB) exceeds maximum allowed size of ${MAX_UPLOAD_FILE_MB}MB`, { category: 'validation' });
+  }
+
+  const content = await readFile(filePath, 'utf8');
+  let extracted;
+  try {
+    extracted = await extractor.extract(content, { filePath });
+  } catch (error) {
+    throw new MoorchehError(`The ${extractor.name} extractor failed on "${fileName}": ${error.message}`, { category: 'validation' });
+  }
+  if (!extracted?.text?.trim()) {
+    throw new MoorchehError(`No text extracted from "${fileName}"`, { category: 'validation' });
+  }
+
+  const metadata = { filename: fileName, language: extracted.language ?? extractor.language ?? extractor.name };
+  if (extracted.title) metadata.title = extracted.title;
+  return { extractor: extractor.name, text: extracted.text, metadata };
+}
+
+/**
+ * Load extractor modules from `--extractors` / MOORCHEH_EXTRACTORS (comma
+ * separated paths). Each module's default export is an extractor or an
+ * array of extractors.
+ */
+export async function loadExtractorModules(value = getFlagValue('--extractors') ?? process.env.MOORCHEH_EXTRACTORS) {
+  for (const modulePath of parseList(value)) {
+    let module;
+    try {
+      module = await import(pathToFileURL(resolve(modulePath)).href);
+    } catch (error) {
+      throw new Error(`Could not load extractor module ${modulePath}: ${error.message}`);
+    }
+    const exported = module.default;
+    for (const extractor of Array.isArray(exported) ? exported : [exported]) {
+      try {
+        registerExtractor(extractor);
+      } catch (error) {
+        throw new Error(`Invalid extractor in ${modulePath}: ${error.message}`);
+      }
+    }
+  }
+}
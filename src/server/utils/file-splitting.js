@@ -0,0 +1,146 @@
+import { readFileSync } from 'fs';
+import { basename, extname } from 'path';
+import { MoorchehError } from './errors.js';
+import { markdownSections } from './chunking.js';
+
+// Splitting of oversized text files for upload-file. Files are cut on record
+// or section boundaries into parts that each fit under the upload limit:
+//   .csv   rows (quoted fields may span lines), header row repeated in every part
+//   .json  elements of a top-level array, or entries of a top-level object
+//   .md    sections under headings, then paragraphs, then lines
+//   .txt   paragraphs, then lines
+
+export const SPLITTABLE_EXTENSIONS = ['.txt', '.md', '.csv', '.json'];
+
+const byteLength = (text) => Buffer.byteLength(text, 'utf8');
+
+// Split text after every match of `separator`, keeping the separator with the
+// preceding piece so the pieces join back to the original text
+function splitKeeping(text, separator) {
+  const pieces = [];
+  let start = 0;
+  for (const match of text.matchAll(separator)) {
+    const end = match.index + match[0].length;
+    if (end > start) {
+      pieces.push(text.slice(start, end));
+      start = end;
+    }
+  }
+  if (start < text.length) pieces.push(text.slice(start));
+  return pieces;
+}
+
+// Break pieces that are too large using progressively finer separators
+function refine(pieces, maxBytes, separators) {
+  if (separators.length === 0) return pieces;
+  const [separator, ...finer] = separators;
+  return pieces.flatMap((piece) =>
+    byteLength(piece) > maxBytes ? refine(splitKeeping(piece, separator), maxBytes, finer) : [piece]
+  );
+}
+
+// CSV records, keeping newlines inside quoted fields within their record
+function csvRecords(text) {
+  const records = [];
+  let start = 0;
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === '\n' && !quoted) {
+      records.push(text.slice(start, i + 1));
+      start = i + 1;
+    }
+  }
+  if (start < text.length) records.push(text.slice(start));
+  return records;
+}
+
+// Greedily pack records into part bodies of at most `maxBytes`, each wrapped
+// as `${header}${records joined by separator}${footer}`
+function packRecords(records, maxBytes, { header = '', footer = '', separator = '' } = {}) {
+  const overhead = byteLength(header) + byteLength(footer);
+  const separatorBytes = byteLength(separator);
+  const parts = [];
+  let current = [];
+  let size = overhead;
+
+  records.forEach((record, index) => {
+    const recordBytes = byteLength(record);
+    if (overhead + recordBytes > maxBytes) {
+      throw new MoorchehError(`Cannot split file: record ${index + 1} alone is ${(recordBytes / (1024 * 1024)).toFixed(2)}MB, over the upload limit`, { category: 'validation' });
+    }
+    const added = recordBytes + (current.length > 0 ? separatorBytes : 0);
+    if (current.length > 0 && size + added > maxBytes) {
+      parts.push(current);
+      current = [];
+      size = overhead;
+    }
+    size += recordBytes + (current.length > 0 ? separatorBytes : 0);
+    current.push(record);
+  });
+  if (current.length > 0) parts.push(current);
+
+  return parts.map((part) => `${header}${part.join(separator)}${footer}`);
+}
+
+function splitJson(text, maxBytes) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new MoorchehError(`Cannot split file: invalid JSON (${error.message})`, { category: 'validation' });
+  }
+
+  if (Array.isArray(data)) {
+    return packRecords(data.map((item) => JSON.stringify(item)), maxBytes, { header: '[\n', footer: '\n]\n', separator: ',\n' });
+  }
+  if (data && typeof data === 'object') {
+    const entries = Object.entries(data).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+    return packRecords(entries, maxBytes, { header: '{\n', footer: '\n}\n', separator: ',\n' });
+  }
+  throw new MoorchehError('Cannot split file: JSON must be an array or an object', { category: 'validation' });
+}
+
+// Split the text of a file into part bodies of at most `maxBytes`
+function splitText(text, extension, maxBytes) {
+  if (extension === '.csv') {
+    const [header = '', ...rows] = csvRecords(text);
+    const headerLine = header.endsWith('\n') ? header : `${header}\n`;
+    return packRecords(rows, maxBytes, { header: headerLine });
+  }
+  if (extension === '.json') {
+    return splitJson(text, maxBytes);
+  }
+  const sections = extension === '.md'
+    ? markdownSections(text).map(({ start, end }) => text.slice(start, end))
+    : [text];
+  return packRecords(refine(sections, maxBytes, [/\n\s*\n/g, /\n/g]), maxBytes);
+}
+
+/**
+ * Split a text file into parts under `maxBytes`. Returns
+ * `[{ fileName, content, metadata }]` where parts are named
+ * `<name>.part-001-of-004<ext>` and carry `part_of`, `part_index` and
+ * `part_count` metadata. Nothing is written to disk. Pass `content` to split
+ * text other than the file's own, such as a redacted copy.
+ */
+export function splitFile(filePath, maxBytes, content = readFileSync(filePath, 'utf8')) {
+  const extension = extname(filePath).toLowerCase();
+  if (!SPLITTABLE_EXTENSIONS.includes(extension)) {
+    throw new MoorchehError(`Only ${SPLITTABLE_EXTENSIONS.join(', ')} files can be split`, { category: 'validation' });
+  }
+
+  const fileName = basename(filePath);
+  const stem = fileName.slice(0, fileName.length - extension.length);
+  const bodies = splitText(content, extension, maxBytes);
+  const width = Math.max(3, String(bodies.length).length);
+  const number = (n) => String(n).padStart(width, '0');
+
+  return bodies.map((content, index) => ({
+    fileName: `${stem}.part-${number(index + 1)}-of-${number(bodies.length)}${extension}`,
+    content,
+    metadata: { part_of: fileName, part_index: index + 1, part_count: bodies.length },
+  }));
+}
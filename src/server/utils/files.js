@@ -0,0 +1,59 @@
+import { readdir, stat } from 'fs/promises';
+import { join, relative, resolve, sep } from 'path';
+import { matchesAny } from './glob.js';
+import { MoorchehError } from './errors.js';
+
+// Directories that are never worth uploading
+export const DEFAULT_EXCLUDE = ['**/.git/**', '**/node_modules/**'];
+
+// Upper bound on matching files in one walk, to keep a mistaken root (such
+// as a home directory) from running away
+export const MAX_DIRECTORY_FILES = 5000;
+
+// Path relative to the walk root, with "/" separators so globs behave the same
+// on every platform
+export const toRelativePath = (root, path) => relative(root, path).split(sep).join('/');
+
+// Recursively list the files under `root` whose relative path matches one of
+// the `include` globs and none of the `exclude` globs. Returns absolute and
+// relative paths, sorted by relative path.
+export async function walkDirectory(root, { include = ['**'], exclude = [] } = {}) {
+  const rootPath = resolve(root);
+  let rootStats;
+  try {
+    rootStats = await stat(rootPath);
+  } catch (error) {
+    throw new MoorchehError(`Cannot read directory "${root}": ${error.message}`, { category: 'validation' });
+  }
+  if (!rootStats.isDirectory()) {
+    throw new MoorchehError(`"${root}" is not a directory`, { category: 'validation' });
+  }
+
+  const excludePatterns = [...DEFAULT_EXCLUDE, ...exclude];
+  const files = [];
+
+  const visit = async (directory) => {
+    const entries = await readdir(directory, { withFileTypes: true });
+    for (const entry of entries) {
+      const path = join(directory, entry.name);
+      const relativePath = toRelativePath(rootPath, path);
+      if (entry.isDirectory()) {
+        // Excluded directories (such as node_modules) are not entered at all
+        if (!matchesAny(`${relativePath}/`, excludePatterns)) {
+          await visit(path);
+        }
+        continue;
+      }
+      if (!entry.isFile()) continue;
+      if (!matchesAny(relativePath, include) || matchesAny(relativePath, excludePatterns)) continue;
+
+      if (files.length === MAX_DIRECTORY_FILES) {
+        throw new MoorchehError(`"${root}" contains more than ${MAX_DIRECTORY_FILES} matching files. Choose a smaller directory or narrower include globs.`, { category: 'validation' });
+      }
+      files.push({ path, relativePath });
+    }
+  };
+
+  await visit(rootPath);
+  return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
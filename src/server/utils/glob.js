@@ -0,0 +1,57 @@
+// Minimal glob matching shared by tool filters, namespace policies and
+// directory walking.
+//
+// Supported syntax:
+//   *   any run of characters except "/"
+//   **  any run of characters, including "/"
+//   ?   a single character except "/"
+// Everything else matches literally.
+
+const regExpCache = new Map();
+
+export function globToRegExp(pattern) {
+  if (regExpCache.has(pattern)) {
+    return regExpCache.get(pattern);
+  }
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" also matches zero directories
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regExp = new RegExp(`^${source}$`);
+  regExpCache.set(pattern, regExp);
+  return regExp;
+}
+
+export function matchesGlob(value, pattern) {
+  return globToRegExp(pattern).test(value);
+}
+
+export function matchesAny(value, patterns) {
+  return patterns.some((pattern) => matchesGlob(value, pattern));
+}
+
+// Split a comma separated list ("a, b,c") into trimmed, non-empty entries
+export function parseList(value) {
+  if (!value) return [];
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
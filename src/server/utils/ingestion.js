@@ -0,0 +1,200 @@
+import { randomUUID } from 'crypto';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { makeApiRequest, API_ENDPOINTS } from '../config/api.js';
+import { STATE_DIR } from '../config/state-dir.js';
+import { getNamespaceInfo } from './namespace-info.js';
+import { describeError } from './errors.js';
+
+// Ingestion tracker for upload-file. The upload endpoint only queues files,
+// so every upload is recorded here with the server's response and the
+// namespace item count from before the upload. The API has no ingestion
+// status endpoint, so completion is probed:
+//   1. when the upload response lists document IDs, by fetching them with documents/get
+//   2. otherwise, by the namespace item count: once it has grown by at least
+//      the number of pending uploads since the oldest of them, they are all
+//      marked probably_completed (every file produces at least one item, but
+//      other writes to the namespace grow the count too)
+// Uploads that stay pending past the timeout are marked failed.
+
+export const INGESTION_PATH = join(STATE_DIR, 'ingestion.json');
+
+const parseIntEnv = (name, fallback) => {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+export const INGESTION_TIMEOUT_MS = parseIntEnv('MOORCHEH_INGESTION_TIMEOUT_MS', 30 * 60 * 1000);
+
+// Older finished uploads are dropped beyond this many records
+const MAX_RECORDS = 1000;
+
+async function loadRecords() {
+  try {
+    return JSON.parse(await readFile(INGESTION_PATH, 'utf8')).uploads ?? [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Could not read ingestion tracker ${INGESTION_PATH}: ${error.message}`);
+  }
+}
+
+async function saveRecords(records) {
+  const finished = records.filter((record) => record.status !== 'pending');
+  const dropped = new Set(finished.slice(0, Math.max(records.length - MAX_RECORDS, 0)));
+  await mkdir(dirname(INGESTION_PATH), { recursive: true });
+  await writeFile(`${INGESTION_PATH}.tmp`, `${JSON.stringify({ uploads: records.filter((record) => !dropped.has(record)) }, null, 2)}\n`, 'utf8');
+  await rename(`${INGESTION_PATH}.tmp`, INGESTION_PATH);
+}
+
+// Updates are chained so concurrent uploads don't overwrite each other
+let pendingUpdate = Promise.resolve();
+
+function updateRecords(update) {
+  const result = pendingUpdate.then(async () => {
+    const records = await loadRecords();
+    const value = await update(records);
+    await saveRecords(records);
+    return value;
+  });
+  pendingUpdate = result.catch(() => {});
+  return result;
+}
+
+// Document IDs in an upload response, when the API returns them
+const extractDocumentIds = (response) => {
+  const ids = response?.document_ids ?? response?.documentIds ?? response?.ids;
+  return Array.isArray(ids) && ids.length > 0 ? ids : null;
+};
+
+// Item count of a namespace before an upload, used as the probe baseline
+export async function getItemCount(namespaceName) {
+  try {
+    return (await getNamespaceInfo(namespaceName))?.itemCount ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record uploads: `[{ namespace_name, file_name, file_path, size_bytes,
+ * response, error, item_count_before }]`. Rejected uploads (with `error`) are
+ * recorded as failed. Returns the new records. Tracking problems are logged
+ * rather than failing the upload.
+ */
+export async function trackUploads(uploads) {
+  try {
+    return await updateRecords((records) => {
+      const added = uploads.map(({ namespace_name, file_name, file_path, size_bytes, response, error, item_count_before }) => ({
+        upload_id: randomUUID(),
+        namespace_name,
+        file_name,
+        file_path,
+        size_bytes,
+        uploaded_at: new Date().toISOString(),
+        status: error ? 'failed' : 'pending',
+        item_count_before: item_count_before ?? null,
+        document_ids: extractDocumentIds(response),
+        response: response ?? null,
+        ...(error ? { error: error.message } : {}),
+      }));
+      records.push(...added);
+      return added;
+    });
+  } catch (error) {
+    console.error(`Warning: could not record upload for ingestion tracking: ${error.message}`);
+    return [];
+  }
+}
+
+// Probe uploads that listed their document IDs
+async function probeByDocumentIds(record) {
+  const data = await makeApiRequest('POST', `${API_ENDPOINTS.namespaces}/${record.namespace_name}/documents/get`, {
+    ids: record.document_ids,
+  }, { idempotent: true });
+  const items = Array.isArray(data) ? data : data?.items ?? data?.documents ?? [];
+  return items.length >= record.document_ids.length;
+}
+
+// Probe the remaining pending uploads of one namespace by its item count
+async function probeByItemCount(namespaceName, pending) {
+  const namespace = await getNamespaceInfo(namespaceName);
+  if (!namespace) {
+    return { missing: true };
+  }
+  const baselines = pending.map((record) => record.item_count_before).filter((count) => count !== null);
+  if (baselines.length === 0 || namespace.itemCount === undefined) {
+    return { itemCount: namespace.itemCount, completed: false };
+  }
+  const added = namespace.itemCount - Math.min(...baselines);
+  return { itemCount: namespace.itemCount, added, completed: added >= pending.length };
+}
+
+/**
+ * Probe pending uploads (optionally limited to some namespaces, to namespaces
+ * passing `includeNamespace`, or to some upload IDs) and update their status.
+ * Returns all matching records. Namespaces that do not match are not probed.
+ */
+export async function checkIngestion({ namespaces, uploadIds, includeNamespace } = {}) {
+  return updateRecords(async (records) => {
+    const matches = records.filter((record) =>
+      (!namespaces || namespaces.includes(record.namespace_name)) &&
+      (!includeNamespace || includeNamespace(record.namespace_name)) &&
+      (!uploadIds || uploadIds.includes(record.upload_id))
+    );
+    const now = Date.now();
+    const checkedAt = new Date(now).toISOString();
+
+    // Item count probes cover every pending upload of the namespace, not just
+    // the requested ones, since they all add to the count
+    const countNamespaces = new Set();
+    for (const record of matches.filter((r) => r.status === 'pending')) {
+      record.checked_at = checkedAt;
+      if (!record.document_ids) {
+        countNamespaces.add(record.namespace_name);
+        continue;
+      }
+      try {
+        if (await probeByDocumentIds(record)) {
+          Object.assign(record, { status: 'completed', completed_at: checkedAt, probe: 'documents' });
+        }
+      } catch (error) {
+        record.last_probe_error = describeError(error).message;
+      }
+    }
+
+    const byNamespace = new Map([...countNamespaces].map((namespaceName) => [
+      namespaceName,
+      records.filter((r) => r.status === 'pending' && !r.document_ids && r.namespace_name === namespaceName),
+    ]));
+
+    for (const [namespaceName, pending] of byNamespace) {
+      try {
+        const probe = await probeByItemCount(namespaceName, pending);
+        for (const record of pending) {
+          if (probe.missing) {
+            Object.assign(record, { status: 'failed', error: `Namespace "${namespaceName}" no longer exists` });
+          } else if (probe.completed) {
+            Object.assign(record, { status: 'probably_completed', completed_at: checkedAt, probe: 'item_count' });
+          } else {
+            record.items_added = probe.added ?? null;
+          }
+        }
+      } catch (error) {
+        pending.forEach((record) => { record.last_probe_error = describeError(error).message; });
+      }
+    }
+
+    for (const record of matches.filter((r) => r.status === 'pending')) {
+      if (now - Date.parse(record.uploaded_at) > INGESTION_TIMEOUT_MS) {
+        Object.assign(record, { status: 'failed', error: `Not searchable ${Math.round(INGESTION_TIMEOUT_MS / 60000)} minutes after upload` });
+      }
+    }
+
+    return matches.map((record) => ({ ...record }));
+  });
+}
+
+// All tracked uploads, as of their last check
+export async function listUploads() {
+  return loadRecords();
+}
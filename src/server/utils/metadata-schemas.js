@@ -0,0 +1,156 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { API_PROFILE } from '../config/api.js';
+import { STATE_DIR } from '../config/state-dir.js';
+import { MoorchehError } from './errors.js';
+
+// Local registry of JSON Schemas for metadata, one per namespace. The API
+// accepts any metadata, so a typo such as `categroy` would be indexed
+// silently; uploads to a namespace with a schema are checked against it
+// before anything is sent. The schema describes the metadata object of one
+// document or vector as it is sent, including fields added by chunking,
+// versioning or text extraction (missing metadata is checked as `{}`).
+// Namespace names are only unique per API, so schemas are kept per API URL:
+// `{ "apis": { "<api url>": { "<namespace>": { schema, updated_at } } } }`.
+
+export const METADATA_SCHEMAS_PATH = join(STATE_DIR, 'metadata-schemas.json');
+
+// Unknown keywords in a schema are errors, so typos in the schema itself are caught too
+const ajv = new Ajv({ allErrors: true, strictTypes: false, strictTuples: false });
+addFormats(ajv);
+
+// Problems listed per upload; the rest are counted
+const MAX_LISTED = 20;
+
+async function loadRegistry() {
+  try {
+    return JSON.parse(await readFile(METADATA_SCHEMAS_PATH, 'utf8')).apis ?? {};
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Could not read metadata schema registry ${METADATA_SCHEMAS_PATH}: ${error.message}`);
+  }
+}
+
+async function saveRegistry(apis) {
+  await mkdir(dirname(METADATA_SCHEMAS_PATH), { recursive: true });
+  await writeFile(`${METADATA_SCHEMAS_PATH}.tmp`, `${JSON.stringify({ apis }, null, 2)}\n`, 'utf8');
+  await rename(`${METADATA_SCHEMAS_PATH}.tmp`, METADATA_SCHEMAS_PATH);
+}
+
+// Schemas of the namespaces of the active profile's API
+async function loadSchemas() {
+  return (await loadRegistry())[API_PROFILE.apiUrl] ?? {};
+}
+
+// Updates are chained so concurrent calls don't overwrite each other
+let pendingUpdate = Promise.resolve();
+
+function updateSchemas(update) {
+  const result = pendingUpdate.then(async () => {
+    const apis = await loadRegistry();
+    const schemas = apis[API_PROFILE.apiUrl] ?? {};
+    const value = update(schemas);
+    if (Object.keys(schemas).length > 0) {
+      apis[API_PROFILE.apiUrl] = schemas;
+    } else {
+      delete apis[API_PROFILE.apiUrl];
+    }
+    await saveRegistry(apis);
+    return value;
+  });
+  pendingUpdate = result.catch(() => {});
+  return result;
+}
+
+// Compiled validators by schema source, so each schema is compiled once
+const compiled = new Map();
+
+/**
+ * Compile a metadata schema. Throws a validation error when it is not a
+ * valid JSON Schema or does not describe an object.
+ */
+export function compileMetadataSchema(schema) {
+  const key = JSON.stringify(schema);
+  if (compiled.has(key)) return compiled.get(key);
+
+  if (schema.type !== undefined && schema.type !== 'object') {
+    throw new MoorchehError(`Invalid metadata schema: metadata is an object, so the schema's type must be "object", not ${JSON.stringify(schema.type)}`, { category: 'validation' });
+  }
+  let validate;
+  try {
+    validate = ajv.compile(schema);
+  } catch (error) {
+    throw new MoorchehError(`Invalid metadata schema: ${error.message}`, { category: 'validation' });
+  }
+  compiled.set(key, validate);
+  return validate;
+}
+
+// Registered schema of a namespace: { schema, updated_at }, or null
+export async function getMetadataSchema(namespaceName) {
+  return (await loadSchemas())[namespaceName] ?? null;
+}
+
+// Register (or replace) the schema of a namespace. Returns the stored entry.
+export async function setMetadataSchema(namespaceName, schema) {
+  compileMetadataSchema(schema);
+  return updateSchemas((schemas) => {
+    schemas[namespaceName] = { schema, updated_at: new Date().toISOString() };
+    return schemas[namespaceName];
+  });
+}
+
+// Remove the schema of a namespace. Returns whether there was one.
+export async function removeMetadataSchema(namespaceName) {
+  if (!(await getMetadataSchema(namespaceName))) return false;
+  return updateSchemas((schemas) => {
+    const existed = namespaceName in schemas;
+    delete schemas[namespaceName];
+    return existed;
+  });
+}
+
+function describeSchemaError({ instancePath, keyword, message, params }) {
+  const path = `metadata${instancePath.replace(/\//g, '.')}`;
+  if (keyword === 'additionalProperties') return `${path} has unknown field "${params.additionalProperty}"`;
+  if (keyword === 'enum') return `${path} must be one of: ${params.allowedValues.map((value) => JSON.stringify(value)).join(', ')}`;
+  return `${path} ${message}`;
+}
+
+/**
+ * The metadata check for a namespace: a function returning the problems with
+ * one metadata object (an empty array when it is valid), or null when the
+ * namespace has no schema.
+ */
+export async function metadataValidator(namespaceName) {
+  const entry = await getMetadataSchema(namespaceName);
+  if (!entry) return null;
+  const validate = compileMetadataSchema(entry.schema);
+  return (metadata) => (validate(metadata ?? {}) ? [] : validate.errors.map(describeSchemaError));
+}
+
+/**
+ * Check the metadata of documents or vectors (`[{ id, metadata }]`) against
+ * the namespace's schema, if it has one. Throws a validation error listing
+ * every offending item and what is wrong with it.
+ */
+export async function validateMetadata(namespaceName, items) {
+  const check = await metadataValidator(namespaceName);
+  if (!check) return;
+
+  const problems = items
+    .map(({ id, metadata }) => ({ id, errors: check(metadata) }))
+    .filter(({ errors }) => errors.length > 0);
+  if (problems.length === 0) return;
+
+  const lines = problems.slice(0, MAX_LISTED).map(({ id, errors }) => `  ${id}: ${errors.join('; ')}`);
+  if (problems.length > MAX_LISTED) {
+    lines.push(`  ... and ${problems.length - MAX_LISTED} more`);
+  }
+  throw new MoorchehError(
+    `${problems.length} item(s) have metadata that does not match the schema of namespace "${namespaceName}" (see get-metadata-schema):\n${lines.join("\n")}`,
+    { category: 'validation' }
+  );
+}
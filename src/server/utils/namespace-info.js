@@ -0,0 +1,62 @@
+import { makeApiRequest, API_ENDPOINTS } from '../config/api.js';
+import { MoorchehError } from './errors.js';
+
+// How long namespace metadata fetched from the namespaces endpoint is reused
+// by pre-flight checks (`cached: true` lookups). 0 disables the cache.
+const parseTtl = (value, fallback) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+export const NAMESPACE_CACHE_TTL_MS = parseTtl(process.env.MOORCHEH_NAMESPACE_CACHE_TTL_MS, 60 * 1000);
+
+// Last namespaces listing: { namespaces, fetchedAt }
+let cache = null;
+
+async function fetchNamespaces() {
+  const data = await makeApiRequest('GET', API_ENDPOINTS.namespaces);
+  cache = { namespaces: data.namespaces || [], fetchedAt: Date.now() };
+  return cache.namespaces;
+}
+
+const findNamespace = (namespaces, namespaceName) => namespaces.find((ns) => ns.namespace_name === namespaceName) || null;
+
+// Look up a namespace (type, vector_dimension, itemCount, ...) from the
+// namespaces endpoint. Returns null when the namespace does not exist. With
+// `cached`, a listing fetched within NAMESPACE_CACHE_TTL_MS is reused; a
+// namespace missing from it is looked up again in case it was just created.
+export async function getNamespaceInfo(namespaceName, { cached = false } = {}) {
+  const fresh = !cached || !cache || Date.now() - cache.fetchedAt >= NAMESPACE_CACHE_TTL_MS;
+  const namespace = findNamespace(fresh ? await fetchNamespaces() : cache.namespaces, namespaceName);
+  if (!namespace && !fresh) {
+    return findNamespace(await fetchNamespaces(), namespaceName);
+  }
+  return namespace;
+}
+
+// Like getNamespaceInfo, but throws a not_found error for missing namespaces
+export async function requireNamespaceInfo(namespaceName, options) {
+  const namespace = await getNamespaceInfo(namespaceName, options);
+  if (!namespace) {
+    throw new MoorchehError(`Namespace "${namespaceName}" does not exist`, { category: 'not_found' });
+  }
+  return namespace;
+}
+
+// Forget the cached listing, e.g. after creating or deleting a namespace
+export function invalidateNamespaceCache() {
+  cache = null;
+}
+
+// Run a pre-flight `check(namespace)` against cached metadata. When it fails
+// validation, the check is repeated against fresh metadata so a stale cache
+// entry never rejects a valid request.
+export async function checkNamespace(namespaceName, check) {
+  const namespace = await requireNamespaceInfo(namespaceName, { cached: true });
+  try {
+    return check(namespace);
+  } catch (error) {
+    if (error.category !== 'validation') throw error;
+    return check(await requireNamespaceInfo(namespaceName));
+  }
+}
@@ -0,0 +1,259 @@
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { z } from 'zod';
+import { getFlagValue } from '../config/args.js';
+import { MoorchehError } from './errors.js';
+
+// Local redaction of personal data and secrets, applied to documents before
+// they leave the machine. Detectors find sensitive values; the action decides
+// what happens to a document with findings:
+//   mask  replace each value with [REDACTED:<TYPE>]
+//   hash  replace each value with [<TYPE>:<hash>], the same hash for the same value
+//   drop  leave the whole document out of the upload
+// A server-wide default comes from `--redaction` or MOORCHEH_REDACTION: an
+// action name (built-in detectors), or the path of a JSON file
+// `{ "action": "mask", "detectors": [...], "patterns": [{ "name", "pattern", "flags" }] }`.
+// Matched values are never logged or returned.
+
+export const REDACTION_ACTIONS = ['mask', 'hash', 'drop'];
+export const REDACTION_DETECTORS = ['email', 'phone', 'credit_card', 'api_key'];
+
+// Luhn checksum, used to tell card numbers from other long digit runs
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Built-in detectors, applied in this order so that card numbers are not
+// also reported as phone numbers. `group` redacts only that capture group;
+// `validate` rejects false positives.
+const DETECTORS = {
+  api_key: [
+    { regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+    { regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { regex: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+    { regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+    { regex: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+    { regex: /\bsk-[A-Za-z0-9_-]{20,}/g },
+    { regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { regex: /\beyJ[\w-]{8,}\.[\w-]{8,}\.[\w-]{8,}/g },
+    // Values assigned to secret-looking keys: api_key=..., "password": "..."
+    { regex: /\b(?:api[_-]?key|secret|token|password|passwd)["']?\s*[:=]\s*["']?([^\s"',;]{8,})/gi, group: 1 },
+  ],
+  credit_card: [
+    { regex: /\b\d(?:[ -]?\d){12,18}\b/g, validate: (value) => passesLuhn(value.replace(/\D/g, '')) },
+  ],
+  email: [
+    { regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+  ],
+  phone: [
+    {
+      regex: /(?<![\w+])\+?(?:\d{1,3}[ .-]?)?(?:\(\d{2,4}\)|\d{2,4})[ .-]?\d{3,4}[ .-]?\d{3,4}(?![\w])/g,
+      validate: (value) => {
+        const digits = value.replace(/\D/g, '');
+        // Needs separators like a written phone number, and is not an IP address
+        return digits.length >= 7 && digits.length <= 15 && /[ .()+-]/.test(value) && !/^\d{1,3}(\.\d{1,3}){3}$/.test(value);
+      },
+    },
+  ],
+};
+
+// Input parameter for upload tools
+export const redactionParameter = z.object({
+  action: z.enum(REDACTION_ACTIONS).optional().describe("mask: replace values with [REDACTED:<TYPE>]; hash: replace with a stable hash per value; drop: leave out documents with any finding (default: the server's action, or mask)"),
+  detectors: z.array(z.enum(REDACTION_DETECTORS)).optional().describe(`Built-in detectors to run (default: all of ${REDACTION_DETECTORS.join(', ')})`),
+  patterns: z.array(z.object({
+    name: z.string().describe("Type name reported in the summary and used in masks, e.g. ticket_id"),
+    pattern: z.string().describe("JavaScript regular expression"),
+    flags: z.string().optional().describe("Regular expression flags, e.g. i"),
+  })).optional().describe("Custom patterns, in addition to the detectors"),
+}).optional().describe("Redact personal data and secrets locally before uploading. Adds to the server's redaction settings, which a call cannot weaken.");
+
+// Output field summarizing what was redacted (never the values)
+export const redactionOutputSchema = {
+  redaction: z.object({
+    action: z.enum(REDACTION_ACTIONS),
+    documents_redacted: z.number().describe("Documents with at least one finding"),
+    documents_dropped: z.number().describe("Documents left out (drop action)"),
+    dropped_ids: z.array(z.string()).describe("IDs of the dropped documents (documents[<index>] for documents without an ID)"),
+    findings: z.record(z.string(), z.number()).describe("Number of values found per type"),
+  }).optional().describe("Redaction summary, when redaction is active"),
+};
+
+function compilePatterns(patterns = [], source) {
+  return patterns.map(({ name, pattern, flags = '' }, index) => {
+    if (typeof name !== 'string' || !name || typeof pattern !== 'string') {
+      throw new MoorchehError(`Invalid redaction pattern ${index} in ${source}: needs a name and a pattern`, { category: 'validation' });
+    }
+    try {
+      return { name, regex: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`) };
+    } catch (error) {
+      throw new MoorchehError(`Invalid redaction pattern "${name}" in ${source}: ${error.message}`, { category: 'validation' });
+    }
+  });
+}
+
+function validateSettings({ action, detectors }, source) {
+  if (action !== undefined && !REDACTION_ACTIONS.includes(action)) {
+    throw new Error(`Invalid redaction action "${action}" in ${source}. Expected one of: ${REDACTION_ACTIONS.join(', ')}`);
+  }
+  const unknown = (detectors ?? []).filter((name) => !REDACTION_DETECTORS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown redaction detector(s) in ${source}: ${unknown.join(', ')}. Expected: ${REDACTION_DETECTORS.join(', ')}`);
+  }
+}
+
+// Server-wide settings from `--redaction` / MOORCHEH_REDACTION, or null
+function loadServerSettings() {
+  const value = getFlagValue('--redaction') ?? process.env.MOORCHEH_REDACTION;
+  if (!value || value === 'off') return null;
+  if (REDACTION_ACTIONS.includes(value)) {
+    return { action: value, detectors: REDACTION_DETECTORS, patterns: [] };
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(readFileSync(value, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read redaction settings ${value}: ${error.message}`);
+  }
+  validateSettings(settings, value);
+  return {
+    action: settings.action ?? 'mask',
+    detectors: settings.detectors ?? REDACTION_DETECTORS,
+    patterns: compilePatterns(settings.patterns, value),
+  };
+}
+
+let SERVER_SETTINGS;
+try {
+  SERVER_SETTINGS = loadServerSettings();
+} catch (error) {
+  console.error(`Invalid redaction settings: ${error.message}`);
+  process.exit(1);
+}
+
+// Salt for hashed values, so hashes cannot be matched across deployments
+const HASH_SALT = process.env.MOORCHEH_REDACTION_SALT ?? '';
+
+/**
+ * Combine the server settings with a tool call's `redact` argument. Returns
+ * null when redaction is off. A call can add detectors and patterns and pick
+ * an action, but not weaken the server's settings: the stricter action wins
+ * (hash, which keeps values linkable, then mask, then drop).
+ */
+export function resolveRedaction(redact) {
+  if (!SERVER_SETTINGS && !redact) return null;
+  const server = SERVER_SETTINGS ?? { action: null, detectors: [], patterns: [] };
+  const call = redact ?? {};
+  const actions = [server.action, call.action ?? (server.action ? null : 'mask')].filter(Boolean);
+  return {
+    action: ['hash', 'mask', 'drop'].filter((action) => actions.includes(action)).pop(),
+    detectors: [...new Set([...server.detectors, ...(call.detectors ?? (redact ? REDACTION_DETECTORS : []))])],
+    patterns: [...server.patterns, ...compilePatterns(call.patterns, 'redact.patterns')],
+  };
+}
+
+const hashValue = (value) => createHash('sha256').update(`${HASH_SALT}${value}`).digest('hex').slice(0, 12);
+
+// Redact one string. Returns the new string and the number of findings per type.
+export function redactText(text, settings) {
+  const findings = {};
+  const rules = [
+    ...Object.keys(DETECTORS).filter((name) => settings.detectors.includes(name)).flatMap((name) => DETECTORS[name].map((rule) => ({ name, ...rule }))),
+    ...settings.patterns,
+  ];
+
+  let result = text;
+  for (const { name, regex, group, validate } of rules) {
+    result = result.replace(regex, (match, ...groups) => {
+      const value = group ? groups[group - 1] : match;
+      if (!value || (validate && !validate(value))) return match;
+      findings[name] = (findings[name] ?? 0) + 1;
+      const label = name.toUpperCase();
+      const replacement = settings.action === 'hash' ? `[${label}:${hashValue(value)}]` : `[REDACTED:${label}]`;
+      return group ? match.replace(value, replacement) : replacement;
+    });
+  }
+  return { text: result, findings };
+}
+
+const addFindings = (total, findings) => {
+  for (const [name, count] of Object.entries(findings)) {
+    total[name] = (total[name] ?? 0) + count;
+  }
+};
+
+// Redact the strings in a metadata value, including those nested in arrays
+// and plain objects, adding their findings to `found`
+function redactValue(value, settings, found) {
+  if (typeof value === 'string') {
+    const redacted = redactText(value, settings);
+    addFindings(found, redacted.findings);
+    return redacted.text;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, settings, found));
+  }
+  if (value && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, settings, found)]));
+  }
+  return value;
+}
+
+/**
+ * Redact the text and the string metadata values (at any depth) of documents. Returns
+ * `{ documents, summary }`; with the drop action, documents with findings
+ * are left out and listed in `summary.dropped_ids`. Pass the summary of an
+ * earlier call to add to it, for uploads redacted in several steps.
+ */
+export function redactDocuments(documents, settings, summary = { action: settings.action, documents_redacted: 0, documents_dropped: 0, dropped_ids: [], findings: {} }) {
+  const kept = [];
+
+  documents.forEach((document, index) => {
+    const found = {};
+    const { text, findings } = redactText(document.text, settings);
+    addFindings(found, findings);
+
+    const metadata = document.metadata && redactValue(document.metadata, settings, found);
+
+    if (Object.keys(found).length === 0) {
+      kept.push(document);
+      return;
+    }
+    summary.documents_redacted++;
+    addFindings(summary.findings, found);
+    if (settings.action === 'drop') {
+      summary.documents_dropped++;
+      summary.dropped_ids.push(document.id ?? `documents[${index}]`);
+      return;
+    }
+    kept.push({ ...document, text, ...(metadata ? { metadata } : {}) });
+  });
+
+  return { documents: kept, summary };
+}
+
+// One-line summary for tool result text
+export function formatRedaction(summary) {
+  const findings = Object.entries(summary.findings).map(([name, count]) => `${count} ${name}`).join(', ');
+  if (!findings) return 'Redaction: nothing found.';
+  const dropped = summary.documents_dropped > 0 ? ` Dropped ${summary.documents_dropped} document(s): ${summary.dropped_ids.join(', ')}.` : '';
+  return `Redaction (${summary.action}): ${findings} in ${summary.documents_redacted} document(s).${dropped}`;
+}
+
+// Add the redaction summary to a tool result
+export function withRedaction(result, summary) {
+  if (!summary || !result.structuredContent) return result;
+  result.structuredContent.redaction = summary;
+  result.content[0].text += `\n\n${formatRedaction(summary)}`;
+  return result;
+}
@@ -1,4 +1,9 @@
-import { makeApiRequest, API_ENDPOINTS } from '../config/api.js';
+import { makeApiRequest, API_ENDPOINTS, API_PROFILE } from '../config/api.js';
+import { assertNamespaceAccess, filterReadableNamespaces } from '../config/namespace-policy.js';
+import { AUDIT_LOG_PATH, readRecentAuditEntries } from './audit-log.js';
+import { readWatchStatuses } from './watcher.js';
+import { listUploads, INGESTION_PATH } from './ingestion.js';
+import { getMetadataSchema } from './metadata-schemas.js';
 
 // Resource for namespace listing
 export const namespacesResource = {
@@ -8,7 +13,7 @@ export const namespacesResource = {
   handler: async () => {
     try {
       const data = await makeApiRequest('GET', API_ENDPOINTS.namespaces);
-      return JSON.stringify(data, null, 2);
+      return JSON.stringify({ ...data, namespaces: filterReadableNamespaces(data.namespaces) }, null, 2);
     } catch (error) {
       return JSON.stringify({ error: error.message }, null, 2);
     }
@@ -18,13 +23,15 @@ export const namespacesResource = {
 // Resource for namespace details
 export const namespaceDetailsResource = {
   uri: "moorcheh://namespace/{namespace_name}",
-  description: "Details of a specific Moorcheh namespace",
+  description: "Details of a specific Moorcheh namespace, with its metadata schema (null when none is set)",
   mimeType: "application/json",
   handler: async (uri) => {
     try {
       const namespaceName = uri.split('/').pop();
+      assertNamespaceAccess(namespaceName, 'read');
       const data = await makeApiRequest('GET', `${API_ENDPOINTS.namespaces}/${namespaceName}`);
-      return JSON.stringify(data, null, 2);
+      const metadataSchema = await getMetadataSchema(namespaceName);
+      return JSON.stringify({ ...data, metadata_schema: metadataSchema?.schema ?? null }, null, 2);
     } catch (error) {
       return JSON.stringify({ error: error.message }, null, 2);
     }
@@ -40,7 +47,7 @@ export const apiDocsResource = {
     return `# Moorcheh API Documentation
 
 ## Base URL
-\`https://api.moorcheh.ai/v1\`
+\`${API_PROFILE.apiUrl}\` (profile: \`${API_PROFILE.name}\`)
 
 ## Authentication
 All requests require an API key in the \`x-api-key\` header.
@@ -84,6 +91,23 @@ Create a \`.env\` file in the same directory as this script with:
 MOORCHEH_API_KEY=your_moorcheh_api_key
 \`\`\`
 
+## API Profiles
+
+Select a profile with \`--profile <name>\` or \`MOORCHEH_PROFILE\`. Profiles are read from
+\`moorcheh.config.json\` (or the file named by \`--config\` / \`MOORCHEH_CONFIG\`):
+
+\`\`\`json
+{
+  "defaultProfile": "prod",
+  "profiles": {
+    "local": { "apiUrl": "http://localhost:4010/v1", "timeoutMs": 5000 }
+  }
+}
+\`\`\`
+
+\`MOORCHEH_API_URL\`, \`MOORCHEH_TIMEOUT_MS\` and \`MOORCHEH_UPLOAD_TIMEOUT_MS\` override the profile values.
+Active profile: \`${API_PROFILE.name}\` (\`${API_PROFILE.apiUrl}\`)
+
 ## Troubleshooting
 
 ### Common Issues
@@ -357,4 +381,56 @@ Include previous conversation context to:
 \`\`\`
 `;
   }
-}; 
\ No newline at end of file
+};
+
+// Resource for recent audit log entries
+export const auditLogResource = {
+  uri: "moorcheh://audit/recent",
+  description: "The 100 most recent audit log entries for mutating tool calls (newest last)",
+  mimeType: "application/json",
+  handler: async () => {
+    try {
+      const entries = await readRecentAuditEntries(100);
+      return JSON.stringify({ path: AUDIT_LOG_PATH, enabled: Boolean(AUDIT_LOG_PATH), entries }, null, 2);
+    } catch (error) {
+      return JSON.stringify({ error: error.message }, null, 2);
+    }
+  }
+};
+
+// Resource for watch mode status
+export const watchStatusResource = {
+  uri: "moorcheh://watch/status",
+  description: "Status of folders kept in sync by watch mode: pending, in-flight and failed files per namespace",
+  mimeType: "application/json",
+  handler: async () => {
+    try {
+      const watchers = filterReadableNamespaces(await readWatchStatuses());
+      return JSON.stringify({ watchers }, null, 2);
+    } catch (error) {
+      return JSON.stringify({ error: error.message }, null, 2);
+    }
+  }
+};
+
+// Resource for tracked file uploads
+export const ingestionResource = {
+  uri: "moorcheh://ingestion/uploads",
+  description: "Files uploaded with upload-file or upload-directory, grouped into pending, completed, probably completed and failed as of their last check (use check-ingestion to refresh)",
+  mimeType: "application/json",
+  handler: async () => {
+    try {
+      const uploads = filterReadableNamespaces(await listUploads());
+      const byStatus = (status) => uploads.filter((upload) => upload.status === status);
+      return JSON.stringify({
+        path: INGESTION_PATH,
+        pending: byStatus('pending'),
+        completed: byStatus('completed'),
+        probably_completed: byStatus('probably_completed'),
+        failed: byStatus('failed'),
+      }, null, 2);
+    } catch (error) {
+      return JSON.stringify({ error: error.message }, null, 2);
+    }
+  }
+};
@@ -0,0 +1,266 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, rename, stat, writeFile } from 'fs/promises';
+import { dirname, extname, join, resolve } from 'path';
+import { makeApiRequest, describeApiRequest, API_ENDPOINTS, MAX_UPLOAD_FILE_MB } from '../config/api.js';
+import { STATE_DIR } from '../config/state-dir.js';
+import { chunkDocuments } from './chunking.js';
+import { uploadInBatches, describeBatchedRequest, chunkArray } from './batching.js';
+import { walkDirectory } from './files.js';
+import { findExtractor, extractFile } from './extractors.js';
+import { redactDocuments, formatRedaction } from './redaction.js';
+import { metadataValidator } from './metadata-schemas.js';
+
+// Incremental directory sync. A manifest per namespace records, for every
+// synced directory, each file's content hash, the hash of the options it was
+// uploaded with and the document IDs it was uploaded as. A sync uploads new and changed files through the documents
+// endpoint (so the document IDs are known) and deletes the documents of
+// files that were removed locally.
+
+// Files synced as text documents. Files with a text extractor (HTML, XML,
+// YAML, .rst, source code) are synced as their extracted text.
+export const SYNC_TEXT_EXTENSIONS = ['.md', '.txt', '.csv', '.json'];
+
+const DELETE_BATCH_SIZE = 500;
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+export const manifestPath = (namespaceName) => join(STATE_DIR, 'manifests', `${encodeURIComponent(namespaceName)}.json`);
+
+export async function loadManifest(namespaceName) {
+  try {
+    return JSON.parse(await readFile(manifestPath(namespaceName), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { namespace_name: namespaceName, directories: {} };
+    }
+    throw new Error(`Could not read sync manifest ${manifestPath(namespaceName)}: ${error.message}`);
+  }
+}
+
+// Write via a temporary file so an interrupted sync never leaves a truncated manifest
+export async function saveManifest(manifest) {
+  const path = manifestPath(manifest.namespace_name);
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(`${path}.tmp`, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+  await rename(`${path}.tmp`, path);
+}
+
+// Redaction settings as they affect the uploaded documents
+const describeRedaction = (redaction) => redaction && {
+  action: redaction.action,
+  detectors: redaction.detectors,
+  patterns: redaction.patterns.map(({ name, regex }) => `${name}:${regex}`),
+};
+
+/**
+ * Compare a directory against the namespace manifest. Returns the files to
+ * upload (new or changed, with their documents), the files removed since the
+ * last sync, the stale document IDs to delete, and the unchanged and skipped
+ * files. With `redaction` (see resolveRedaction), files are redacted before
+ * they are chunked, and files dropped by redaction are skipped; the plan's
+ * `redaction` is the summary. Files whose documents do not match the
+ * namespace's metadata schema are skipped too. Nothing is sent.
+ */
+export async function planSync(namespaceName, directoryPath, { include, exclude, idPrefix = '', chunking, redaction = null } = {}) {
+  const directory = resolve(directoryPath);
+  const manifest = await loadManifest(namespaceName);
+  const previous = manifest.directories[directory] ?? { files: {} };
+
+  // Changing the ID prefix, chunking or redaction changes every document.
+  // Options are compared per file, so a file whose upload failed after an
+  // options change is still uploaded with the new options on the next sync.
+  // Entries from older manifests fall back to the directory's options hash.
+  const optionsHash = sha256(JSON.stringify({ idPrefix, chunking: chunking ?? null, ...(redaction ? { redaction: describeRedaction(redaction) } : {}) }));
+  const optionsChanged = (entry) => {
+    const entryOptionsHash = entry.options_hash ?? previous.options_hash;
+    return entryOptionsHash !== undefined && entryOptionsHash !== optionsHash;
+  };
+
+  const files = await walkDirectory(directory, { include, exclude });
+  const changed = [];
+  const upload = [];
+  const unchanged = [];
+  const skipped = [];
+
+  for (const { path, relativePath } of files) {
+    const extension = extname(relativePath).toLowerCase();
+    const extractor = SYNC_TEXT_EXTENSIONS.includes(extension) ? null : findExtractor(relativePath);
+    if (!SYNC_TEXT_EXTENSIONS.includes(extension) && !extractor) {
+      skipped.push({ path: relativePath, reason: `Only ${SYNC_TEXT_EXTENSIONS.join(', ')} files and files with a text extractor can be synced` });
+      continue;
+    }
+    const { size } = await stat(path);
+    if (size > MAX_UPLOAD_FILE_MB * 1024 * 1024) {
+      skipped.push({ path: relativePath, reason: `File size (${(size / (1024 * 1024)).toFixed(2)}MB) exceeds maximum allowed size of ${MAX_UPLOAD_FILE_MB}MB` });
+      continue;
+    }
+
+    const text = await readFile(path, 'utf8');
+    const contentHash = sha256(text);
+    const entry = previous.files[relativePath];
+    if (entry && entry.hash === contentHash && !optionsChanged(entry)) {
+      unchanged.push(relativePath);
+      continue;
+    }
+
+    let extracted = { text, metadata: undefined };
+    if (extractor) {
+      try {
+        extracted = await extractFile(path);
+      } catch (error) {
+        skipped.push({ path: relativePath, reason: error.message });
+        continue;
+      }
+    }
+    changed.push({
+      path: relativePath,
+      reason: entry ? 'changed' : 'new',
+      hash: contentHash,
+      size_bytes: size,
+      previous_ids: entry?.document_ids ?? [],
+      document: {
+        id: `${idPrefix}${relativePath}`,
+        text: extracted.text,
+        metadata: { ...extracted.metadata, source_path: relativePath, content_hash: contentHash },
+      },
+    });
+  }
+
+  // Whole files are redacted, so values are not split across chunks
+  const { documents: redacted, summary } = redaction
+    ? redactDocuments(changed.map((file) => file.document), redaction)
+    : { documents: changed.map((file) => file.document) };
+  const kept = new Map(redacted.map((document) => [document.id, document]));
+  const checkMetadata = await metadataValidator(namespaceName);
+
+  for (const { document: { id }, previous_ids: previousIds, ...file } of changed) {
+    let document = kept.get(id);
+    if (!document) {
+      skipped.push({ path: file.path, reason: 'Dropped by redaction' });
+      continue;
+    }
+    // A hash of the unredacted file would fingerprint it, so redacted
+    // documents carry the hash of the redacted text
+    if (redaction) {
+      document = { ...document, metadata: { ...document.metadata, content_hash: sha256(document.text) } };
+    }
+    const documents = chunking ? chunkDocuments([document], chunking) : [document];
+    const metadataErrors = checkMetadata ? [...new Set(documents.flatMap((doc) => checkMetadata(doc.metadata)))] : [];
+    if (metadataErrors.length > 0) {
+      skipped.push({ path: file.path, reason: `Metadata does not match the namespace's schema: ${metadataErrors.join('; ')}` });
+      continue;
+    }
+    const ids = documents.map((doc) => doc.id);
+    upload.push({
+      ...file,
+      documents,
+      ids,
+      // Documents of the previous version that the new version does not overwrite
+      stale_ids: previousIds.filter((previousId) => !ids.includes(previousId)),
+    });
+  }
+
+  const walked = new Set(files.map((file) => file.relativePath));
+  const remove = Object.entries(previous.files)
+    .filter(([relativePath]) => !walked.has(relativePath))
+    .map(([relativePath, entry]) => ({ path: relativePath, ids: entry.document_ids }));
+
+  return { namespace_name: namespaceName, directory, options_hash: optionsHash, upload, remove, unchanged, skipped, redaction: summary };
+}
+
+// IDs a plan deletes: documents of removed files and stale chunks of changed files
+export const planDeletions = (plan) => [
+  ...plan.remove.flatMap((file) => file.ids),
+  ...plan.upload.flatMap((file) => file.stale_ids),
+];
+
+// The requests a plan would send (for dry runs)
+export function describeSyncRequests(plan, batchSize) {
+  const base = `${API_ENDPOINTS.namespaces}/${plan.namespace_name}/documents`;
+  const documents = plan.upload.flatMap((file) => file.documents);
+  const ids = planDeletions(plan);
+  return {
+    upload: documents.length > 0 ? describeBatchedRequest(base, 'documents', documents, batchSize) : null,
+    delete: ids.length > 0 ? describeApiRequest('POST', `${base}/delete`, { ids }) : null,
+  };
+}
+
+// Human readable plan, one line per uploaded or deleted file
+export function formatSyncPlan(plan) {
+  const lines = [`Sync plan for "${plan.directory}" -> namespace "${plan.namespace_name}":`];
+  for (const file of plan.upload) {
+    lines.push(`  upload  ${file.path} (${file.reason}, ${file.ids.length} document(s))`);
+  }
+  for (const file of plan.remove) {
+    lines.push(`  delete  ${file.path} (removed, ${file.ids.length} document(s))`);
+  }
+  if (plan.upload.length === 0 && plan.remove.length === 0) {
+    lines.push('  nothing to do');
+  }
+  if (plan.redaction) {
+    lines.push(`  ${formatRedaction(plan.redaction)}`);
+  }
+  lines.push(`  ${plan.unchanged.length} unchanged, ${plan.skipped.length} skipped`);
+  return lines.join("\n");
+}
+
+/**
+ * Apply a plan: upload new and changed files in batches, delete the documents
+ * of removed files and stale chunks, then record the result in the manifest.
+ * Files whose upload or deletion failed keep their old manifest entry, so the
+ * next sync retries them.
+ */
+export async function applySync(plan, { batchSize, concurrency } = {}) {
+  const base = `${API_ENDPOINTS.namespaces}/${plan.namespace_name}/documents`;
+  const documents = plan.upload.flatMap((file) => file.documents);
+  const upload = documents.length > 0
+    ? await uploadInBatches(base, 'documents', documents, { batchSize, concurrency })
+    : { batches: [], uploadedIds: [], failedIds: [] };
+
+  const failedIds = new Set(upload.failedIds);
+  const uploadedFiles = plan.upload.filter((file) => file.ids.every((id) => !failedIds.has(id)));
+
+  // Only delete stale chunks of files whose new version was uploaded
+  const deleteIds = [
+    ...plan.remove.flatMap((file) => file.ids),
+    ...uploadedFiles.flatMap((file) => file.stale_ids),
+  ];
+  const deleteErrors = [];
+  const failedDeletes = new Set();
+  for (const ids of chunkArray(deleteIds, DELETE_BATCH_SIZE)) {
+    try {
+      await makeApiRequest('POST', `${base}/delete`, { ids }, { idempotent: true });
+    } catch (error) {
+      deleteErrors.push(error);
+      ids.forEach((id) => failedDeletes.add(id));
+    }
+  }
+
+  const manifest = await loadManifest(plan.namespace_name);
+  const previous = manifest.directories[plan.directory];
+  // Entries from older manifests take the directory's options hash, which
+  // is no longer kept
+  const files = Object.fromEntries(Object.entries(previous?.files ?? {}).map(([path, entry]) => [
+    path,
+    entry.options_hash || !previous.options_hash ? entry : { ...entry, options_hash: previous.options_hash },
+  ]));
+  const syncedAt = new Date().toISOString();
+  for (const file of uploadedFiles) {
+    files[file.path] = { hash: file.hash, options_hash: plan.options_hash, size_bytes: file.size_bytes, document_ids: file.ids, synced_at: syncedAt };
+  }
+  const removedFiles = plan.remove.filter((file) => file.ids.every((id) => !failedDeletes.has(id)));
+  for (const file of removedFiles) {
+    delete files[file.path];
+  }
+  manifest.directories[plan.directory] = { synced_at: syncedAt, files };
+  await saveManifest(manifest);
+
+  return {
+    uploadedFiles: uploadedFiles.map((file) => file.path),
+    removedFiles: removedFiles.map((file) => file.path),
+    deletedIds: deleteIds.filter((id) => !failedDeletes.has(id)),
+    failedIds: [...upload.failedIds, ...failedDeletes],
+    batches: upload.batches,
+    firstError: upload.firstError ?? deleteErrors[0],
+  };
+}
@@ -0,0 +1,44 @@
+import { MoorchehError, describeError } from './errors.js';
+
+// Helpers for building MCP tool results. Every tool returns a human readable
+// text block; successful calls also carry `structuredContent` matching the
+// tool's outputSchema so programmatic clients don't have to parse the text.
+
+export function toolResult(text, structuredContent) {
+  return {
+    content: [
+      {
+        type: "text",
+        text,
+      },
+    ],
+    structuredContent,
+  };
+}
+
+// Failed calls are flagged with isError so clients can tell them apart from
+// successful results (and so the SDK skips outputSchema validation). The
+// error category, HTTP status and a remediation hint are included in the text
+// and, machine-readable, under `_meta.error`.
+export function toolError(prefix, error) {
+  const details = describeError(error);
+  const status = details.status ? ` (HTTP ${details.status})` : '';
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `${prefix}: ${details.message}\n\nCategory: ${details.category}${status}\nHint: ${details.hint}`,
+      },
+    ],
+    isError: true,
+    _meta: {
+      error: details,
+    },
+  };
+}
+
+// Shorthand for arguments rejected by a tool's own checks
+export function validationError(message) {
+  return toolError('Error', new MoorchehError(message, { category: 'validation' }));
+}
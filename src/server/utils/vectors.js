@@ -0,0 +1,68 @@
+import { MoorchehError } from './errors.js';
+
+// Offending IDs listed in an error message; the rest are counted
+const MAX_LISTED = 20;
+
+const listProblems = (problems) => problems.length > MAX_LISTED
+  ? `${problems.slice(0, MAX_LISTED).join(', ')} and ${problems.length - MAX_LISTED} more`
+  : problems.join(', ');
+
+// Describe the first NaN or Infinity in a vector, or null when all values are finite
+function nonFiniteValue(vector) {
+  const index = vector.findIndex((value) => typeof value !== 'number' || !Number.isFinite(value));
+  return index === -1 ? null : `${vector[index]} at index ${index}`;
+}
+
+// Reject vector operations on namespaces of another type
+export function assertVectorNamespace(namespace, hint) {
+  if (namespace.type && namespace.type !== 'vector') {
+    throw new MoorchehError(`Namespace "${namespace.namespace_name}" is a ${namespace.type} namespace, not a vector namespace. ${hint}`, { category: 'validation' });
+  }
+}
+
+// Check vectors before they are sent: the namespace must be a vector
+// namespace, and every vector must be non-empty, contain only finite numbers,
+// and match the namespace's vector_dimension (or, if unknown, the first vector)
+export function validateVectors(vectors, namespace) {
+  assertVectorNamespace(namespace, 'Use upload-text to add documents to a text namespace.');
+
+  const expected = namespace.vector_dimension || vectors[0]?.vector.length;
+  const mismatched = vectors
+    .filter(({ vector }) => vector.length === 0 || vector.length !== expected)
+    .map(({ id, vector }) => `${id} (length ${vector.length})`);
+  const nonFinite = vectors
+    .map(({ id, vector }) => ({ id, value: nonFiniteValue(vector) }))
+    .filter(({ value }) => value)
+    .map(({ id, value }) => `${id} (${value})`);
+
+  const problems = [];
+  if (mismatched.length > 0) {
+    problems.push(`${mismatched.length} vector(s) must have ${expected} dimensions${namespace.vector_dimension ? ` to match namespace "${namespace.namespace_name}"` : ''}. Mismatched: ${listProblems(mismatched)}`);
+  }
+  if (nonFinite.length > 0) {
+    problems.push(`${nonFinite.length} vector(s) contain NaN or Infinity: ${listProblems(nonFinite)}`);
+  }
+  if (problems.length > 0) {
+    throw new MoorchehError(problems.join("\n"), { category: 'validation' });
+  }
+}
+
+// Check a vector search query against one of the searched namespaces
+export function validateQueryVector(query, namespace) {
+  assertVectorNamespace(namespace, 'Search text namespaces with a text query.');
+
+  if (namespace.vector_dimension && query.length !== namespace.vector_dimension) {
+    throw new MoorchehError(`Query vector has ${query.length} dimensions, but namespace "${namespace.namespace_name}" has ${namespace.vector_dimension}`, { category: 'validation' });
+  }
+  const value = nonFiniteValue(query);
+  if (value) {
+    throw new MoorchehError(`Query vector contains ${value}; only finite numbers are allowed`, { category: 'validation' });
+  }
+}
+
+// Check a text search query against one of the searched namespaces
+export function validateTextQuery(namespace) {
+  if (namespace.type === 'vector') {
+    throw new MoorchehError(`Namespace "${namespace.namespace_name}" is a vector namespace and cannot be searched with text. Pass a query vector of ${namespace.vector_dimension ?? 'its'} dimensions.`, { category: 'validation' });
+  }
+}
@@ -0,0 +1,241 @@
+import { watch } from 'fs';
+import { mkdir, readdir, readFile, rename, stat, writeFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import { STATE_DIR } from '../config/state-dir.js';
+import { describeError } from './errors.js';
+import { matchesAny } from './glob.js';
+import { DEFAULT_EXCLUDE } from './files.js';
+import { planSync, applySync, formatSyncPlan } from './sync.js';
+import { resolveRedaction } from './redaction.js';
+
+// Watch mode: keep a namespace in sync with a local folder. Filesystem events
+// are debounced, then the directory is synced with the same manifest as
+// sync-directory. The watcher's state is written to a status file so any
+// server process can report it through the watch status resource.
+
+const WATCH_DIR = join(STATE_DIR, 'watch');
+
+// Delay before failed files are tried again when nothing else changes
+const RETRY_DELAY_MS = 30000;
+
+export const watchStatusPath = (namespaceName) => join(WATCH_DIR, `${encodeURIComponent(namespaceName)}.json`);
+
+const isProcessRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// Status of every watcher that has run, with `running` false for watchers
+// whose process is gone
+export async function readWatchStatuses() {
+  let names;
+  try {
+    names = await readdir(WATCH_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const statuses = await Promise.all(names.filter((name) => name.endsWith('.json')).map(async (name) => {
+    try {
+      const status = JSON.parse(await readFile(join(WATCH_DIR, name), 'utf8'));
+      return { ...status, running: status.running && isProcessRunning(status.pid) };
+    } catch {
+      return null;
+    }
+  }));
+  return statuses.filter(Boolean);
+}
+
+/**
+ * Watch `directory` and sync it to `namespaceName` after every burst of
+ * changes. Runs a full sync on start. Returns `{ status, close }`.
+ */
+export async function startDirectoryWatcher(directory, { namespaceName, include, exclude = [], idPrefix, chunking, debounceMs = 1000, log = console.error }) {
+  const root = resolve(directory);
+  const excludePatterns = [...DEFAULT_EXCLUDE, ...exclude];
+  // Server-wide redaction (--redaction / MOORCHEH_REDACTION) applies to watch mode too
+  const syncOptions = { include, exclude, idPrefix, chunking, redaction: resolveRedaction() };
+
+  const state = {
+    namespace_name: namespaceName,
+    directory: root,
+    pid: process.pid,
+    running: true,
+    started_at: new Date().toISOString(),
+    updated_at: null,
+    last_sync_at: null,
+    pending: new Set(),
+    in_flight: [],
+    failed: [],
+    last_result: null,
+  };
+
+  let timer = null;
+  let syncing = null;
+  let closed = false;
+
+  const status = () => ({
+    ...state,
+    pending: [...state.pending].sort(),
+  });
+
+  // Status writes are chained so they land in order
+  let pendingWrite = Promise.resolve();
+  const writeStatus = () => {
+    state.updated_at = new Date().toISOString();
+    const snapshot = `${JSON.stringify(status(), null, 2)}\n`;
+    const path = watchStatusPath(namespaceName);
+    pendingWrite = pendingWrite
+      .then(async () => {
+        await mkdir(WATCH_DIR, { recursive: true });
+        await writeFile(`${path}.tmp`, snapshot, 'utf8');
+        await rename(`${path}.tmp`, path);
+      })
+      .catch((error) => log(`Warning: could not write watch status ${path}: ${error.message}`));
+    return pendingWrite;
+  };
+
+  const schedule = (delay = debounceMs) => {
+    if (closed) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      // A sync in progress picks up new changes when it finishes
+      if (!syncing) syncing = runSync().finally(() => { syncing = null; });
+    }, delay);
+  };
+
+  async function runSync() {
+    const changed = [...state.pending];
+    state.pending.clear();
+
+    try {
+      const plan = await planSync(namespaceName, root, syncOptions);
+      if (plan.upload.length === 0 && plan.remove.length === 0) {
+        state.failed = [];
+        state.last_sync_at = new Date().toISOString();
+        await writeStatus();
+        return;
+      }
+
+      log(formatSyncPlan(plan));
+      state.in_flight = [...plan.upload.map((file) => file.path), ...plan.remove.map((file) => file.path)];
+      await writeStatus();
+
+      const applied = await applySync(plan);
+      const failedIds = new Set(applied.failedIds);
+      const error = applied.firstError ? describeError(applied.firstError).message : null;
+      const at = new Date().toISOString();
+      state.failed = [...plan.upload, ...plan.remove]
+        .filter((file) => file.ids.some((id) => failedIds.has(id)))
+        .map((file) => ({ path: file.path, error, at }));
+      state.last_result = {
+        uploaded_files: applied.uploadedFiles,
+        removed_files: applied.removedFiles,
+        failed_ids: applied.failedIds,
+      };
+      log(`Synced: ${applied.uploadedFiles.length} uploaded, ${applied.removedFiles.length} removed, ${state.failed.length} failed`);
+    } catch (error) {
+      // Nothing was applied; the changes stay pending and are retried
+      changed.forEach((path) => state.pending.add(path));
+      state.failed = [{ path: root, error: describeError(error).message, at: new Date().toISOString() }];
+      log(`Sync failed: ${error.message}`);
+    } finally {
+      state.in_flight = [];
+      state.last_sync_at = new Date().toISOString();
+      await writeStatus();
+    }
+
+    if (state.pending.size > 0) {
+      schedule();
+    } else if (state.failed.length > 0) {
+      schedule(RETRY_DELAY_MS);
+    }
+  }
+
+  const onChange = (relativePath) => {
+    if (matchesAny(relativePath, excludePatterns)) return;
+    state.pending.add(relativePath);
+    writeStatus();
+    schedule();
+  };
+
+  // Watchers by directory relative to the root ('' for the root itself)
+  const watchers = new Map();
+
+  const unwatchDirectory = (relativeDir) => {
+    for (const [dir, watcher] of watchers) {
+      if (dir === relativeDir || dir.startsWith(`${relativeDir}/`)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+  };
+
+  // Fallback for platforms without recursive watching (Linux before Node
+  // 20): one watcher per directory, added as directories appear
+  async function watchDirectory(relativeDir) {
+    if (closed || watchers.has(relativeDir)) return;
+    const path = relativeDir ? join(root, relativeDir) : root;
+    let watcher;
+    try {
+      watcher = watch(path, (eventType, filename) => {
+        if (!filename) return;
+        const relativePath = relativeDir ? `${relativeDir}/${filename}` : filename;
+        onChange(relativePath);
+        if (eventType !== 'rename' || matchesAny(`${relativePath}/`, excludePatterns)) return;
+        stat(join(root, relativePath))
+          .then((stats) => { if (stats.isDirectory()) return watchDirectory(relativePath); })
+          .catch(() => unwatchDirectory(relativePath));
+      });
+    } catch (error) {
+      // The directory was removed before it could be watched
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    watcher.on('error', (error) => log(`Watch error: ${error.message}`));
+    watchers.set(relativeDir, watcher);
+
+    const entries = await readdir(path, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && !matchesAny(`${relativePath}/`, excludePatterns)) {
+        await watchDirectory(relativePath);
+      }
+    }
+  }
+
+  try {
+    const watcher = watch(root, { recursive: true }, (eventType, filename) => {
+      if (!filename) return;
+      onChange(filename.split('\\').join('/'));
+    });
+    watcher.on('error', (error) => log(`Watch error: ${error.message}`));
+    watchers.set('', watcher);
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+    await watchDirectory('');
+  }
+
+  // Initial full sync
+  syncing = runSync().finally(() => { syncing = null; });
+  await syncing;
+
+  return {
+    status,
+    close: async () => {
+      closed = true;
+      clearTimeout(timer);
+      watchers.forEach((watcher) => watcher.close());
+      watchers.clear();
+      await syncing;
+      state.running = false;
+      await writeStatus();
+    },
+  };
+}
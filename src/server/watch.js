@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+// Watch mode entry point: `moorcheh-mcp watch <dir> --namespace <ns>`.
+// Keeps a namespace in sync with a local folder until interrupted.
+import { getFlagValue } from './config/args.js';
+import { assertNamespaceAccess } from './config/namespace-policy.js';
+import { requireNamespaceInfo } from './utils/namespace-info.js';
+import { parseList } from './utils/glob.js';
+import { CHUNK_STRATEGIES } from './utils/chunking.js';
+import { startDirectoryWatcher, watchStatusPath } from './utils/watcher.js';
+import { loadExtractorModules } from './utils/extractors.js';
+
+const parseIntFlag = (flag) => {
+  const value = getFlagValue(flag);
+  if (value === undefined) return undefined;
+  const number = Number.parseInt(value, 10);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid value for ${flag}: ${value}`);
+  }
+  return number;
+};
+
+function parseOptions(args) {
+  const directory = args[0];
+  const namespaceName = getFlagValue('--namespace');
+  if (!directory || directory.startsWith('-') || !namespaceName) {
+    throw new Error('Usage: watch <dir> --namespace <namespace>');
+  }
+
+  const strategy = getFlagValue('--chunking');
+  if (strategy && !CHUNK_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid --chunking "${strategy}". Expected one of: ${CHUNK_STRATEGIES.join(', ')}`);
+  }
+
+  const include = parseList(getFlagValue('--include'));
+  return {
+    directory,
+    namespaceName,
+    include: include.length > 0 ? include : undefined,
+    exclude: parseList(getFlagValue('--exclude')),
+    idPrefix: getFlagValue('--id-prefix'),
+    chunking: strategy
+      ? { strategy, size: parseIntFlag('--chunk-size'), overlap: parseIntFlag('--chunk-overlap') }
+      : undefined,
+    debounceMs: parseIntFlag('--debounce') ?? 1000,
+  };
+}
+
+async function main() {
+  // process.argv: node watch.js <dir> [flags]
+  const { directory, namespaceName, ...options } = parseOptions(process.argv.slice(2));
+
+  assertNamespaceAccess(namespaceName, 'write');
+  await requireNamespaceInfo(namespaceName);
+  await loadExtractorModules();
+
+  console.error(`Watching "${directory}" -> namespace "${namespaceName}" (status: ${watchStatusPath(namespaceName)})`);
+  const watcher = await startDirectoryWatcher(directory, { namespaceName, ...options });
+
+  const stop = () => {
+    watcher.close().finally(() => process.exit(0));
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main().catch((error) => {
+  console.error(`Watch failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+/**
+ * Batched uploads with bounded concurrency and partial-failure reporting
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockApi, setTestEnv, connectClient } from './mock-api.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Uploads of batches containing these IDs fail with a 400
+let failIds;
+let inFlight = 0;
+let maxInFlight = 0;
+
+const api = await startMockApi(async ({ method, path, body }) => {
+  if (method === 'GET' && path === '/v1/namespaces') {
+    return { body: { namespaces: [{ namespace_name: 'docs', type: 'text' }, { namespace_name: 'vecs', type: 'vector', vector_dimension: 2 }] } };
+  }
+  if (method !== 'POST') return undefined;
+  const items = body.documents ?? body.vectors;
+  inFlight++;
+  maxInFlight = Math.max(maxInFlight, inFlight);
+  await sleep(20);
+  inFlight--;
+  if (items.some(({ id }) => failIds.has(id))) return { status: 400, body: { error: 'Invalid document' } };
+  return { body: { status: 'success', count: items.length } };
+});
+after(() => api.close());
+
+setTestEnv({ MOORCHEH_API_URL: api.url, MOORCHEH_MAX_RETRIES: '0' });
+const { chunkArray, mapWithConcurrency } = await import('../server/utils/batching.js');
+const { createServer } = await import('../server/server.js');
+
+const { client, close } = await connectClient(createServer);
+after(close);
+
+beforeEach(() => {
+  failIds = new Set();
+  maxInFlight = 0;
+  api.requests.length = 0;
+});
+
+const documents = (count) => Array.from({ length: count }, (_, i) => ({ id: `doc-${i}`, text: `Document ${i}` }));
+const uploads = () => api.requests.filter(({ method }) => method === 'POST');
+
+test('chunkArray and mapWithConcurrency', async () => {
+  assert.deepEqual(chunkArray([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+  assert.deepEqual(chunkArray([], 2), []);
+
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(ms);
+    running--;
+    return index;
+  });
+  assert.deepEqual(results, [0, 1, 2, 3, 4], 'results keep the input order');
+  assert.equal(peak, 2);
+});
+
+test('upload-text splits documents into batches and bounds concurrency', async () => {
+  const result = await client.callTool({ name: 'upload-text', arguments: { namespace_name: 'docs', documents: documents(7), batch_size: 2, concurrency: 2 } });
+  assert.ok(!result.isError, result.content[0].text);
+
+  assert.deepEqual(uploads().map(({ body }) => body.documents.length).sort(), [1, 2, 2, 2]);
+  assert.equal(maxInFlight, 2);
+  const { uploaded, ids, batches, failed_ids } = result.structuredContent;
+  assert.equal(uploaded, 7);
+  assert.deepEqual(ids, documents(7).map(({ id }) => id));
+  assert.deepEqual(batches.map(({ batch, status }) => [batch, status]), [[1, 'uploaded'], [2, 'uploaded'], [3, 'uploaded'], [4, 'uploaded']]);
+  assert.deepEqual(failed_ids, []);
+  assert.match(result.content[0].text, /Uploaded 7 of 7 document\(s\) to namespace "docs" in 4 batches/);
+});
+
+test('a failed batch does not stop the others, and its IDs are listed for retry', async () => {
+  failIds = new Set(['doc-3']);
+  const result = await client.callTool({ name: 'upload-text', arguments: { namespace_name: 'docs', documents: documents(6), batch_size: 2 } });
+  assert.ok(!result.isError, 'a partial failure is not an error');
+
+  const { uploaded, ids, batches, failed_ids } = result.structuredContent;
+  assert.equal(uploaded, 4);
+  assert.deepEqual(ids, ['doc-0', 'doc-1', 'doc-4', 'doc-5']);
+  assert.deepEqual(failed_ids, ['doc-2', 'doc-3']);
+  assert.equal(batches[1].status, 'failed');
+  assert.equal(batches[1].error.category, 'validation');
+  assert.equal(batches[1].response, undefined);
+  assert.match(result.content[0].text, /Batch 2 \(2 item\(s\)\): failed - /);
+  assert.match(result.content[0].text, /Failed IDs \(retry these\): doc-2, doc-3/);
+});
+
+test('the call fails when every batch fails, still listing the failed IDs', async () => {
+  failIds = new Set(['doc-0', 'doc-2']);
+  const result = await client.callTool({ name: 'upload-text', arguments: { namespace_name: 'docs', documents: documents(4), batch_size: 2 } });
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /All 2 batches failed/);
+  assert.deepEqual(result.structuredContent.failed_ids, ['doc-0', 'doc-1', 'doc-2', 'doc-3']);
+  assert.equal(result.structuredContent.uploaded, 0);
+});
+
+test('a single batch reports the raw response', async () => {
+  const result = await client.callTool({ name: 'upload-vectors', arguments: { namespace_name: 'vecs', vectors: [{ id: 'v1', vector: [1, 2] }, { id: 'v2', vector: [3, 4] }] } });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.deepEqual(result.structuredContent.response, { status: 'success', count: 2 });
+  assert.equal(uploads().length, 1);
+});
+
+test('dry runs show one request per batch', async () => {
+  const result = await client.callTool({ name: 'upload-vectors', arguments: { namespace_name: 'vecs', vectors: [{ id: 'v1', vector: [1, 2] }, { id: 'v2', vector: [3, 4] }, { id: 'v3', vector: [5, 6] }], batch_size: 2, dry_run: true } });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.match(result.content[0].text, /would upload 3 vector\(s\) to namespace "vecs" in 2 batch\(es\)/);
+  assert.deepEqual(uploads(), []);
+});
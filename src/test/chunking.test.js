@@ -0,0 +1,91 @@
+/**
+ * Client-side chunking and reassembly from chunks
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkDocuments, reassembleChunks, markdownSections, chunkId } from '../server/utils/chunking.js';
+
+const prose = Array.from({ length: 12 }, (_, i) => `Sentence number ${i + 1} has a few words in it.`).join(' ')
+  + '\n\nA new paragraph follows!  With   irregular spacing? Yes.\n';
+
+const markdown = [
+  '# Guide',
+  'Intro text for the guide.',
+  '',
+  '## Install',
+  'Run the installer. Then restart.',
+  '```sh',
+  '# not a heading',
+  'npm install',
+  '```',
+  '### Linux',
+  'Use the package manager.',
+  '## Usage',
+  'Call the API.',
+  '',
+].join('\n');
+
+const tokens = (text) => text.match(/\S+/g)?.length ?? 0;
+
+const settings = [
+  { strategy: 'tokens', size: 7 },
+  { strategy: 'tokens', size: 7, overlap: 3 },
+  { strategy: 'sentences', size: 12 },
+  { strategy: 'sentences', size: 12, overlap: 4 },
+  { strategy: 'sentences', size: 3 },
+  { strategy: 'markdown', size: 5 },
+  { strategy: 'markdown', size: 5, overlap: 2 },
+];
+
+for (const options of settings) {
+  test(`round-trips ${JSON.stringify(options)}`, () => {
+    for (const text of [prose, markdown]) {
+      const chunks = chunkDocuments([{ id: 'doc', text, metadata: { lang: 'en' } }], options);
+      assert.ok(chunks.length > 1);
+
+      chunks.forEach((chunk, index) => {
+        assert.equal(chunk.id, chunkId('doc', index));
+        assert.equal(chunk.metadata.chunk_index, index);
+        assert.equal(chunk.metadata.chunk_count, chunks.length);
+        assert.equal(chunk.metadata.parent_id, 'doc');
+        assert.equal(chunk.metadata.lang, 'en');
+        assert.equal(text.slice(chunk.metadata.chunk_start, chunk.metadata.chunk_start + chunk.text.length), chunk.text, 'chunks are exact slices');
+        assert.ok(tokens(chunk.text) <= options.size, `chunk ${index} has ${tokens(chunk.text)} tokens`);
+      });
+
+      // Chunks may come back in any order
+      const rebuilt = reassembleChunks('doc', [...chunks].reverse());
+      assert.equal(rebuilt.text, text);
+      assert.deepEqual(rebuilt.metadata, { lang: 'en' });
+      assert.equal(rebuilt.chunk_count, chunks.length);
+      assert.deepEqual(rebuilt.missing_chunks, []);
+    }
+  });
+}
+
+test('overlap repeats tokens from the previous chunk', () => {
+  const text = 'one two three four five six seven eight nine ten';
+  const chunks = chunkDocuments([{ id: 'd', text }], { strategy: 'tokens', size: 4, overlap: 2 });
+  assert.deepEqual(chunks.map((chunk) => chunk.text.trim()), [
+    'one two three four', 'three four five six', 'five six seven eight', 'seven eight nine ten',
+  ]);
+});
+
+test('markdown chunks record their heading path, ignoring code fences', () => {
+  const chunks = chunkDocuments([{ id: 'md', text: markdown }], { strategy: 'markdown', size: 50 });
+  assert.deepEqual(chunks.map((chunk) => chunk.metadata.heading_path), ['Guide', 'Guide > Install', 'Guide > Install > Linux', 'Guide > Usage']);
+  assert.match(chunks[1].text, /# not a heading/);
+  assert.deepEqual(markdownSections('no headings').map(({ start, end, headingPath }) => [start, end, headingPath]), [[0, 11, []]]);
+});
+
+test('missing chunks are reported and the rest is reassembled', () => {
+  const chunks = chunkDocuments([{ id: 'doc', text: prose }], { strategy: 'sentences', size: 12 });
+  const rebuilt = reassembleChunks('doc', chunks.filter((chunk) => chunk.metadata.chunk_index !== 1));
+  assert.deepEqual(rebuilt.missing_chunks, [chunkId('doc', 1)]);
+  assert.ok(!rebuilt.text.includes(chunks[1].text.trim()));
+});
+
+test('overlap must be smaller than the size', () => {
+  assert.throws(() => chunkDocuments([{ id: 'd', text: 'a b c' }], { strategy: 'tokens', size: 2, overlap: 2 }), { category: 'validation' });
+});
@@ -0,0 +1,91 @@
+/**
+ * Confirmation before destructive operations, through elicitation or the
+ * confirm argument
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ElicitRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startMockApi, setTestEnv, connectClient } from './mock-api.js';
+
+const api = await startMockApi(({ method, path }) => {
+  if (method === 'GET' && path === '/v1/namespaces') return { body: { namespaces: [{ namespace_name: 'docs', type: 'text', itemCount: 42 }] } };
+  if (method === 'DELETE' && path === '/v1/namespaces/docs') return { body: { status: 'success' } };
+  if (method === 'POST' && path === '/v1/namespaces/docs/documents/delete') return { body: { status: 'success' } };
+  return undefined;
+});
+after(() => api.close());
+
+setTestEnv({ MOORCHEH_API_URL: api.url, MOORCHEH_NAMESPACE_CACHE_TTL_MS: '0' });
+const { createServer } = await import('../server/server.js');
+
+// A client that answers elicitation requests with the next queued reply
+const elicitations = [];
+let replies = [];
+const eliciting = await connectClient(createServer, { capabilities: { elicitation: {} } });
+eliciting.client.setRequestHandler(ElicitRequestSchema, (request) => {
+  elicitations.push(request.params);
+  return replies.shift();
+});
+const plain = await connectClient(createServer);
+after(() => Promise.all([eliciting.close(), plain.close()]));
+
+beforeEach(() => {
+  api.requests.length = 0;
+  elicitations.length = 0;
+  replies = [];
+});
+
+const deletes = () => api.requests.filter(({ method }) => method !== 'GET');
+
+test('the user is asked before a namespace is deleted, with its item count', async () => {
+  replies = [{ action: 'accept', content: { confirm: true } }];
+  const result = await eliciting.client.callTool({ name: 'delete-namespace', arguments: { namespace_name: 'docs' } });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.equal(result.structuredContent.deleted, true);
+
+  assert.equal(elicitations.length, 1);
+  assert.match(elicitations[0].message, /namespace "docs" \(type: text, items: 42\)/);
+  assert.deepEqual(elicitations[0].requestedSchema.required, ['confirm']);
+  assert.deepEqual(deletes().map(({ method, path }) => `${method} ${path}`), ['DELETE /v1/namespaces/docs']);
+});
+
+test('declining or unticking the confirmation cancels without deleting', async () => {
+  for (const reply of [{ action: 'decline' }, { action: 'cancel' }, { action: 'accept', content: { confirm: false } }]) {
+    replies = [reply];
+    const result = await eliciting.client.callTool({ name: 'delete-data', arguments: { namespace_name: 'docs', ids: ['a', 'b'] } });
+    assert.ok(!result.isError, result.content[0].text);
+    assert.deepEqual(result.structuredContent, { namespace_name: 'docs', deleted: 0, ids: ['a', 'b'], cancelled: true });
+  }
+  assert.match(elicitations[0].message, /Delete 2 item\(s\) from namespace "docs".*\nIDs: a, b/s);
+  assert.deepEqual(deletes(), []);
+});
+
+test('with elicitation, the confirm argument is ignored', async () => {
+  replies = [{ action: 'decline' }];
+  const result = await eliciting.client.callTool({ name: 'delete-namespace', arguments: { namespace_name: 'docs', confirm: 'docs' } });
+  assert.equal(result.structuredContent.cancelled, true);
+  assert.deepEqual(deletes(), []);
+});
+
+test('without elicitation, confirm must repeat the namespace name', async () => {
+  for (const confirm of [undefined, 'other']) {
+    const result = await plain.client.callTool({ name: 'delete-data', arguments: { namespace_name: 'docs', ids: ['a'], confirm } });
+    assert.equal(result.isError, true);
+    assert.equal(result._meta.error.category, 'validation');
+    assert.match(result.content[0].text, /repeat the call with confirm: "docs"/);
+  }
+  assert.deepEqual(deletes(), []);
+
+  const result = await plain.client.callTool({ name: 'delete-data', arguments: { namespace_name: 'docs', ids: ['a'], confirm: 'docs' } });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.equal(result.structuredContent.deleted, 1);
+  assert.deepEqual(deletes().map(({ path, body }) => [path, body]), [['/v1/namespaces/docs/documents/delete', { ids: ['a'] }]]);
+});
+
+test('dry runs need no confirmation', async () => {
+  const result = await plain.client.callTool({ name: 'delete-namespace', arguments: { namespace_name: 'docs', dry_run: true } });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.match(result.content[0].text, /42 item\(s\)/);
+  assert.deepEqual(deletes(), []);
+});
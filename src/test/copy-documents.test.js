@@ -0,0 +1,130 @@
+/**
+ * copy-documents moves: sources are deleted only once their copies are verified
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockApi, setTestEnv } from './mock-api.js';
+
+// In-memory namespaces. Documents listed in `corrupt` are stored with
+// different text, as if the write was lost or mangled.
+let store;
+let corrupt;
+let failWrites;
+
+const api = await startMockApi(({ method, path, body }) => {
+  if (method === 'GET' && path === '/v1/namespaces') {
+    return { body: { namespaces: [...store.keys()].map((name) => ({ namespace_name: name, type: 'text', itemCount: store.get(name).size })) } };
+  }
+  const [, name, action] = path.match(/^\/v1\/namespaces\/([^/]+)\/documents(?:\/(get|delete))?$/) ?? [];
+  const documents = store.get(name);
+  if (method !== 'POST' || !documents) return undefined;
+
+  if (action === 'get') {
+    return { body: { items: body.ids.filter((id) => documents.has(id)).map((id) => documents.get(id)) } };
+  }
+  if (failWrites) {
+    return { status: 500, body: { error: 'unavailable' } };
+  }
+  if (action === 'delete') {
+    body.ids.forEach((id) => documents.delete(id));
+  } else {
+    body.documents.forEach((document) => documents.set(document.id, corrupt.has(document.id) ? { ...document, text: 'garbled' } : document));
+  }
+  return { body: { status: 'success' } };
+});
+after(() => api.close());
+
+setTestEnv({ MOORCHEH_API_URL: api.url, MOORCHEH_MAX_RETRIES: '0', MOORCHEH_NAMESPACE_CACHE_TTL_MS: '0' });
+const { copyDocumentsTool } = await import('../server/tools/copy-tools.js');
+
+const documents = (...items) => new Map(items.map((item) => [item.id, item]));
+
+beforeEach(() => {
+  store = new Map([
+    ['src', documents(
+      { id: 'a', text: 'Alpha', metadata: { team: 'x' } },
+      { id: 'b', text: 'Bravo', metadata: { team: 'x' } },
+      { id: 'c', text: 'Charlie, mail c@example.com', metadata: { team: 'y' } },
+    )],
+    ['dst', documents()],
+  ]);
+  corrupt = new Set();
+  failWrites = false;
+  api.requests.length = 0;
+});
+
+const move = (args) => copyDocumentsTool.handler({ source_namespace: 'src', target_namespace: 'dst', move: true, confirm: 'src', ...args }, {});
+const requestIndex = (path) => api.requests.findIndex((request) => request.path === path);
+const lastRequestIndex = (path) => api.requests.findLastIndex((request) => request.path === path);
+
+test('moves documents, deleting each source only after its copy is read back', async () => {
+  const result = await move({ ids: ['a', 'b', 'c'], id_prefix: 'moved/', metadata: { rename: { team: 'group' }, set: { moved: true } } });
+  assert.ok(!result.isError, result.content[0].text);
+
+  assert.deepEqual(result.structuredContent.deleted, ['a', 'b', 'c']);
+  assert.deepEqual(result.structuredContent.not_deleted, []);
+  assert.equal(store.get('src').size, 0);
+  assert.deepEqual(store.get('dst').get('moved/a'), { id: 'moved/a', text: 'Alpha', metadata: { group: 'x', moved: true } });
+
+  const upload = requestIndex('/v1/namespaces/dst/documents');
+  const verify = lastRequestIndex('/v1/namespaces/dst/documents/get');
+  const remove = requestIndex('/v1/namespaces/src/documents/delete');
+  assert.ok(upload < verify && verify < remove, 'upload, then verify, then delete');
+});
+
+test('sources whose copies do not verify are left in place', async () => {
+  corrupt.add('b');
+  const result = await move({ ids: ['a', 'b'] });
+
+  assert.deepEqual(result.structuredContent.deleted, ['a']);
+  assert.deepEqual(result.structuredContent.not_deleted, ['b']);
+  assert.deepEqual([...store.get('src').keys()], ['b', 'c']);
+  assert.match(result.content[0].text, /could not be verified yet/);
+});
+
+test('nothing is deleted when the copies fail to upload', async () => {
+  failWrites = true;
+  const result = await move({ ids: ['a', 'b'] });
+
+  assert.ok(result.isError);
+  assert.deepEqual(result.structuredContent.deleted, []);
+  assert.equal(requestIndex('/v1/namespaces/src/documents/delete'), -1);
+  assert.equal(store.get('src').size, 3);
+});
+
+test('nothing is written or deleted without confirmation', async () => {
+  const result = await move({ ids: ['a'], confirm: undefined });
+
+  assert.ok(result.isError);
+  assert.match(result.content[0].text, /confirm: "src"/);
+  assert.ok(api.requests.every((request) => !/\/documents(\/delete)?$/.test(request.path)));
+  assert.equal(store.get('dst').size, 0);
+});
+
+test('identical copies from an interrupted move are deleted without being written again', async () => {
+  store.get('dst').set('a', { id: 'a', text: 'Alpha', metadata: { team: 'x' } });
+  const result = await move({ ids: ['a', 'b'] });
+
+  assert.deepEqual(result.structuredContent.already_copied, ['a']);
+  assert.deepEqual(result.structuredContent.deleted, ['a', 'b']);
+  const written = api.requests.find((request) => request.path === '/v1/namespaces/dst/documents').body.documents;
+  assert.deepEqual(written.map(({ id }) => id), ['b']);
+});
+
+test('redacted copies are verified as written', async () => {
+  const result = await move({ ids: ['a', 'c'], redact: { action: 'mask' } });
+
+  assert.deepEqual(result.structuredContent.deleted, ['a', 'c']);
+  assert.equal(store.get('dst').get('c').text, 'Charlie, mail [REDACTED:EMAIL]');
+  assert.deepEqual(result.structuredContent.redaction.findings, { email: 1 });
+});
+
+test('documents dropped by redaction are neither copied nor deleted', async () => {
+  const result = await move({ ids: ['a', 'c'], redact: { action: 'drop' } });
+
+  assert.deepEqual(result.structuredContent.deleted, ['a']);
+  assert.deepEqual([...store.get('dst').keys()], ['a']);
+  assert.ok(store.get('src').has('c'));
+  assert.match(result.content[0].text, /dropped by redaction were not copied and stay in "src"/);
+});
@@ -0,0 +1,168 @@
+/**
+ * import-dataset: JSONL and CSV reading, column mapping and row errors
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMockApi, setTestEnv, connectClient } from './mock-api.js';
+
+// Uploads of batches containing these IDs fail
+let failIds;
+
+const api = await startMockApi(({ method, path, body }) => {
+  if (method === 'GET' && path === '/v1/namespaces') {
+    return { body: { namespaces: [{ namespace_name: 'docs', type: 'text' }, { namespace_name: 'vecs', type: 'vector', vector_dimension: 3 }] } };
+  }
+  if (method !== 'POST') return undefined;
+  const items = body.documents ?? body.vectors;
+  return items.some(({ id }) => failIds.has(id)) ? { status: 400, body: { error: 'Rejected' } } : { body: { status: 'success' } };
+});
+after(() => api.close());
+
+setTestEnv({ MOORCHEH_API_URL: api.url, MOORCHEH_MAX_RETRIES: '0' });
+const { getPath, detectFormat } = await import('../server/utils/datasets.js');
+const { createServer } = await import('../server/server.js');
+
+const { client, close } = await connectClient(createServer);
+after(close);
+
+const directory = await mkdtemp(join(tmpdir(), 'moorcheh-dataset-'));
+after(() => rm(directory, { recursive: true, force: true }));
+
+beforeEach(() => {
+  failIds = new Set();
+  api.requests.length = 0;
+});
+
+const dataset = async (name, content) => {
+  const path = join(directory, name);
+  await writeFile(path, content);
+  return path;
+};
+const importDataset = (args) => client.callTool({ name: 'import-dataset', arguments: args });
+const uploaded = (field = 'documents') => api.requests.filter(({ method }) => method === 'POST').flatMap(({ body }) => body[field]);
+
+test('paths read columns, nested fields and array items', () => {
+  const record = { 'a.b': 'column', a: { b: 'nested' }, authors: [{ name: 'Ada' }] };
+  assert.equal(getPath(record, 'a.b'), 'column', 'a column with that exact name wins');
+  assert.equal(getPath(record, '$.a.b'), 'nested');
+  assert.equal(getPath(record, '$.authors[0].name'), 'Ada');
+  assert.equal(getPath(record, 'missing.path'), undefined);
+  assert.equal(detectFormat('rows.NDJSON'), 'jsonl');
+  assert.throws(() => detectFormat('rows.txt'), { category: 'validation' });
+});
+
+test('JSONL rows become documents, and invalid rows are reported by line', async () => {
+  const file = await dataset('articles.jsonl', [
+    JSON.stringify({ key: 'a1', body: { text: 'First article' }, meta: { lang: 'en' }, tags: ['x', 'y'] }),
+    '',
+    '{not json',
+    JSON.stringify(['an', 'array']),
+    JSON.stringify({ key: 'a2', body: {} }),
+    JSON.stringify({ key: 'a1', body: { text: 'Same ID again' } }),
+    JSON.stringify({ key: 'a3', body: { text: 'Third article' }, meta: {} }),
+  ].join('\n'));
+
+  const result = await importDataset({
+    namespace_name: 'docs',
+    file_path: file,
+    mapping: { id: 'key', text: 'body.text', metadata: ['meta.lang', '$.tags[0]'] },
+  });
+  assert.ok(!result.isError, result.content[0].text);
+
+  assert.deepEqual(uploaded(), [
+    { id: 'a1', text: 'First article', metadata: { lang: 'en', tags: 'x' } },
+    { id: 'a3', text: 'Third article' },
+  ]);
+  const { rows, imported, invalid, row_errors, format, failed_ids } = result.structuredContent;
+  assert.deepEqual({ rows, imported, invalid, format, failed_ids }, { rows: 6, imported: 2, invalid: 4, format: 'jsonl', failed_ids: [] });
+  assert.deepEqual(row_errors.map(({ row }) => row), [3, 4, 5, 6]);
+  assert.match(row_errors[0].error, /^Invalid JSON/);
+  assert.equal(row_errors[1].error, 'Row is not a JSON object');
+  assert.equal(row_errors[2].error, 'text ("body.text") is missing or not a string');
+  assert.equal(row_errors[3].error, 'duplicate id "a1"');
+});
+
+test('CSV rows: quoted fields, default IDs, renamed metadata and column count errors', async () => {
+  const file = await dataset('faq.csv', [
+    '\uFEFFquestion,answer,category',
+    '"How do I reset, quickly?","Click ""Reset"".\r\nThen wait.",billing',
+    'Too,many,columns,here',
+    'Where are invoices?,Under Billing,billing',
+  ].join('\r\n'));
+
+  const result = await importDataset({
+    namespace_name: 'docs',
+    file_path: file,
+    mapping: { text: 'answer', metadata: { topic: 'category', question: 'question' } },
+  });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.deepEqual(uploaded(), [
+    { id: 'faq:1', text: 'Click "Reset".\r\nThen wait.', metadata: { topic: 'billing', question: 'How do I reset, quickly?' } },
+    { id: 'faq:3', text: 'Under Billing', metadata: { topic: 'billing', question: 'Where are invoices?' } },
+  ]);
+  assert.deepEqual(result.structuredContent.row_errors, [{ row: 2, error: 'Expected 3 columns, found 4' }]);
+});
+
+test('vector columns map to vectors and are checked against the namespace dimension', async () => {
+  const file = await dataset('embeddings.csv', [
+    'id,embedding,source',
+    'v1,"[0.1, 0.2, 0.3]",a',
+    'v2,0.4;0.5;0.6,b',
+    'v3,1 2,c',
+    'v4,"[1, ""x"", 3]",d',
+  ].join('\n'));
+
+  const result = await importDataset({ namespace_name: 'vecs', file_path: file, mapping: { id: 'id', vector: 'embedding', metadata: ['source'] } });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.deepEqual(uploaded('vectors'), [
+    { id: 'v1', vector: [0.1, 0.2, 0.3], metadata: { source: 'a' } },
+    { id: 'v2', vector: [0.4, 0.5, 0.6], metadata: { source: 'b' } },
+  ]);
+  assert.deepEqual(result.structuredContent.row_errors, [
+    { row: 3, error: 'vector has 2 dimensions, expected 3' },
+    { row: 4, error: 'vector ("embedding") is invalid: vector must be a non-empty array of finite numbers' },
+  ]);
+
+  const noVector = await importDataset({ namespace_name: 'vecs', file_path: file, mapping: { text: 'source' } });
+  assert.equal(noVector.isError, true);
+  assert.match(noVector.content[0].text, /mapping\.vector is required for vector namespace "vecs"/);
+});
+
+test('rows are uploaded in batches, and rejected batches are listed for retry', async () => {
+  const file = await dataset('many.jsonl', Array.from({ length: 5 }, (_, i) => JSON.stringify({ id: `r${i}`, text: `Row ${i}` })).join('\n'));
+  failIds = new Set(['r2']);
+
+  const result = await importDataset({ namespace_name: 'docs', file_path: file, mapping: { id: 'id', text: 'text' }, batch_size: 2, concurrency: 1 });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.equal(api.requests.filter(({ method }) => method === 'POST').length, 3);
+  assert.deepEqual(result.structuredContent.failed_ids, ['r2', 'r3']);
+  assert.equal(result.structuredContent.imported, 3);
+  assert.equal(result.structuredContent.batches, 3);
+  assert.match(result.content[0].text, /Failed IDs \(retry these\): r2, r3/);
+});
+
+test('large CSV files are streamed across read chunks; dry runs send nothing', async () => {
+  const count = 3000;
+  const lines = ['id,text'];
+  for (let i = 0; i < count; i++) lines.push(`row-${i},"Line one of ${i}, quoted\nline two ""${i}"""`);
+  const file = await dataset('large.csv', lines.join('\n'));
+
+  const result = await importDataset({ namespace_name: 'docs', file_path: file, mapping: { id: 'id', text: 'text' }, dry_run: true });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.deepEqual(
+    { rows: result.structuredContent.rows, invalid: result.structuredContent.invalid, imported: result.structuredContent.imported, batches: result.structuredContent.batches },
+    { rows: count, invalid: 0, imported: 0, batches: 30 }
+  );
+  assert.equal(result.structuredContent.dry_run, true);
+  assert.deepEqual(api.requests.filter(({ method }) => method === 'POST'), []);
+});
+
+test('a missing file is a validation error', async () => {
+  const result = await importDataset({ namespace_name: 'docs', file_path: join(directory, 'nope.jsonl'), mapping: { text: 'text' } });
+  assert.equal(result.isError, true);
+  assert.equal(result._meta.error.category, 'validation');
+});
@@ -0,0 +1,124 @@
+/**
+ * Content-derived IDs and duplicate detection for upload-text and upload-vectors
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockApi, setTestEnv } from './mock-api.js';
+import {
+  normalizeText, textContentId, vectorContentId, withContentIds, assertUniqueContentIds, dedupeTexts, dedupeVectors,
+} from '../server/utils/dedupe.js';
+
+const api = await startMockApi(({ method, path }) => {
+  if (method === 'POST' && path === '/v1/namespaces/docs/documents') return { body: { status: 'success' } };
+  return undefined;
+});
+after(() => api.close());
+
+setTestEnv({ MOORCHEH_API_URL: api.url });
+const { uploadTextTool, uploadVectorsTool } = await import('../server/tools/data-tools.js');
+
+const words = (count, offset = 0) => Array.from({ length: count }, (_, i) => `word${i + offset}`).join(' ');
+
+test('text IDs ignore whitespace differences but not case', () => {
+  assert.equal(normalizeText('  a\n\tb   c '), 'a b c');
+  assert.equal(textContentId('Hello   world\n'), textContentId('Hello world'));
+  assert.notEqual(textContentId('Hello world'), textContentId('hello world'));
+  assert.match(textContentId('x'), /^content-[0-9a-f]{32}$/);
+});
+
+test('vector IDs depend on the values', () => {
+  assert.equal(vectorContentId([0.1, 0.2]), vectorContentId([0.1, 0.2]));
+  assert.notEqual(vectorContentId([0.1, 0.2]), vectorContentId([0.2, 0.1]));
+});
+
+test('withContentIds fills in only missing IDs', () => {
+  const items = withContentIds([{ id: 'given', text: 'a' }, { text: 'b' }, { id: '', text: 'c' }], (item) => textContentId(item.text));
+  assert.deepEqual(items.map(({ id }) => id), ['given', textContentId('b'), textContentId('c')]);
+  assert.deepEqual(items.map(({ text }) => text), ['a', 'b', 'c']);
+});
+
+test('exact duplicates are dropped, keeping the first', () => {
+  const { kept, collapsed } = dedupeTexts([
+    { id: 'a', text: 'Same text here' },
+    { id: 'b', text: 'Something else entirely' },
+    { id: 'c', text: ' Same   text here' },
+  ], { threshold: 1 });
+  assert.deepEqual(kept.map(({ id }) => id), ['a', 'b']);
+  assert.deepEqual(collapsed, [{ id: 'c', duplicate_of: 'a', similarity: 1 }]);
+});
+
+test('near-duplicates are dropped at or above the threshold only', () => {
+  const base = words(100);
+  const documents = [
+    { id: 'original', text: base },
+    { id: 'unrelated', text: words(100, 500) },
+    { id: 'edited', text: `${base.slice(0, base.lastIndexOf(' '))} changed` },
+  ];
+
+  const { kept, collapsed } = dedupeTexts(documents);
+  assert.deepEqual(kept.map(({ id }) => id), ['original', 'unrelated']);
+  assert.equal(collapsed.length, 1);
+  assert.equal(collapsed[0].id, 'edited');
+  assert.equal(collapsed[0].duplicate_of, 'original');
+  assert.ok(collapsed[0].similarity >= 0.9 && collapsed[0].similarity < 1);
+
+  assert.equal(dedupeTexts(documents, { threshold: 1 }).kept.length, 3);
+  assert.equal(dedupeTexts(documents, { threshold: 0.995 }).kept.length, 3);
+});
+
+test('identical vectors are dropped', () => {
+  const { kept, collapsed } = dedupeVectors([
+    { id: 'a', vector: [1, 2] }, { id: 'b', vector: [1, 2.5] }, { id: 'c', vector: [1, 2] },
+  ]);
+  assert.deepEqual(kept.map(({ id }) => id), ['a', 'b']);
+  assert.deepEqual(collapsed, [{ id: 'c', duplicate_of: 'a', similarity: 1 }]);
+});
+
+test('upload-text sends content IDs and leaves out duplicates', async () => {
+  const result = await uploadTextTool.handler({
+    namespace_name: 'docs',
+    documents: [{ text: 'First document' }, { id: 'mine', text: 'Second document' }, { text: 'First   document' }],
+    dedupe: {},
+  });
+  assert.ok(!result.isError, result.content[0].text);
+
+  const sent = api.requests.find((request) => request.path === '/v1/namespaces/docs/documents').body.documents;
+  assert.deepEqual(sent.map(({ id }) => id), [textContentId('First document'), 'mine']);
+  assert.deepEqual(result.structuredContent.collapsed, [], 'a copy under the same derived ID is not a separate document');
+  assert.doesNotMatch(result.content[0].text, /Dropped/);
+});
+
+test('copies with a given ID are still listed', () => {
+  const { kept, collapsed } = dedupeTexts(withContentIds([{ text: 'Same' }, { id: 'copy', text: 'Same' }], (doc) => textContentId(doc.text)));
+  assert.equal(kept.length, 1);
+  assert.deepEqual(collapsed, [{ id: 'copy', duplicate_of: textContentId('Same'), similarity: 1 }]);
+  assert.deepEqual(dedupeVectors([{ id: 'v', vector: [1] }, { id: 'v', vector: [1] }]).collapsed, []);
+});
+
+test('without dedupe, content repeated without IDs is rejected before sending anything', async () => {
+  const before = api.requests.length;
+  const result = await uploadTextTool.handler({
+    namespace_name: 'docs',
+    documents: [{ text: 'Repeated text' }, { id: 'mine', text: 'Repeated text' }, { text: 'Repeated   text' }],
+  });
+  assert.ok(result.isError);
+  assert.equal(result._meta.error.category, 'validation');
+  assert.match(result.content[0].text, new RegExp(`Some documents without an ID repeat earlier content.*: ${textContentId('Repeated text')}\\.`));
+  assert.equal(api.requests.length, before);
+
+  const vectors = await uploadVectorsTool.handler({ namespace_name: 'vectors', vectors: [{ vector: [1, 2] }, { vector: [1, 2] }] });
+  assert.ok(vectors.isError);
+  assert.match(vectors.content[0].text, new RegExp(vectorContentId([1, 2])));
+  assert.equal(api.requests.length, before);
+
+  assert.doesNotThrow(() => assertUniqueContentIds([{ id: 'a' }, { id: 'a' }], [{ id: 'a' }, { id: 'a' }], 'documents'), 'given IDs are left alone');
+});
+
+test('upload-text rejects an empty document list before sending anything', async () => {
+  const before = api.requests.length;
+  const result = await uploadTextTool.handler({ namespace_name: 'docs', documents: [] });
+  assert.ok(result.isError);
+  assert.equal(result._meta.error.category, 'validation');
+  assert.equal(api.requests.length, before);
+});
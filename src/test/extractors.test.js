@@ -0,0 +1,136 @@
+/**
+ * Local text extraction for file types the upload endpoint does not accept
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMockApi, setTestEnv, connectClient } from './mock-api.js';
+
+const api = await startMockApi(({ method, path }) => {
+  if (method === 'GET' && path === '/v1/namespaces') return { body: { namespaces: [{ namespace_name: 'docs', type: 'text' }] } };
+  if (method === 'POST' && path === '/v1/namespaces/docs/documents') return { body: { status: 'success' } };
+  return undefined;
+});
+after(() => api.close());
+
+setTestEnv({ MOORCHEH_API_URL: api.url });
+const { registerExtractor, findExtractor, extractFile, loadExtractorModules } = await import('../server/utils/extractors.js');
+const { createServer } = await import('../server/server.js');
+
+const directory = await mkdtemp(join(tmpdir(), 'moorcheh-extract-'));
+after(() => rm(directory, { recursive: true, force: true }));
+
+beforeEach(() => { api.requests.length = 0; });
+
+const file = async (name, content) => {
+  const path = join(directory, name);
+  await writeFile(path, content);
+  return path;
+};
+const extract = async (name, content) => extractFile(await file(name, content));
+
+test('HTML: page chrome, scripts and comments are stripped, structure is kept', async () => {
+  const { extractor, text, metadata } = await extract('Help.HTML', `<!doctype html>
+<html><head><title>Reset &amp; recover</title><style>p { color: red }</style></head>
+<body>
+  <nav><a href="/">Home</a></nav>
+  <main>
+    <h1>Resetting</h1>
+    <!-- internal note -->
+    <p>Press <b>Reset</b>&nbsp;twice &#8212; then wait.</p>
+    <ul><li>Step one</li><li>Step two</li></ul>
+    <script>track()</script>
+  </main>
+  <footer>© Example</footer>
+</body></html>`);
+  assert.equal(extractor, 'html');
+  assert.equal(text, '# Resetting\n\nPress Reset twice — then wait.\n\n- Step one\n- Step two');
+  assert.deepEqual(metadata, { filename: 'Help.HTML', language: 'html', title: 'Reset & recover' });
+});
+
+test('XML: element text, CDATA and the title', async () => {
+  const { text, metadata } = await extract('feed.xml', `<?xml version="1.0"?>
+<!DOCTYPE feed>
+<feed><title><![CDATA[Release notes]]></title>
+  <entry><summary>Fixed &lt;input&gt; handling</summary><code><![CDATA[if (a < b) {}]]></code></entry>
+</feed>`);
+  assert.equal(text, 'Release notes\n\nFixed <input> handling\n\nif (a < b) {}');
+  assert.equal(metadata.title, 'Release notes');
+});
+
+test('YAML keeps its indentation; reStructuredText loses its markup', async () => {
+  const yaml = await extract('config.yml', '---\ntitle: "Service config"\nserver:\n  port: 8080   \n...\n');
+  assert.equal(yaml.text, 'title: "Service config"\nserver:\n  port: 8080');
+  assert.equal(yaml.metadata.title, 'Service config');
+
+  const rst = await extract('guide.rst', [
+    '=====',
+    'Guide',
+    '=====',
+    '',
+    'Use ``moorcheh`` with the :func:`search` call. See `the docs <https://example.com>`_.',
+    '',
+    '.. note:: Keep **keys** secret.',
+    '',
+    '.. code-block:: python',
+    '   :linenos:',
+    '',
+    '   print("hi")',
+    '',
+    '.. a comment',
+  ].join('\n'));
+  assert.equal(rst.metadata.title, 'Guide');
+  assert.equal(rst.text, 'Guide\n\nUse moorcheh with the search call. See the docs.\n\nKeep keys secret.\n\nprint("hi")');
+});
+
+test('source code is kept as written, with its language', async () => {
+  const { extractor, text, metadata } = await extract('util.py', 'def f():   \n    return 1\n\n');
+  assert.equal(extractor, 'source');
+  assert.equal(text, 'def f():\n    return 1');
+  assert.deepEqual(metadata, { filename: 'util.py', language: 'python', title: 'util.py' });
+});
+
+test('files without an extractor or without text are rejected', async () => {
+  await assert.rejects(extract('image.png', 'binary'), { category: 'validation', message: /No text extractor for "image.png"/ });
+  await assert.rejects(extract('empty.html', '<html><script>x()</script></html>'), { category: 'validation', message: /No text extracted from "empty.html"/ });
+});
+
+test('extractors are pluggable and can replace built-in ones', async () => {
+  assert.throws(() => registerExtractor({ name: 'broken', extensions: [] }), /needs a name/);
+
+  const modulePath = await file('extractors.mjs', `export default [
+    { name: 'notes', extensions: ['.notes'], extract: (content) => ({ text: content.toUpperCase(), title: 'Notes' }) },
+    { name: 'plain-html', extensions: ['.HTML'], language: 'markup', extract: (content) => ({ text: content }) },
+  ];`);
+  await loadExtractorModules(modulePath);
+  assert.equal(findExtractor('a.NOTES').name, 'notes');
+
+  assert.deepEqual(await extract('todo.notes', 'buy milk'), { extractor: 'notes', text: 'BUY MILK', metadata: { filename: 'todo.notes', language: 'notes', title: 'Notes' } });
+  assert.deepEqual((await extract('raw.html', '<p>kept</p>')).metadata, { filename: 'raw.html', language: 'markup' });
+
+  await assert.rejects(loadExtractorModules(join(directory, 'missing.mjs')), /Could not load extractor module/);
+  const invalid = await file('invalid.mjs', 'export default { name: "no-extract", extensions: [".x"] };');
+  await assert.rejects(loadExtractorModules(invalid), /Invalid extractor in .*invalid\.mjs/);
+});
+
+test('upload-file sends extracted files to the documents endpoint with their metadata', async () => {
+  const { client, close } = await connectClient(createServer);
+  after(close);
+  const path = await file('handler.go', 'package main\n\nfunc main() {}\n');
+
+  const result = await client.callTool({ name: 'upload-file', arguments: { namespace_name: 'docs', file_path: path, document_id: 'samples/handler' } });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.equal(result.structuredContent.extractor, 'source');
+  assert.equal(result.structuredContent.document_id, 'samples/handler');
+
+  const upload = api.requests.find(({ method }) => method === 'POST');
+  assert.equal(upload.path, '/v1/namespaces/docs/documents');
+  assert.deepEqual(upload.body.documents, [{
+    id: 'samples/handler',
+    text: 'package main\n\nfunc main() {}',
+    metadata: { filename: 'handler.go', language: 'go', title: 'handler.go' },
+  }]);
+});
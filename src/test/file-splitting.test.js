@@ -0,0 +1,82 @@
+/**
+ * Splitting of oversized text files for upload-file
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitFile } from '../server/utils/file-splitting.js';
+
+const bytes = (text) => Buffer.byteLength(text, 'utf8');
+
+const assertUnderLimit = (parts, maxBytes) => {
+  for (const part of parts) {
+    assert.ok(bytes(part.content) <= maxBytes, `${part.fileName} is ${bytes(part.content)} bytes`);
+  }
+};
+
+test('CSV parts repeat the header and keep quoted newlines in their row', () => {
+  const header = 'id,name,notes\n';
+  const rows = Array.from({ length: 40 }, (_, i) => (i === 7
+    ? `${i},"Smith, Jo","line one\nline two"\n`
+    : `${i},name-${i},plain notes ${i}\n`));
+  const parts = splitFile('/data/people.csv', 200, header + rows.join(''));
+
+  assert.ok(parts.length > 1);
+  assertUnderLimit(parts, 200);
+  for (const part of parts) {
+    assert.ok(part.content.startsWith(header));
+  }
+  assert.equal(parts.map((part) => part.content.slice(header.length)).join(''), rows.join(''));
+  assert.ok(parts.some((part) => part.content.includes('"line one\nline two"')));
+});
+
+test('JSON arrays are split into arrays of whole elements', () => {
+  const items = Array.from({ length: 30 }, (_, i) => ({ id: i, text: `item ${i}`, tags: ['a', 'b'] }));
+  const parts = splitFile('/data/items.json', 300, JSON.stringify(items, null, 2));
+
+  assert.ok(parts.length > 1);
+  assertUnderLimit(parts, 300);
+  assert.deepEqual(parts.flatMap((part) => JSON.parse(part.content)), items);
+});
+
+test('JSON objects are split into objects of whole entries', () => {
+  const data = Object.fromEntries(Array.from({ length: 20 }, (_, i) => [`key${i}`, { value: i, label: `label ${i}` }]));
+  const parts = splitFile('/data/map.json', 150, JSON.stringify(data));
+
+  assert.ok(parts.length > 1);
+  assertUnderLimit(parts, 150);
+  assert.deepEqual(Object.assign({}, ...parts.map((part) => JSON.parse(part.content))), data);
+});
+
+test('markdown is split on sections and joins back to the original', () => {
+  const text = Array.from({ length: 6 }, (_, i) => `## Section ${i}\n\n${'Some words here. '.repeat(4)}\n\nSecond paragraph ${i}.\n`).join('\n');
+  const parts = splitFile('/docs/guide.md', 160, text);
+
+  assert.ok(parts.length > 1);
+  assertUnderLimit(parts, 160);
+  assert.equal(parts.map((part) => part.content).join(''), text);
+  assert.ok(parts.every((part) => part.content.startsWith('## ')), 'sections that fit are not broken up');
+});
+
+test('plain text is split on paragraphs, then lines', () => {
+  const text = `${'short paragraph\n\n'.repeat(5)}${Array.from({ length: 10 }, (_, i) => `line ${i} of a long paragraph`).join('\n')}\n`;
+  const parts = splitFile('/notes.txt', 80, text);
+
+  assertUnderLimit(parts, 80);
+  assert.equal(parts.map((part) => part.content).join(''), text);
+});
+
+test('parts are numbered and carry part metadata', () => {
+  const parts = splitFile('/data/big.file.csv', 40, `h\n${'row\n'.repeat(30)}`);
+  assert.equal(parts[0].fileName, `big.file.part-001-of-${String(parts.length).padStart(3, '0')}.csv`);
+  parts.forEach((part, index) => {
+    assert.deepEqual(part.metadata, { part_of: 'big.file.csv', part_index: index + 1, part_count: parts.length });
+  });
+});
+
+test('rejects records over the limit, invalid JSON and other file types', () => {
+  assert.throws(() => splitFile('/a.csv', 30, `h\n${'x'.repeat(50)}\n`), { category: 'validation', message: /record 1 alone/ });
+  assert.throws(() => splitFile('/a.json', 100, '{ nope'), { category: 'validation', message: /invalid JSON/ });
+  assert.throws(() => splitFile('/a.json', 100, '"just a string"'), { category: 'validation', message: /array or an object/ });
+  assert.throws(() => splitFile('/a.pdf', 100, 'x'), { category: 'validation', message: /can be split/ });
+});
@@ -0,0 +1,142 @@
+/**
+ * Streamable HTTP transport: sessions, health check, idle sweeping and the
+ * Host, Origin and bearer token checks
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { setTestEnv } from './mock-api.js';
+
+setTestEnv();
+const { startHttpServer, allowedHostHeaders } = await import('../server/transports/http.js');
+const { createServer } = await import('../server/server.js');
+
+const started = [];
+const start = async (options) => {
+  const server = await startHttpServer(createServer, { port: 0, ...options });
+  started.push(server);
+  return server;
+};
+after(() => Promise.all(started.map((server) => server.shutdown())));
+
+const connect = async (url, headers = {}) => {
+  const client = new Client({ name: 'http-test', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(url), { requestInit: { headers } });
+  await client.connect(transport);
+  return { client, transport };
+};
+
+// Raw request, so headers such as Host can be set freely
+function send(url, { method = 'POST', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = request(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    }, (res) => {
+      let raw = '';
+      res.on('data', (chunk) => { raw += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: raw }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'raw', version: '1.0.0' } },
+};
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('health check reports the number of sessions', async () => {
+  const server = await start();
+  const health = await fetch(server.url.replace(/\/mcp$/, '/healthz'));
+  assert.equal(health.status, 200);
+  assert.deepEqual(await health.json(), { status: 'ok', sessions: 0 });
+});
+
+test('a client reuses its session across requests, and DELETE ends it', async () => {
+  const server = await start();
+  const { client, transport } = await connect(server.url);
+  const sessionId = transport.sessionId;
+  assert.ok(sessionId);
+
+  const first = await client.listTools();
+  const second = await client.listTools();
+  assert.equal(first.tools.length, second.tools.length);
+  assert.equal(transport.sessionId, sessionId);
+  assert.deepEqual([...server.sessions.keys()], [sessionId]);
+
+  await transport.terminateSession();
+  await client.close();
+  assert.equal(server.sessions.size, 0);
+});
+
+test('unknown session IDs and requests without a session are rejected', async () => {
+  const server = await start();
+  const listTools = { jsonrpc: '2.0', id: 2, method: 'tools/list' };
+
+  const unknown = await send(server.url, { headers: { 'mcp-session-id': 'no-such-session' }, body: listTools });
+  assert.equal(unknown.status, 404);
+  assert.equal(JSON.parse(unknown.body).error.code, -32001);
+
+  const missing = await send(server.url, { body: listTools });
+  assert.equal(missing.status, 400);
+
+  const get = await send(server.url, { method: 'GET', headers: { 'mcp-session-id': 'no-such-session' } });
+  assert.equal(get.status, 404);
+});
+
+test('idle sessions are swept', async () => {
+  const server = await start({ sessionIdleMs: 100 });
+  const { transport } = await connect(server.url);
+  assert.equal(server.sessions.size, 1);
+
+  await sleep(400);
+  assert.equal(server.sessions.size, 0);
+  const after = await send(server.url, { headers: { 'mcp-session-id': transport.sessionId }, body: { jsonrpc: '2.0', id: 3, method: 'tools/list' } });
+  assert.equal(after.status, 404);
+});
+
+test('requests with a foreign Host or Origin are refused', async () => {
+  const server = await start();
+  const { port } = new URL(server.url);
+
+  const rebound = await send(server.url, { headers: { Host: `attacker.example:${port}` }, body: initialize });
+  assert.equal(rebound.status, 403);
+  assert.match(rebound.body, /Invalid Host header/);
+
+  const crossSite = await send(server.url, { headers: { Origin: 'https://attacker.example' }, body: initialize });
+  assert.equal(crossSite.status, 403);
+  assert.match(crossSite.body, /Invalid Origin header/);
+
+  assert.equal(server.sessions.size, 0);
+  const local = await send(server.url, { headers: { Host: `localhost:${port}`, Origin: `http://localhost:${port}` }, body: initialize });
+  assert.equal(local.status, 200);
+});
+
+test('allowed Host headers', () => {
+  assert.deepEqual(allowedHostHeaders('127.0.0.1', 3000), ['localhost:3000', '127.0.0.1:3000', '[::1]:3000']);
+  assert.deepEqual(allowedHostHeaders('10.0.0.5', 80, ['MCP.example.com', 'proxy:8443']), ['10.0.0.5:80', '10.0.0.5', 'mcp.example.com:80', 'mcp.example.com', 'proxy:8443']);
+  const wildcard = allowedHostHeaders('0.0.0.0', 3000);
+  assert.ok(wildcard.includes('localhost:3000') && wildcard.includes('127.0.0.1:3000'));
+});
+
+test('a bearer token is required when configured', async () => {
+  const server = await start({ authToken: 'secret-token' });
+
+  const missing = await send(server.url, { body: initialize });
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers['www-authenticate'], 'Bearer');
+  const wrong = await send(server.url, { headers: { Authorization: 'Bearer wrong' }, body: initialize });
+  assert.equal(wrong.status, 401);
+
+  const { client } = await connect(server.url, { Authorization: 'Bearer secret-token' });
+  assert.ok((await client.listTools()).tools.length > 0);
+  await client.close();
+});
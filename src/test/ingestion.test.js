@@ -0,0 +1,116 @@
+/**
+ * Ingestion tracking for queued file uploads: probes, statuses and the
+ * namespace policy
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'fs/promises';
+import { startMockApi, setTestEnv, connectClient } from './mock-api.js';
+
+// Namespace item counts, and document IDs that documents/get can find
+const itemCounts = { docs: 10, ids: 0, hidden: 0 };
+const searchable = new Set();
+
+const api = await startMockApi(({ method, path, body }) => {
+  if (method === 'GET' && path === '/v1/namespaces') {
+    return { body: { namespaces: Object.entries(itemCounts).map(([namespace_name, itemCount]) => ({ namespace_name, type: 'text', itemCount })) } };
+  }
+  if (method === 'POST' && path === '/v1/namespaces/ids/documents/get') {
+    return { body: { items: body.ids.filter((id) => searchable.has(id)).map((id) => ({ id, text: '...' })) } };
+  }
+  return undefined;
+});
+after(() => api.close());
+
+// Unlisted namespaces, such as "hidden", are inaccessible
+setTestEnv({ MOORCHEH_API_URL: api.url, MOORCHEH_NAMESPACE_CACHE_TTL_MS: '0', MOORCHEH_NAMESPACES: 'docs, ids, gone' });
+const { trackUploads, INGESTION_PATH } = await import('../server/utils/ingestion.js');
+const { createServer } = await import('../server/server.js');
+
+const { client, close } = await connectClient(createServer);
+after(close);
+
+const checkIngestion = async (args = {}) => {
+  const result = await client.callTool({ name: 'check-ingestion', arguments: args });
+  assert.ok(!result.isError, result.content[0].text);
+  return result;
+};
+const statuses = ({ structuredContent }) => Object.fromEntries(
+  Object.entries(structuredContent).flatMap(([status, uploads]) => uploads.map((upload) => [upload.file_name, status]))
+);
+const upload = (namespace_name, file_name, extra) => ({ namespace_name, file_name, file_path: `/tmp/${file_name}`, size_bytes: 100, ...extra });
+
+test('uploads that return document IDs complete once those documents can be fetched', async () => {
+  const [record] = await trackUploads([upload('ids', 'listed.pdf', { response: { status: 'queued', document_ids: ['d1', 'd2'] } })]);
+  assert.equal(record.status, 'pending');
+
+  searchable.add('d1');
+  assert.equal(statuses(await checkIngestion({ upload_ids: [record.upload_id] }))['listed.pdf'], 'pending', 'one document is still missing');
+
+  searchable.add('d2');
+  const { structuredContent } = await checkIngestion({ upload_ids: [record.upload_id] });
+  assert.equal(structuredContent.completed.length, 1);
+  assert.equal(structuredContent.completed[0].probe, 'documents');
+  assert.ok(api.requests.some(({ path, body }) => path === '/v1/namespaces/ids/documents/get' && body.ids.join() === 'd1,d2'));
+});
+
+test('other uploads are probably completed once the item count has grown by the number pending', async () => {
+  await trackUploads([
+    upload('docs', 'one.md', { response: { status: 'queued' }, item_count_before: 10 }),
+    upload('docs', 'two.md', { response: { status: 'queued' }, item_count_before: 10 }),
+  ]);
+
+  itemCounts.docs = 11;
+  const partial = await checkIngestion({ namespace_name: 'docs' });
+  assert.deepEqual(statuses(partial), { 'one.md': 'pending', 'two.md': 'pending' });
+  assert.equal(partial.structuredContent.pending[0].items_added, 1);
+
+  itemCounts.docs = 12;
+  const done = await checkIngestion({ namespace_name: 'docs' });
+  assert.deepEqual(statuses(done), { 'one.md': 'probably_completed', 'two.md': 'probably_completed' });
+  assert.equal(done.structuredContent.probably_completed[0].probe, 'item_count');
+  assert.match(done.content[0].text, /Search for the content to be sure/);
+});
+
+test('rejected uploads, deleted namespaces and timeouts are failures', async () => {
+  const [rejected, orphaned, stale] = await trackUploads([
+    upload('docs', 'rejected.md', { error: new Error('File too large') }),
+    upload('gone', 'orphaned.md', { response: { status: 'queued' }, item_count_before: 0 }),
+    upload('ids', 'stale.pdf', { response: { document_ids: ['never'] } }),
+  ]);
+  assert.equal(rejected.status, 'failed');
+
+  // Backdate the last upload past the ingestion timeout
+  const saved = JSON.parse(await readFile(INGESTION_PATH, 'utf8'));
+  saved.uploads.find(({ upload_id }) => upload_id === stale.upload_id).uploaded_at = new Date(Date.now() - 31 * 60 * 1000).toISOString();
+  await writeFile(INGESTION_PATH, JSON.stringify(saved));
+
+  const { structuredContent } = await checkIngestion({ upload_ids: [rejected.upload_id, orphaned.upload_id, stale.upload_id] });
+  const errors = Object.fromEntries(structuredContent.failed.map(({ file_name, error }) => [file_name, error]));
+  assert.deepEqual(errors, {
+    'rejected.md': 'File too large',
+    'orphaned.md': 'Namespace "gone" no longer exists',
+    'stale.pdf': 'Not searchable 30 minutes after upload',
+  });
+});
+
+test('uploads to namespaces hidden by the policy are neither probed nor listed', async () => {
+  await trackUploads([upload('hidden', 'secret.md', { response: { status: 'queued' }, item_count_before: 0 })]);
+  itemCounts.hidden = 5;
+  const before = api.requests.length;
+
+  const { structuredContent } = await checkIngestion();
+  assert.equal(statuses({ structuredContent })['secret.md'], undefined);
+  assert.ok(api.requests.slice(before).every(({ path }) => !path.includes('hidden')));
+  const { uploads } = JSON.parse(await readFile(INGESTION_PATH, 'utf8'));
+  assert.equal(uploads.find(({ file_name }) => file_name === 'secret.md').status, 'pending', 'its item count was not probed');
+
+  const denied = await client.callTool({ name: 'check-ingestion', arguments: { namespace_name: 'hidden' } });
+  assert.equal(denied.isError, true);
+
+  const resource = await client.readResource({ uri: 'moorcheh://ingestion/uploads' });
+  const listed = JSON.parse(resource.contents[0].text);
+  assert.deepEqual(listed.probably_completed.map(({ file_name }) => file_name), ['one.md', 'two.md']);
+  assert.ok(!resource.contents[0].text.includes('secret.md'));
+});
@@ -0,0 +1,164 @@
+/**
+ * Per-namespace metadata schemas: the registry, its tools and the checks
+ * on every upload path
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMockApi, setTestEnv, connectClient } from './mock-api.js';
+
+const api = await startMockApi(({ method, path }) => {
+  if (method === 'GET' && path === '/v1/namespaces') {
+    return { body: { namespaces: [{ namespace_name: 'docs', type: 'text' }, { namespace_name: 'vecs', type: 'vector', vector_dimension: 2 }] } };
+  }
+  if (method === 'GET' && path === '/v1/namespaces/docs') return { body: { namespace_name: 'docs', type: 'text', itemCount: 3 } };
+  if (method === 'POST') return { body: { status: 'success' } };
+  return undefined;
+});
+after(() => api.close());
+
+setTestEnv({ MOORCHEH_API_URL: api.url });
+const { METADATA_SCHEMAS_PATH, getMetadataSchema } = await import('../server/utils/metadata-schemas.js');
+const { createServer } = await import('../server/server.js');
+
+const { client, close } = await connectClient(createServer);
+after(close);
+
+const directory = await mkdtemp(join(tmpdir(), 'moorcheh-schemas-'));
+after(() => rm(directory, { recursive: true, force: true }));
+
+const categorySchema = {
+  type: 'object',
+  properties: { category: { enum: ['billing', 'support'] }, year: { type: 'integer' } },
+  required: ['category'],
+  additionalProperties: false,
+};
+
+const callTool = (name, args) => client.callTool({ name, arguments: args });
+const setSchema = async (namespace_name, schema) => {
+  const result = await callTool('set-metadata-schema', { namespace_name, schema });
+  assert.ok(!result.isError, result.content[0].text);
+  return result;
+};
+const uploads = () => api.requests.filter(({ method }) => method === 'POST');
+
+beforeEach(async () => {
+  api.requests.length = 0;
+  await callTool('set-metadata-schema', { namespace_name: 'docs', schema: null });
+  await callTool('set-metadata-schema', { namespace_name: 'vecs', schema: null });
+});
+
+test('schemas are set, shown and removed', async () => {
+  const set = await setSchema('docs', categorySchema);
+  assert.deepEqual(set.structuredContent.schema, categorySchema);
+  assert.ok(set.structuredContent.updated_at);
+
+  const shown = await callTool('get-metadata-schema', { namespace_name: 'docs' });
+  assert.deepEqual(shown.structuredContent.schema, categorySchema);
+  const details = JSON.parse((await client.readResource({ uri: 'moorcheh://namespace/docs' })).contents[0].text);
+  assert.deepEqual(details, { namespace_name: 'docs', type: 'text', itemCount: 3, metadata_schema: categorySchema });
+
+  const removed = await callTool('set-metadata-schema', { namespace_name: 'docs', schema: null });
+  assert.equal(removed.structuredContent.removed, true);
+  assert.equal((await callTool('get-metadata-schema', { namespace_name: 'docs' })).structuredContent.schema, null);
+});
+
+test('invalid schemas and unknown namespaces are rejected', async () => {
+  for (const [schema, message] of [
+    [{ type: 'array' }, /the schema's type must be "object"/],
+    [{ type: 'object', properties: { a: { type: 'strnig' } } }, /Invalid metadata schema/],
+    [{ type: 'object', requird: ['a'] }, /Invalid metadata schema: strict mode: unknown keyword: "requird"/],
+  ]) {
+    const result = await callTool('set-metadata-schema', { namespace_name: 'docs', schema });
+    assert.equal(result.isError, true);
+    assert.equal(result._meta.error.category, 'validation');
+    assert.match(result.content[0].text, message);
+  }
+  const missing = await callTool('set-metadata-schema', { namespace_name: 'nope', schema: categorySchema });
+  assert.equal(missing._meta.error.category, 'not_found');
+  assert.equal(await getMetadataSchema('docs'), null);
+});
+
+test('upload-text lists every document whose metadata does not match, and sends nothing', async () => {
+  await setSchema('docs', categorySchema);
+  const result = await callTool('upload-text', {
+    namespace_name: 'docs',
+    documents: [
+      { id: 'ok', text: 'Fine', metadata: { category: 'billing', year: 2024 } },
+      { id: 'typo', text: 'Typo', metadata: { categroy: 'billing' } },
+      { id: 'bare', text: 'No metadata' },
+      { id: 'wrong', text: 'Wrong values', metadata: { category: 'sales', year: '2024' } },
+    ],
+  });
+  assert.equal(result.isError, true);
+  assert.equal(result._meta.error.category, 'validation');
+  const text = result.content[0].text;
+  assert.match(text, /3 item\(s\) have metadata that does not match the schema of namespace "docs"/);
+  assert.match(text, /  typo: metadata must have required property 'category'; metadata has unknown field "categroy"/);
+  assert.match(text, /  bare: metadata must have required property 'category'/);
+  assert.match(text, /  wrong: metadata\.category must be one of: "billing", "support"; metadata\.year must be integer/);
+  assert.doesNotMatch(text, / ok:/);
+  assert.deepEqual(uploads(), []);
+});
+
+test('chunk fields are checked as sent', async () => {
+  await setSchema('docs', { type: 'object', properties: { source: { type: 'string' } }, additionalProperties: false });
+  const documents = [{ id: 'long', text: 'one two three four', metadata: { source: 'kb' } }];
+  const chunking = { strategy: 'tokens', size: 2 };
+
+  const rejected = await callTool('upload-text', { namespace_name: 'docs', documents, chunking });
+  assert.equal(rejected.isError, true);
+  assert.match(rejected.content[0].text, /long#chunk-0000: metadata has unknown field "parent_id"/);
+
+  await setSchema('docs', { type: 'object', properties: { source: { type: 'string' }, parent_id: {}, chunk_index: {}, chunk_count: {}, chunk_start: {} }, additionalProperties: false });
+  const accepted = await callTool('upload-text', { namespace_name: 'docs', documents, chunking });
+  assert.ok(!accepted.isError, accepted.content[0].text);
+  assert.equal(uploads()[0].body.documents.length, 2);
+});
+
+test('upload-vectors checks vector metadata', async () => {
+  await setSchema('vecs', categorySchema);
+  const result = await callTool('upload-vectors', { namespace_name: 'vecs', vectors: [{ id: 'v1', vector: [1, 2], metadata: { category: 'other' } }] });
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /v1: metadata\.category must be one of/);
+  assert.deepEqual(uploads(), []);
+});
+
+test('upload-directory and sync-directory skip files whose metadata does not match', async () => {
+  const files = await mkdtemp(join(directory, 'files-'));
+  await writeFile(join(files, 'page.html'), '<title>Page</title><p>Hello</p>');
+  await writeFile(join(files, 'script.py'), 'print("hi")');
+  await setSchema('docs', { type: 'object', properties: { language: { const: 'html' } } });
+
+  const uploaded = await callTool('upload-directory', { namespace_name: 'docs', directory_path: files });
+  assert.ok(!uploaded.isError, uploaded.content[0].text);
+  const statuses = Object.fromEntries(uploaded.structuredContent.files.map(({ path, status, reason }) => [path, [status, reason]]));
+  assert.equal(statuses['page.html'][0], 'uploaded');
+  assert.deepEqual(statuses['script.py'], ['skipped', 'Metadata does not match the namespace\'s schema: metadata.language must be equal to constant']);
+
+  api.requests.length = 0;
+  const synced = await callTool('sync-directory', { namespace_name: 'docs', directory_path: files });
+  assert.ok(!synced.isError, synced.content[0].text);
+  assert.deepEqual(synced.structuredContent.plan.upload.map(({ path }) => path), ['page.html']);
+  assert.deepEqual(synced.structuredContent.plan.skipped.map(({ path }) => path), ['script.py']);
+  assert.deepEqual(uploads().flatMap(({ body }) => body.documents.map(({ id }) => id)), ['page.html']);
+});
+
+test('schemas are kept per API, since namespace names are only unique per API', async () => {
+  await setSchema('docs', categorySchema);
+  const registry = JSON.parse(await readFile(METADATA_SCHEMAS_PATH, 'utf8'));
+  assert.deepEqual(Object.keys(registry.apis), [api.url]);
+
+  // A schema for a namespace of the same name on another API does not apply here
+  registry.apis['https://other.example/v1'] = { vecs: { schema: { type: 'object', required: ['other'] }, updated_at: '2024-01-01T00:00:00.000Z' } };
+  await writeFile(METADATA_SCHEMAS_PATH, JSON.stringify(registry));
+  const result = await callTool('upload-vectors', { namespace_name: 'vecs', vectors: [{ id: 'v1', vector: [1, 2] }] });
+  assert.ok(!result.isError, result.content[0].text);
+
+  await callTool('set-metadata-schema', { namespace_name: 'docs', schema: null });
+  const saved = JSON.parse(await readFile(METADATA_SCHEMAS_PATH, 'utf8'));
+  assert.deepEqual(Object.keys(saved.apis), ['https://other.example/v1'], 'other APIs are left alone');
+});
@@ -0,0 +1,65 @@
+/**
+ * Test helpers: a local stand-in for the Moorcheh API and the environment
+ * the server modules expect.
+ */
+
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+/**
+ * Start an HTTP server on a free local port. `handle({ method, path, body })`
+ * returns `{ status, body, headers }` (status defaults to 200), or nothing
+ * for a 404. Every request is recorded in `requests`.
+ */
+export async function startMockApi(handle) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', async () => {
+      const request = { method: req.method, path: req.url, body: raw ? JSON.parse(raw) : null };
+      requests.push(request);
+      const response = (await handle(request)) ?? { status: 404, body: { error: 'Not found' } };
+      res.writeHead(response.status ?? 200, { 'Content-Type': 'application/json', ...response.headers });
+      res.end(JSON.stringify(response.body ?? {}));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Environment for importing the server modules: a test API key, a throwaway
+// state directory (removed on exit) and no audit log. Set it before the first
+// import, since configuration is read when the modules load.
+export function setTestEnv(overrides = {}) {
+  const stateDir = mkdtempSync(join(tmpdir(), 'moorcheh-test-'));
+  process.on('exit', () => rmSync(stateDir, { recursive: true, force: true }));
+  Object.assign(process.env, {
+    MOORCHEH_API_KEY: 'test_key_1234567890',
+    MOORCHEH_STATE_DIR: stateDir,
+    MOORCHEH_AUDIT_LOG: 'off',
+    ...overrides,
+  });
+}
+
+/**
+ * Connect an MCP client to a server from `createServer` over an in-memory
+ * transport, so tool calls go through the SDK's input and output schema
+ * validation. `options` are the client's options (e.g. capabilities).
+ */
+export async function connectClient(createServer, options = {}) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const server = createServer();
+  const client = new Client({ name: 'test-client', version: '1.0.0' }, options);
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return { client, close: () => client.close() };
+}
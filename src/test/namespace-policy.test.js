@@ -0,0 +1,81 @@
+/**
+ * Namespace access policy and the glob matching behind it
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { setTestEnv } from './mock-api.js';
+import { matchesGlob, matchesAny, parseList } from '../server/utils/glob.js';
+
+// Environment rules come first, then the policy file's rules and default
+setTestEnv({ MOORCHEH_NAMESPACES: 'team-a-secret:none, team-a-*:write, support-*:read, scratch' });
+const policyPath = join(process.env.MOORCHEH_STATE_DIR, 'policy.json');
+writeFileSync(policyPath, JSON.stringify({
+  default: 'read',
+  rules: [{ pattern: 'support-*', access: 'write' }, { pattern: 'archive-??', access: 'none' }],
+}));
+process.env.MOORCHEH_NAMESPACE_POLICY = policyPath;
+
+const {
+  NAMESPACE_POLICY, getNamespaceAccess, canReadNamespace, canWriteNamespace, assertNamespaceAccess, filterReadableNamespaces,
+} = await import('../server/config/namespace-policy.js');
+
+test('glob wildcards', () => {
+  assert.ok(matchesGlob('team-a-docs', 'team-a-*'));
+  assert.ok(matchesGlob('team-a-', 'team-a-*'));
+  assert.ok(!matchesGlob('team-b-docs', 'team-a-*'));
+  assert.ok(!matchesGlob('docs/a.md', '*.md'), '* does not cross /');
+  assert.ok(matchesGlob('docs/deep/a.md', 'docs/**'));
+  assert.ok(matchesGlob('a.md', '**/*.md'), '**/ matches zero directories');
+  assert.ok(matchesGlob('x/y/a.md', '**/*.md'));
+  assert.ok(matchesGlob('ab', 'a?'));
+  assert.ok(!matchesGlob('a/', 'a?'));
+  assert.ok(!matchesGlob('abc', 'a?'));
+});
+
+test('glob special characters match literally', () => {
+  assert.ok(matchesGlob('v1.0+beta', 'v1.0+beta'));
+  assert.ok(!matchesGlob('v1x0', 'v1.0'));
+  assert.ok(matchesGlob('(a)[b]{c}', '(a)[b]{c}'));
+  assert.ok(!matchesGlob('team-a-docs-extra', 'team-a-docs'), 'patterns are anchored');
+});
+
+test('matchesAny and parseList', () => {
+  assert.ok(matchesAny('delete-data', ['search', 'delete-*']));
+  assert.ok(!matchesAny('search', []));
+  assert.deepEqual(parseList(' a, b,,c ,'), ['a', 'b', 'c']);
+  assert.deepEqual(parseList(undefined), []);
+});
+
+test('environment rules take precedence over the policy file, first match wins', () => {
+  assert.ok(NAMESPACE_POLICY.enabled);
+  assert.equal(getNamespaceAccess('team-a-secret'), 'none');
+  assert.equal(getNamespaceAccess('team-a-docs'), 'write');
+  assert.equal(getNamespaceAccess('support-kb'), 'read', 'the environment rule wins over the file rule');
+  assert.equal(getNamespaceAccess('scratch'), 'write', 'entries without an access level grant write');
+  assert.equal(getNamespaceAccess('archive-01'), 'none');
+  assert.equal(getNamespaceAccess('archive-2024'), 'read', 'falls through to the file default');
+});
+
+test('read and write checks follow the access levels', () => {
+  assert.ok(canReadNamespace('support-kb'));
+  assert.ok(!canWriteNamespace('support-kb'));
+  assert.ok(canWriteNamespace('team-a-docs'));
+  assert.ok(!canReadNamespace('team-a-secret'));
+});
+
+test('assertNamespaceAccess rejects with access_denied', () => {
+  assert.doesNotThrow(() => assertNamespaceAccess('support-kb', 'read'));
+  assert.doesNotThrow(() => assertNamespaceAccess('team-a-docs', 'write'));
+  assert.throws(() => assertNamespaceAccess('support-kb', 'write'), { category: 'access_denied', message: /read-only/ });
+  assert.throws(() => assertNamespaceAccess('team-a-secret', 'read'), { category: 'access_denied', message: /not available/ });
+});
+
+test('hidden namespaces are filtered from listings', () => {
+  const listed = filterReadableNamespaces([
+    { namespace_name: 'team-a-docs' }, { namespace_name: 'team-a-secret' }, { namespace_name: 'archive-01' }, { namespace_name: 'other' },
+  ]);
+  assert.deepEqual(listed.map((ns) => ns.namespace_name), ['team-a-docs', 'other']);
+});
@@ -0,0 +1,59 @@
+/**
+ * Namespace tools, called through an MCP client
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockApi, setTestEnv, connectClient } from './mock-api.js';
+
+const api = await startMockApi(({ method, path, body }) => {
+  if (method === 'GET' && path === '/v1/namespaces') return { body: { namespaces: [{ namespace_name: 'docs', type: 'text', itemCount: 2 }] } };
+  if (method === 'POST' && path === '/v1/namespaces') return { status: 201, body: { status: 'success', namespace_name: body.namespace_name } };
+  return undefined;
+});
+after(() => api.close());
+
+setTestEnv({ MOORCHEH_API_URL: api.url, MOORCHEH_NAMESPACE_CACHE_TTL_MS: '0' });
+const { createServer } = await import('../server/server.js');
+
+const { client, close } = await connectClient(createServer);
+after(close);
+
+beforeEach(() => { api.requests.length = 0; });
+
+const callTool = (name, args) => client.callTool({ name, arguments: args });
+
+test('create-namespace returns structured content that matches its output schema', async () => {
+  const result = await callTool('create-namespace', { namespace_name: 'vectors', type: 'vector', vector_dimension: 3 });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.deepEqual(result.structuredContent, {
+    namespace_name: 'vectors',
+    type: 'vector',
+    vector_dimension: 3,
+    response: { status: 'success', namespace_name: 'vectors' },
+  });
+  assert.deepEqual(api.requests.map(({ method, body }) => [method, body]), [
+    ['POST', { namespace_name: 'vectors', type: 'vector', vector_dimension: 3 }],
+  ]);
+});
+
+test('create-namespace requires vector_dimension for vector namespaces, with or without dry_run', async () => {
+  for (const dry_run of [false, true]) {
+    const result = await callTool('create-namespace', { namespace_name: 'vectors', type: 'vector', dry_run });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /vector_dimension is required for vector namespaces/);
+    assert.equal(result._meta.error.category, 'validation');
+  }
+  assert.deepEqual(api.requests, [], 'nothing is sent to the API');
+});
+
+test('create-namespace dry run refuses an existing namespace and sends nothing', async () => {
+  const existing = await callTool('create-namespace', { namespace_name: 'docs', dry_run: true });
+  assert.equal(existing.isError, true);
+  assert.match(existing.content[0].text, /already exists/);
+
+  const planned = await callTool('create-namespace', { namespace_name: 'new-docs', dry_run: true });
+  assert.ok(!planned.isError, planned.content[0].text);
+  assert.equal(planned.structuredContent.dry_run, true);
+  assert.ok(api.requests.every(({ method }) => method === 'GET'));
+});
@@ -0,0 +1,91 @@
+/**
+ * Retries with backoff in makeApiRequest
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockApi, setTestEnv } from './mock-api.js';
+
+// Responses queued per path; the last one repeats
+const scripts = new Map();
+const api = await startMockApi(({ path }) => {
+  const queue = scripts.get(path) ?? [];
+  return queue.length > 1 ? queue.shift() : queue[0];
+});
+after(() => api.close());
+
+setTestEnv({
+  MOORCHEH_API_URL: api.url,
+  MOORCHEH_MAX_RETRIES: '2',
+  MOORCHEH_RETRY_BASE_DELAY_MS: '1',
+  MOORCHEH_RETRY_MAX_DELAY_MS: '5',
+  MOORCHEH_RETRY_MAX_WAIT_MS: '3000',
+});
+const { makeApiRequest } = await import('../server/config/api.js');
+
+const respond = (path, ...responses) => {
+  scripts.set(path, responses);
+  return `${api.url.replace(/\/v1$/, '')}${path}`;
+};
+const hits = (path) => api.requests.filter((request) => request.path === path).length;
+
+test('retries idempotent requests on 5xx until they succeed', async () => {
+  const url = respond('/flaky', { status: 503 }, { status: 502 }, { body: { ok: true } });
+  assert.deepEqual(await makeApiRequest('GET', url), { ok: true });
+  assert.equal(hits('/flaky'), 3);
+});
+
+test('gives up after the configured retries and reports the attempts', async () => {
+  const url = respond('/down', { status: 500, body: { error: 'boom' } });
+  await assert.rejects(makeApiRequest('GET', url), (error) => {
+    assert.equal(error.category, 'server');
+    assert.equal(error.status, 500);
+    assert.match(error.message, /gave up after 3 attempts/);
+    return true;
+  });
+  assert.equal(hits('/down'), 3);
+});
+
+test('does not retry POST unless marked idempotent', async () => {
+  const once = respond('/post-once', { status: 503 }, { body: { ok: true } });
+  await assert.rejects(makeApiRequest('POST', once, { a: 1 }), { category: 'server' });
+  assert.equal(hits('/post-once'), 1);
+
+  const retried = respond('/post-idempotent', { status: 503 }, { body: { ok: true } });
+  assert.deepEqual(await makeApiRequest('POST', retried, { a: 1 }, { idempotent: true }), { ok: true });
+  assert.equal(hits('/post-idempotent'), 2);
+});
+
+test('does not retry client errors', async () => {
+  const url = respond('/bad', { status: 400, body: { error: 'bad request' } });
+  await assert.rejects(makeApiRequest('GET', url), (error) => {
+    assert.equal(error.category, 'validation');
+    assert.doesNotMatch(error.message, /gave up/);
+    return true;
+  });
+  assert.equal(hits('/bad'), 1);
+});
+
+test('waits at least as long as Retry-After', async () => {
+  const url = respond('/limited', { status: 429, headers: { 'Retry-After': '1' } }, { body: { ok: true } });
+  const startedAt = Date.now();
+  assert.deepEqual(await makeApiRequest('GET', url), { ok: true });
+  assert.ok(Date.now() - startedAt >= 950, 'retried before Retry-After elapsed');
+  assert.equal(hits('/limited'), 2);
+});
+
+test('gives up at once when Retry-After exceeds the total wait limit', async () => {
+  const url = respond('/limited-long', { status: 429, headers: { 'Retry-After': '60' } }, { body: { ok: true } });
+  await assert.rejects(makeApiRequest('GET', url), { category: 'rate_limited' });
+  assert.equal(hits('/limited-long'), 1);
+});
+
+test('retries network errors', async () => {
+  const closed = await startMockApi(() => ({ body: {} }));
+  await closed.close();
+  await assert.rejects(makeApiRequest('GET', `${closed.url}/namespaces`), (error) => {
+    assert.equal(error.category, 'network');
+    assert.equal(error.attempts, 3);
+    return true;
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Incremental directory sync against the local manifest
+ */
+
+import { test, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMockApi, setTestEnv } from './mock-api.js';
+
+// Uploads of batches containing these IDs fail
+let failIds;
+
+const api = await startMockApi(({ method, path, body }) => {
+  if (method !== 'POST') return undefined;
+  if (path === '/v1/namespaces/docs/documents/delete') return { body: { status: 'success' } };
+  if (path === '/v1/namespaces/docs/documents') {
+    return body.documents.some(({ id }) => failIds.has(id)) ? { status: 500, body: { error: 'unavailable' } } : { body: { status: 'success' } };
+  }
+  return undefined;
+});
+after(() => api.close());
+
+setTestEnv({ MOORCHEH_API_URL: api.url, MOORCHEH_MAX_RETRIES: '0' });
+const { planSync, applySync, loadManifest, saveManifest } = await import('../server/utils/sync.js');
+
+let directory;
+
+beforeEach(async () => {
+  failIds = new Set();
+  api.requests.length = 0;
+  directory = await mkdtemp(join(tmpdir(), 'moorcheh-sync-'));
+  await writeFile(join(directory, 'a.md'), 'File A');
+  await writeFile(join(directory, 'b.md'), 'File B');
+});
+// Every test syncs a new directory, so their manifest entries are separate
+afterEach(() => rm(directory, { recursive: true, force: true }));
+
+// Plan and apply, one document per upload batch
+const sync = async (options) => {
+  const plan = await planSync('docs', directory, options);
+  return { plan, applied: await applySync(plan, { batchSize: 1, concurrency: 1 }) };
+};
+const planned = (plan) => plan.upload.map((file) => file.path).sort();
+
+test('uploads new and changed files, skips unchanged ones and deletes removed ones', async () => {
+  const first = await sync();
+  assert.deepEqual(planned(first.plan), ['a.md', 'b.md']);
+  assert.deepEqual(first.applied.uploadedFiles.sort(), ['a.md', 'b.md']);
+
+  await writeFile(join(directory, 'a.md'), 'File A, edited');
+  await rm(join(directory, 'b.md'));
+  const second = await sync();
+  assert.deepEqual(planned(second.plan), ['a.md']);
+  assert.equal(second.plan.upload[0].reason, 'changed');
+  assert.deepEqual(second.plan.remove, [{ path: 'b.md', ids: ['b.md'] }]);
+  assert.deepEqual(second.applied.deletedIds, ['b.md']);
+
+  const third = await planSync('docs', directory);
+  assert.deepEqual(third.upload, []);
+  assert.deepEqual(third.unchanged, ['a.md']);
+});
+
+test('stale chunks are deleted when a file shrinks', async () => {
+  const chunking = { strategy: 'tokens', size: 2 };
+  await writeFile(join(directory, 'a.md'), 'one two three four five six');
+  await sync({ chunking });
+  await writeFile(join(directory, 'a.md'), 'one two');
+  const { plan, applied } = await sync({ chunking });
+  const file = plan.upload.find(({ path }) => path === 'a.md');
+  assert.deepEqual(file.stale_ids, ['a.md#chunk-0001', 'a.md#chunk-0002']);
+  assert.deepEqual(applied.deletedIds, ['a.md#chunk-0001', 'a.md#chunk-0002']);
+});
+
+test('a file that failed to upload after an options change is retried with the new options', async () => {
+  await sync();
+
+  failIds = new Set(['v2/a.md']);
+  const changed = await sync({ idPrefix: 'v2/' });
+  assert.deepEqual(planned(changed.plan), ['a.md', 'b.md']);
+  assert.deepEqual(changed.applied.uploadedFiles, ['b.md']);
+  assert.deepEqual(changed.applied.failedIds, ['v2/a.md']);
+
+  failIds = new Set();
+  const retry = await planSync('docs', directory, { idPrefix: 'v2/' });
+  assert.deepEqual(planned(retry), ['a.md']);
+  assert.deepEqual(retry.unchanged, ['b.md']);
+  assert.deepEqual(retry.upload[0].stale_ids, ['a.md'], 'the old document is replaced');
+});
+
+test('entries from manifests with a directory-wide options hash', async () => {
+  const { plan } = await sync();
+  const manifest = await loadManifest('docs');
+  const entry = manifest.directories[plan.directory];
+  entry.options_hash = plan.options_hash;
+  Object.values(entry.files).forEach((file) => { delete file.options_hash; });
+  await saveManifest(manifest);
+
+  assert.deepEqual(planned(await planSync('docs', directory)), [], 'same options: unchanged');
+
+  failIds = new Set(['v2/a.md']);
+  await sync({ idPrefix: 'v2/' });
+  const saved = (await loadManifest('docs')).directories[plan.directory];
+  assert.equal(saved.options_hash, undefined);
+  assert.equal(saved.files['a.md'].options_hash, plan.options_hash, 'the failed file keeps the options it was uploaded with');
+  assert.deepEqual(planned(await planSync('docs', directory, { idPrefix: 'v2/' })), ['a.md']);
+});
@@ -35,13 +35,13 @@ async function testMCPConnection() {
     let toolsReceived = false;
     
     serverProcess.stdout.on('data', (data) => {
-      const dataStr = data.toString();
-      output += dataStr;
+      output += data.toString();
       
-      // Try to parse JSON responses
+      // Responses can span several chunks; parse complete lines only
+      const lines = output.split('\n');
+      output = lines.pop();
       try {
-        const lines = dataStr.split('\n').filter(line => line.trim());
-        for (const line of lines) {
+        for (const line of lines.filter(line => line.trim())) {
           const response = JSON.parse(line);
           if (response.result && response.result.tools) {
             toolsList = response.result.tools;
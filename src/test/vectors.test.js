@@ -0,0 +1,112 @@
+/**
+ * Pre-flight checks of vectors and vector queries against namespace metadata
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockApi, setTestEnv, connectClient } from './mock-api.js';
+import { validateVectors, validateQueryVector, validateTextQuery } from '../server/utils/vectors.js';
+
+let namespaces;
+
+const api = await startMockApi(({ method, path }) => {
+  if (method === 'GET' && path === '/v1/namespaces') return { body: { namespaces } };
+  if (method === 'POST' && path === '/v1/namespaces/vecs/vectors') return { body: { status: 'success' } };
+  if (method === 'POST' && path === '/v1/search') return { body: { results: [], total: 0 } };
+  return undefined;
+});
+after(() => api.close());
+
+setTestEnv({ MOORCHEH_API_URL: api.url });
+const { createServer } = await import('../server/server.js');
+const { invalidateNamespaceCache } = await import('../server/utils/namespace-info.js');
+
+const { client, close } = await connectClient(createServer);
+after(close);
+
+beforeEach(() => {
+  namespaces = [{ namespace_name: 'vecs', type: 'vector', vector_dimension: 3 }, { namespace_name: 'docs', type: 'text' }];
+  invalidateNamespaceCache();
+  api.requests.length = 0;
+});
+
+const vecs = { namespace_name: 'vecs', type: 'vector', vector_dimension: 3 };
+const callTool = (name, args) => client.callTool({ name, arguments: args });
+const listings = () => api.requests.filter(({ method }) => method === 'GET').length;
+const posts = () => api.requests.filter(({ method }) => method === 'POST');
+
+test('vectors must match the namespace dimension, naming the offending IDs and lengths', () => {
+  assert.doesNotThrow(() => validateVectors([{ id: 'a', vector: [1, 2, 3] }], vecs));
+  assert.throws(() => validateVectors([{ id: 'a', vector: [1, 2, 3] }, { id: 'b', vector: [1, 2] }, { id: 'c', vector: [] }], vecs), {
+    category: 'validation',
+    message: '2 vector(s) must have 3 dimensions to match namespace "vecs". Mismatched: b (length 2), c (length 0)',
+  });
+
+  const many = Array.from({ length: 25 }, (_, i) => ({ id: `v${i}`, vector: [1] }));
+  assert.throws(() => validateVectors(many, vecs), { message: /v19 \(length 1\) and 5 more$/ });
+});
+
+test('without a known dimension, vectors must match the first one', () => {
+  const unknown = { namespace_name: 'vecs', type: 'vector' };
+  assert.throws(() => validateVectors([{ id: 'a', vector: [1, 2] }, { id: 'b', vector: [1, 2, 3] }], unknown), {
+    message: '1 vector(s) must have 2 dimensions. Mismatched: b (length 3)',
+  });
+});
+
+test('NaN and Infinity are rejected, together with dimension problems', () => {
+  assert.throws(() => validateVectors([{ id: 'a', vector: [1, NaN, 3] }, { id: 'b', vector: [Infinity, 1, 2] }, { id: 'c', vector: [1] }], vecs), {
+    message: '1 vector(s) must have 3 dimensions to match namespace "vecs". Mismatched: c (length 1)\n2 vector(s) contain NaN or Infinity: a (NaN at index 1), b (Infinity at index 0)',
+  });
+  assert.throws(() => validateQueryVector([1, 2, -Infinity], vecs), { message: 'Query vector contains -Infinity at index 2; only finite numbers are allowed' });
+});
+
+test('namespace type mismatches', () => {
+  const docs = { namespace_name: 'docs', type: 'text' };
+  assert.throws(() => validateVectors([{ id: 'a', vector: [1] }], docs), { message: /"docs" is a text namespace, not a vector namespace\. Use upload-text/ });
+  assert.throws(() => validateQueryVector([1, 2, 3], docs), { message: /Search text namespaces with a text query/ });
+  assert.throws(() => validateTextQuery(vecs), { message: 'Namespace "vecs" is a vector namespace and cannot be searched with text. Pass a query vector of 3 dimensions.' });
+  assert.throws(() => validateQueryVector([1, 2], vecs), { message: 'Query vector has 2 dimensions, but namespace "vecs" has 3' });
+});
+
+test('upload-vectors rejects mismatched vectors before sending, using cached metadata', async () => {
+  const rejected = await callTool('upload-vectors', { namespace_name: 'vecs', vectors: [{ id: 'short', vector: [1, 2] }] });
+  assert.equal(rejected.isError, true);
+  assert.equal(rejected._meta.error.category, 'validation');
+  assert.match(rejected.content[0].text, /short \(length 2\)/);
+  assert.equal(listings(), 2, 'a rejection is confirmed against fresh metadata');
+
+  const uploaded = await callTool('upload-vectors', { namespace_name: 'vecs', vectors: [{ id: 'ok', vector: [1, 2, 3] }] });
+  assert.ok(!uploaded.isError, uploaded.content[0].text);
+  assert.equal(listings(), 2, 'the cached listing is reused');
+  assert.deepEqual(posts().map(({ body }) => body.vectors.map(({ id }) => id)), [['ok']]);
+
+  const toText = await callTool('upload-vectors', { namespace_name: 'docs', vectors: [{ id: 'x', vector: [1] }] });
+  assert.equal(toText.isError, true);
+  assert.match(toText.content[0].text, /not a vector namespace/);
+  assert.equal(posts().length, 1);
+});
+
+test('a stale cached dimension is refreshed before rejecting', async () => {
+  await callTool('upload-vectors', { namespace_name: 'vecs', vectors: [{ id: 'a', vector: [1, 2, 3] }] });
+  namespaces = [{ namespace_name: 'vecs', type: 'vector', vector_dimension: 2 }];
+
+  const result = await callTool('upload-vectors', { namespace_name: 'vecs', vectors: [{ id: 'b', vector: [1, 2] }] });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.equal(listings(), 2);
+});
+
+test('search checks vector queries and text queries against every namespace', async () => {
+  const wrongLength = await callTool('search', { namespaces: ['vecs'], query: [1, 2] });
+  assert.equal(wrongLength.isError, true);
+  assert.match(wrongLength.content[0].text, /Query vector has 2 dimensions, but namespace "vecs" has 3/);
+
+  const textOnVectors = await callTool('search', { namespaces: ['docs', 'vecs'], query: 'refund policy' });
+  assert.equal(textOnVectors.isError, true);
+  assert.match(textOnVectors.content[0].text, /"vecs" is a vector namespace and cannot be searched with text/);
+  assert.deepEqual(posts(), []);
+
+  const ok = await callTool('search', { namespaces: ['vecs'], query: '[0.1, 0.2, 0.3]' });
+  assert.ok(!ok.isError, ok.content[0].text);
+  assert.equal(ok.structuredContent.query_type, 'vector');
+  assert.deepEqual(posts().map(({ body }) => body.query), [[0.1, 0.2, 0.3]]);
+});
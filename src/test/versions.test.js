@@ -0,0 +1,148 @@
+/**
+ * Versioned updates: upsert-documents, the history namespace and
+ * rollback-documents
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockApi, setTestEnv, connectClient } from './mock-api.js';
+
+// Stored documents per namespace; uploads to namespaces in `failing` fail
+const store = {};
+let failing;
+
+const api = await startMockApi(({ method, path, body }) => {
+  if (method === 'GET' && path === '/v1/namespaces') {
+    return { body: { namespaces: [{ namespace_name: 'kb', type: 'text' }, { namespace_name: 'history', type: 'text' }, { namespace_name: 'vecs', type: 'vector', vector_dimension: 2 }] } };
+  }
+  const match = path.match(/^\/v1\/namespaces\/([^/]+)\/documents(\/get)?$/);
+  if (method !== 'POST' || !match) return undefined;
+  const documents = (store[match[1]] ??= new Map());
+  if (match[2]) {
+    return { body: { items: body.ids.filter((id) => documents.has(id)).map((id) => documents.get(id)) } };
+  }
+  if (failing.has(match[1])) return { status: 500, body: { error: 'unavailable' } };
+  body.documents.forEach((document) => documents.set(document.id, structuredClone(document)));
+  return { body: { status: 'success' } };
+});
+after(() => api.close());
+
+setTestEnv({ MOORCHEH_API_URL: api.url, MOORCHEH_MAX_RETRIES: '0' });
+const { createServer } = await import('../server/server.js');
+
+const { client, close } = await connectClient(createServer);
+after(close);
+
+beforeEach(() => {
+  Object.keys(store).forEach((namespace) => delete store[namespace]);
+  failing = new Set();
+  api.requests.length = 0;
+});
+
+const callTool = async (name, args) => {
+  const result = await client.callTool({ name, arguments: args });
+  assert.ok(!result.isError, result.content[0].text);
+  return result.structuredContent;
+};
+const upsert = (documents, extra) => callTool('upsert-documents', { namespace_name: 'kb', history_namespace: 'history', documents, ...extra });
+const stored = (namespace, id) => store[namespace]?.get(id);
+const writes = () => api.requests.filter(({ path }) => /\/documents$/.test(path));
+
+test('versions count up, previous versions are archived and unchanged documents are skipped', async () => {
+  const first = await upsert([{ id: 'faq', text: 'Version one', metadata: { topic: 'billing', version: 99 } }]);
+  assert.deepEqual({ created: first.created, updated: first.updated, versions: first.versions, archived: first.archived }, { created: ['faq'], updated: [], versions: { faq: 1 }, archived: [] });
+  const v1 = stored('kb', 'faq');
+  assert.equal(v1.metadata.version, 1, 'the caller cannot set the version');
+  assert.ok(Date.parse(v1.metadata.updated_at));
+
+  const second = await upsert([{ id: 'faq', text: 'Version two', metadata: { topic: 'billing' } }, { id: 'new', text: 'Brand new' }]);
+  assert.deepEqual(second.updated, ['faq']);
+  assert.deepEqual(second.created, ['new']);
+  assert.deepEqual(second.versions, { faq: 2, new: 1 });
+  assert.deepEqual(second.archived, ['faq@v1']);
+  assert.equal(stored('kb', 'faq').text, 'Version two');
+  const archived = stored('history', 'faq@v1');
+  assert.equal(archived.text, 'Version one');
+  const { updated_at, archived_at, ...history } = archived.metadata;
+  assert.deepEqual(history, { topic: 'billing', version: 1, source_id: 'faq', source_namespace: 'kb' });
+  assert.equal(updated_at, v1.metadata.updated_at);
+  assert.ok(Date.parse(archived_at));
+  assert.ok(writes().findIndex(({ path }) => path.includes('/history/')) < writes().findIndex(({ path, body }) => path.includes('/kb/') && body.documents.some(({ id }) => id === 'new')), 'archived before replacing');
+
+  api.requests.length = 0;
+  const third = await upsert([{ id: 'faq', text: 'Version two', metadata: { topic: 'billing' } }]);
+  assert.deepEqual(third.unchanged, ['faq']);
+  assert.equal(third.uploaded, 0);
+  assert.deepEqual(writes(), []);
+});
+
+test('a document whose previous version cannot be archived is not replaced', async () => {
+  await upsert([{ id: 'a', text: 'Old A' }]);
+  failing = new Set(['history']);
+
+  const result = await client.callTool({ name: 'upsert-documents', arguments: { namespace_name: 'kb', history_namespace: 'history', documents: [{ id: 'a', text: 'New A' }, { id: 'b', text: 'New B' }] } });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.deepEqual(result.structuredContent.failed_ids, ['a']);
+  assert.deepEqual(result.structuredContent.ids, ['b']);
+  assert.match(result.content[0].text, /Could not archive the previous version of 1 document\(s\) to "history", so they were not replaced: a/);
+  assert.equal(stored('kb', 'a').text, 'Old A');
+});
+
+test('rollback restores an earlier version as a new version, archiving the current one', async () => {
+  await upsert([{ id: 'faq', text: 'One', metadata: { topic: 'a' } }]);
+  await upsert([{ id: 'faq', text: 'Two', metadata: { topic: 'b' } }]);
+
+  const rolledBack = await callTool('rollback-documents', { namespace_name: 'kb', history_namespace: 'history', ids: ['faq'] });
+  assert.deepEqual(rolledBack.versions, { faq: 3 });
+  assert.deepEqual(rolledBack.archived, ['faq@v2']);
+  const restored = stored('kb', 'faq');
+  assert.equal(restored.text, 'One');
+  assert.equal(restored.metadata.topic, 'a');
+  assert.equal(restored.metadata.restored_from_version, 1);
+  assert.equal(restored.metadata.source_id, undefined, 'history fields are not restored');
+
+  // The rollback can itself be undone
+  await callTool('rollback-documents', { namespace_name: 'kb', history_namespace: 'history', ids: ['faq'], version: 2 });
+  assert.equal(stored('kb', 'faq').text, 'Two');
+  assert.equal(stored('kb', 'faq').metadata.version, 4);
+});
+
+test('rollback changes nothing unless every requested version is found', async () => {
+  await upsert([{ id: 'one', text: 'Only version' }]);
+  await upsert([{ id: 'two', text: 'First' }]);
+  await upsert([{ id: 'two', text: 'Second' }]);
+  api.requests.length = 0;
+
+  const result = await client.callTool({ name: 'rollback-documents', arguments: { namespace_name: 'kb', history_namespace: 'history', ids: ['one', 'two', 'missing'] } });
+  assert.equal(result.isError, true);
+  assert.equal(result._meta.error.category, 'validation');
+  assert.match(result.content[0].text, /Cannot roll back 2 document\(s\); nothing was changed:\n  one: version 1 has no earlier version\n  missing: not found in "kb"/);
+  assert.deepEqual(writes(), []);
+
+  const later = await client.callTool({ name: 'rollback-documents', arguments: { namespace_name: 'kb', history_namespace: 'history', ids: ['two'], version: 2 } });
+  assert.match(later.content[0].text, /two: version 2 is not earlier than the current version 2/);
+});
+
+test('invalid upserts are rejected before anything is read or written', async () => {
+  for (const [args, message] of [
+    [{ namespace_name: 'kb', documents: [{ id: 'a', text: '1' }, { id: 'a', text: '2' }] }, /repeated: a/],
+    [{ namespace_name: 'kb', history_namespace: 'kb', documents: [{ id: 'a', text: '1' }] }, /history_namespace must be a different namespace/],
+    [{ namespace_name: 'vecs', documents: [{ id: 'a', text: '1' }] }, /vector namespace; versioned updates work on text documents only/],
+  ]) {
+    const result = await client.callTool({ name: 'upsert-documents', arguments: args });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, message);
+  }
+  assert.ok(api.requests.every(({ method }) => method === 'GET'));
+});
+
+test('dry runs only read', async () => {
+  await upsert([{ id: 'faq', text: 'One' }]);
+  api.requests.length = 0;
+  const result = await client.callTool({ name: 'upsert-documents', arguments: { namespace_name: 'kb', history_namespace: 'history', documents: [{ id: 'faq', text: 'Two' }], dry_run: true } });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.match(result.content[0].text, /would write 1 document\(s\) to namespace "kb" \(0 new, 1 updated, 0 unchanged\), after archiving 1 previous version\(s\) to "history"/);
+  assert.deepEqual(result.structuredContent.versions, { faq: 2 });
+  assert.deepEqual(writes(), []);
+  assert.equal(stored('kb', 'faq').text, 'One');
+});
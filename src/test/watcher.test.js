@@ -0,0 +1,82 @@
+/**
+ * Watch mode, using the per-directory fallback for platforms without
+ * recursive fs.watch (Linux before Node 20)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { syncBuiltinESMExports } from 'module';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMockApi, setTestEnv } from './mock-api.js';
+
+const api = await startMockApi(({ method, path }) => {
+  if (method === 'GET' && path === '/v1/namespaces') return { body: { namespaces: [{ namespace_name: 'docs', type: 'text' }] } };
+  if (method === 'POST' && path.startsWith('/v1/namespaces/docs/documents')) return { body: { status: 'success' } };
+  return undefined;
+});
+after(() => api.close());
+
+// Refuse recursive watches the way Node 18 does on Linux
+const realWatch = fs.watch;
+let recursiveAttempts = 0;
+fs.watch = function watch(path, options, listener) {
+  if (typeof options === 'object' && options?.recursive) {
+    recursiveAttempts++;
+    throw Object.assign(new Error('The feature watch recursively is unavailable on the current platform'), { code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' });
+  }
+  return realWatch.call(fs, path, options, listener);
+};
+syncBuiltinESMExports();
+after(() => {
+  fs.watch = realWatch;
+  syncBuiltinESMExports();
+});
+
+setTestEnv({ MOORCHEH_API_URL: api.url });
+const { startDirectoryWatcher } = await import('../server/utils/watcher.js');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(predicate, what, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) assert.fail(`Timed out waiting for ${what}`);
+    await sleep(25);
+  }
+}
+
+const uploadedIds = () => api.requests
+  .filter((request) => request.path === '/v1/namespaces/docs/documents')
+  .flatMap((request) => request.body.documents.map(({ id }) => id));
+const deletedIds = () => api.requests
+  .filter((request) => request.path === '/v1/namespaces/docs/documents/delete')
+  .flatMap((request) => request.body.ids);
+
+test('keeps syncing root files after a subdirectory is removed', async () => {
+  const directory = await mkdtemp(join(tmpdir(), 'moorcheh-watch-'));
+  after(() => rm(directory, { recursive: true, force: true }));
+  await writeFile(join(directory, 'a.md'), 'Root file');
+  await mkdir(join(directory, 'sub'));
+  await writeFile(join(directory, 'sub', 'b.md'), 'Nested file');
+
+  const watcher = await startDirectoryWatcher(directory, { namespaceName: 'docs', debounceMs: 50, log: () => {} });
+  try {
+    assert.equal(recursiveAttempts, 1);
+    assert.deepEqual(uploadedIds().sort(), ['a.md', 'sub/b.md']);
+
+    await rm(join(directory, 'sub'), { recursive: true });
+    await waitFor(() => deletedIds().includes('sub/b.md'), 'the removed file to be deleted');
+
+    await writeFile(join(directory, 'new.md'), 'Added after the removal');
+    await waitFor(() => uploadedIds().includes('new.md'), 'the new root file to be uploaded');
+
+    await writeFile(join(directory, 'a.md'), 'Root file, edited');
+    await waitFor(() => uploadedIds().filter((id) => id === 'a.md').length === 2, 'the edited root file to be uploaded');
+    assert.deepEqual(watcher.status().pending, []);
+  } finally {
+    await watcher.close();
+  }
+});